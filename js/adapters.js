@@ -0,0 +1,200 @@
+/**
+ * adapters.js
+ * Storage backends for saved data. Every adapter has the same async interface:
+ *   get(key) → string|null, set(key, value), remove(key), keys() → string[]
+ */
+
+const DB_NAME = 'fiveCrowns';
+const DB_STORE = 'keyval';
+
+/**
+ * Keeps data in memory only; for tests and browsers with no storage at all
+ */
+export class MemoryAdapter {
+    constructor() {
+        this.name = 'memory';
+        this.data = new Map();
+    }
+
+    /**
+     * Read a value
+     * @param {string} key - Storage key
+     * @returns {Promise<string|null>}
+     */
+    async get(key) {
+        return this.data.has(key) ? this.data.get(key) : null;
+    }
+
+    /**
+     * Write a value
+     * @param {string} key - Storage key
+     * @param {string} value - Value to store
+     */
+    async set(key, value) {
+        this.data.set(key, value);
+    }
+
+    /**
+     * Delete a value
+     * @param {string} key - Storage key
+     */
+    async remove(key) {
+        this.data.delete(key);
+    }
+
+    /**
+     * List stored keys
+     * @returns {Promise<string[]>}
+     */
+    async keys() {
+        return [...this.data.keys()];
+    }
+}
+
+/**
+ * Keeps data in localStorage; the fallback where IndexedDB isn't available
+ */
+export class LocalStorageAdapter {
+    /**
+     * @param {Storage} [storage] - Web Storage object, localStorage by default
+     */
+    constructor(storage = localStorage) {
+        this.name = 'localStorage';
+        this.storage = storage;
+    }
+
+    /**
+     * Read a value
+     * @param {string} key - Storage key
+     * @returns {Promise<string|null>}
+     */
+    async get(key) {
+        return this.storage.getItem(key);
+    }
+
+    /**
+     * Write a value
+     * @param {string} key - Storage key
+     * @param {string} value - Value to store
+     */
+    async set(key, value) {
+        this.storage.setItem(key, value);
+    }
+
+    /**
+     * Delete a value
+     * @param {string} key - Storage key
+     */
+    async remove(key) {
+        this.storage.removeItem(key);
+    }
+
+    /**
+     * List stored keys
+     * @returns {Promise<string[]>}
+     */
+    async keys() {
+        return Array.from({ length: this.storage.length }, (_, index) => this.storage.key(index));
+    }
+}
+
+/**
+ * Keeps data in an IndexedDB object store; the default backend, with far more room than localStorage
+ */
+export class IndexedDBAdapter {
+    /**
+     * @param {string} [dbName] - Database name
+     */
+    constructor(dbName = DB_NAME) {
+        this.name = 'indexedDB';
+        this.dbName = dbName;
+        this.db = null;
+    }
+
+    /**
+     * Open (and if needed create) the database
+     * @returns {Promise<IndexedDBAdapter>} This adapter, ready to use
+     */
+    open() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, 1);
+            request.onupgradeneeded = () => request.result.createObjectStore(DB_STORE);
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(this);
+            };
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('Database is blocked by another tab'));
+        });
+    }
+
+    /**
+     * Run one request in its own transaction
+     * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'
+     * @param {Function} makeRequest - Called with the object store, returns an IDBRequest
+     * @returns {Promise<*>} The request's result once the transaction completes
+     */
+    transact(mode, makeRequest) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(DB_STORE, mode);
+            const request = makeRequest(transaction.objectStore(DB_STORE));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+        });
+    }
+
+    /**
+     * Read a value
+     * @param {string} key - Storage key
+     * @returns {Promise<string|null>}
+     */
+    async get(key) {
+        const value = await this.transact('readonly', store => store.get(key));
+        return value === undefined ? null : value;
+    }
+
+    /**
+     * Write a value
+     * @param {string} key - Storage key
+     * @param {string} value - Value to store
+     */
+    async set(key, value) {
+        await this.transact('readwrite', store => store.put(value, key));
+    }
+
+    /**
+     * Delete a value
+     * @param {string} key - Storage key
+     */
+    async remove(key) {
+        await this.transact('readwrite', store => store.delete(key));
+    }
+
+    /**
+     * List stored keys
+     * @returns {Promise<string[]>}
+     */
+    async keys() {
+        return this.transact('readonly', store => store.getAllKeys());
+    }
+}
+
+/**
+ * Pick the best backend this browser supports: IndexedDB, then localStorage, then memory
+ * @returns {Promise<Object>} Ready-to-use adapter
+ */
+export async function createDefaultAdapter() {
+    if (typeof indexedDB !== 'undefined') {
+        try {
+            return await new IndexedDBAdapter().open();
+        } catch (error) {
+            console.error('IndexedDB unavailable, falling back to localStorage:', error);
+        }
+    }
+
+    if (typeof localStorage !== 'undefined') {
+        return new LocalStorageAdapter();
+    }
+    return new MemoryAdapter();
+}
@@ -0,0 +1,52 @@
+/**
+ * adjustments.js
+ * Starting handicaps and bonus/penalty adjustments, kept apart from card points
+ */
+
+// Offered in the UI; any other reason can be typed in
+export const ADJUSTMENT_REASONS = ['Misdeal', 'Reneging', 'Table penalty', 'Bonus'];
+
+/**
+ * Total a player's card points, ignoring unplayed rounds
+ * @param {Array<number|null>} playerScores - Card points by round
+ * @returns {number} Card point total
+ */
+export function cardTotal(playerScores) {
+    return playerScores.reduce((sum, score) => sum + (score !== null ? score : 0), 0);
+}
+
+/**
+ * Total a player's handicap and adjustments
+ * @param {Object} gameState - Game state with optional handicaps/adjustments
+ * @param {number} playerIndex - Player index
+ * @returns {number} Points added to (or taken off) the card total
+ */
+export function adjustmentTotal(gameState, playerIndex) {
+    const handicap = gameState.handicaps?.[playerIndex] || 0;
+    return (gameState.adjustments || [])
+        .filter(adjustment => adjustment.playerIndex === playerIndex)
+        .reduce((sum, adjustment) => sum + adjustment.points, handicap);
+}
+
+/**
+ * Get a player's total: card points plus handicap and adjustments
+ * @param {Object} gameState - Game state with scores and optional handicaps/adjustments
+ * @param {number} playerIndex - Player index
+ * @returns {number} Adjusted total
+ */
+export function playerTotal(gameState, playerIndex) {
+    return cardTotal(gameState.scores[playerIndex]) + adjustmentTotal(gameState, playerIndex);
+}
+
+/**
+ * Get the adjustments made to a player in a round
+ * @param {Object} gameState - Game state with optional adjustments
+ * @param {number} playerIndex - Player index
+ * @param {number} round - Round number (1-indexed)
+ * @returns {Array<Object>} Adjustments, oldest first
+ */
+export function roundAdjustments(gameState, playerIndex, round) {
+    return (gameState.adjustments || []).filter(adjustment =>
+        adjustment.playerIndex === playerIndex && adjustment.round === round
+    );
+}
@@ -6,30 +6,156 @@
 import { Game } from './game.js';
 import { UI } from './ui.js';
 import { Statistics } from './statistics.js';
+import { Match } from './match.js';
+import { Tournament } from './tournament.js';
+import { Roster } from './roster.js';
+import { Storage, STORAGE_KEY } from './storage.js';
+import { Persistence } from './persistence.js';
+import { createBackup, validateBackup, restoreBackup, describeRestore } from './backup.js';
+import { GameSync } from './sync.js';
+import { isEncrypted, encryptText, decryptText } from './crypto.js';
+
+// Asked of other tabs at startup: is the stored game on your board?
+const GAME_OPEN_QUERY = 'gameOpen';
 
 class FiveCrownsApp {
     constructor() {
-        this.game = new Game();
-        this.statistics = new Statistics();
-        this.ui = new UI(this.game, this.statistics);
+        this.roster = new Roster();
+        this.game = new Game(this.roster);
+        this.statistics = new Statistics(this.roster);
+        this.match = new Match();
+        this.match.loadState();
+        this.tournament = new Tournament();
+        this.tournament.loadState();
+        this.ui = new UI(this.game, this.statistics, this.match, this.tournament);
         this.setupEventListeners();
-        this.checkForSavedGame();
+        this.watchStorage();
+        this.gameSync = new GameSync();
+        this.checkForSavedGame().then(() => this.watchOtherTabs());
+    }
+
+    /**
+     * Follow saves made in other tabs with the scorer open
+     */
+    watchOtherTabs() {
+        this.gameSync.setBase(Storage.load()?.events || []);
+        Persistence.onRemoteChange(key => this.handleRemoteChange(key));
+        // A tab opening alongside this one shares the game instead of setting it aside
+        Persistence.onQuery(GAME_OPEN_QUERY, gameId => this.game.isStarted() && this.game.gameId === gameId);
+    }
+
+    /**
+     * Handle another tab saving something
+     * @param {string} key - Storage key it wrote
+     */
+    handleRemoteChange(key) {
+        if (key !== STORAGE_KEY) {
+            this.statistics.reload();
+            this.roster.reload();
+            this.match.loadState();
+            this.tournament.loadState();
+            this.refreshView();
+            return;
+        }
+
+        const state = Storage.load();
+        let action = this.gameSync.receive(this.game.events, state ? state.events : null);
+
+        if (action === 'conflict') {
+            action = this.ui.confirm(
+                'This game was changed in another tab at the same time as here.\n\n' +
+                'OK: use the other tab\'s version\nCancel: keep this tab\'s version'
+            ) ? 'adopt' : 'rewrite';
+        }
+
+        if (action === 'adopt') {
+            this.game.restoreState(state || { events: [] });
+            this.refreshView();
+        } else if (action === 'rewrite') {
+            this.game.persist();
+        }
     }
 
     /**
-     * Check if there's a saved game and offer to restore it
+     * Redraw whatever is on screen after data changed underneath it
      */
-    checkForSavedGame() {
+    refreshView() {
+        const view = this.ui.currentView;
+
+        if (view === 'stats') {
+            this.ui.updateStatsView();
+        } else if (view === 'tournament') {
+            this.ui.updateTournamentView();
+        } else if (this.game.isStarted()) {
+            if (view !== 'game') {
+                this.ui.showGame();
+            }
+            this.ui.updateAll();
+        } else if (view === 'game') {
+            this.ui.showSetup();
+            this.ui.updatePlayerList();
+        }
+    }
+
+    /**
+     * Keep the storage warning banner in step with whether saving works
+     */
+    watchStorage() {
+        Persistence.onProblemChange(problem => this.ui.showStorageProblem(problem));
+        this.ui.showStorageProblem(Persistence.getProblem());
+        Persistence.checkHealth();
+    }
+
+    /**
+     * Restore the game in progress, or offer the saved games to pick from
+     * @returns {Promise<void>}
+     */
+    async checkForSavedGame() {
+        // A tournament picks up where it left off; its tables hold their own games
+        if (this.tournament.isActive()) {
+            this.game.loadState();
+            this.ui.showTournament();
+            return;
+        }
+
         if (this.game.loadState()) {
-            if (this.ui.confirm('Continue your previous game?')) {
+            // Another tab is playing this game, so play along rather than take it away
+            if (await Persistence.ask(GAME_OPEN_QUERY, this.game.gameId)) {
                 this.ui.showGame();
                 this.ui.updateAll();
-            } else {
-                this.game.reset();
-                this.ui.updatePlayerList();
+                return;
             }
-        } else {
-            this.ui.updatePlayerList();
+
+            // A match carries on from game to game, so it resumes as it was
+            if (this.match.isActive() && !this.match.isComplete() &&
+                this.ui.confirm('Continue your match?')) {
+                this.ui.showGame();
+                this.ui.updateAll();
+                return;
+            }
+
+            // Finished games are already in history; unfinished ones join the saved games
+            try {
+                if (!this.game.isGameComplete()) {
+                    this.game.pause();
+                } else {
+                    this.game.reset();
+                }
+            } catch (error) {
+                // Couldn't set it aside, so carry on with it rather than lose it
+                this.ui.showGame();
+                this.ui.updateAll();
+                return;
+            }
+            this.match.reset();
+        }
+
+        this.ui.showSetup();
+        this.ui.updatePlayerList();
+
+        const saves = Storage.listSaves();
+        if (saves.length > 0) {
+            this.ui.showSavedGames(saves);
         }
     }
 
@@ -47,6 +173,11 @@ class FiveCrownsApp {
             this.handleAddPlayer();
         });
 
+        // Add a regular from the roster
+        document.querySelector('[data-action="add-roster-player"]')?.addEventListener('click', () => {
+            this.handleAddRosterPlayer();
+        });
+
         // Player name input - Enter key
         this.ui.elements.playerNameInput?.addEventListener('keypress', (e) => {
             if (e.key === 'Enter') {
@@ -64,9 +195,70 @@ class FiveCrownsApp {
             this.handleSubmitRound();
         });
 
-        // Undo last round button
-        document.querySelector('[data-action="undo-round"]')?.addEventListener('click', () => {
-            this.handleUndoRound();
+        // Undo / redo buttons
+        document.querySelector('[data-action="undo"]')?.addEventListener('click', () => {
+            this.handleUndo();
+        });
+
+        document.querySelector('[data-action="redo"]')?.addEventListener('click', () => {
+            this.handleRedo();
+        });
+
+        // Ctrl+Z / Ctrl+Shift+Z (Cmd on Mac); Ctrl+Y also redoes
+        document.addEventListener('keydown', (e) => {
+            this.handleUndoShortcut(e);
+        });
+
+        // Add a player to a game in progress
+        document.querySelector('[data-action="add-late-player"]')?.addEventListener('click', () => {
+            this.handleAddLatePlayer();
+        });
+
+        // Bonus/penalty adjustments
+        document.querySelector('[data-action="add-adjustment"]')?.addEventListener('click', () => {
+            this.handleAddAdjustment();
+        });
+
+        this.ui.elements.adjustmentLog?.addEventListener('click', (e) => {
+            if (e.target.hasAttribute('data-remove-adjustment')) {
+                this.handleRemoveAdjustment(parseInt(e.target.getAttribute('data-remove-adjustment'), 10));
+            }
+        });
+
+        // Tournament controls
+        document.querySelector('[data-action="start-tournament"]')?.addEventListener('click', () => {
+            this.handleStartTournament();
+        });
+
+        document.querySelector('[data-action="view-tournament"]')?.addEventListener('click', () => {
+            this.handleViewTournament();
+        });
+
+        document.querySelector('[data-action="next-tournament-round"]')?.addEventListener('click', () => {
+            this.handleNextTournamentRound();
+        });
+
+        document.querySelector('[data-action="export-tournament-json"]')?.addEventListener('click', () => {
+            this.handleExportTournament('json');
+        });
+
+        document.querySelector('[data-action="export-tournament-csv"]')?.addEventListener('click', () => {
+            this.handleExportTournament('csv');
+        });
+
+        document.querySelector('[data-action="end-tournament"]')?.addEventListener('click', () => {
+            this.handleEndTournament();
+        });
+
+        this.ui.elements.tournamentContent?.addEventListener('click', (e) => {
+            if (e.target.hasAttribute('data-play-table')) {
+                this.handlePlayTable(parseInt(e.target.getAttribute('data-play-table'), 10));
+            }
+        });
+
+        // Next game of a match
+        document.querySelector('[data-action="next-game"]')?.addEventListener('click', () => {
+            this.handleNextGame();
         });
 
         // Reset game button
@@ -98,9 +290,89 @@ class FiveCrownsApp {
             this.handleImportGame();
         });
 
+        // Passphrases for encrypted files
+        document.getElementById('passphraseForm')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.ui.submitPassphrase();
+        });
+
+        document.querySelectorAll('[data-action="cancel-passphrase"]').forEach(button => {
+            button.addEventListener('click', () => this.ui.cancelPassphrase());
+        });
+
+        // Backup and restore
+        document.querySelector('[data-action="show-backup"]')?.addEventListener('click', () => {
+            this.ui.showBackupModal();
+        });
+
+        document.querySelectorAll('[data-action="close-backup"]').forEach(button => {
+            button.addEventListener('click', () => this.ui.hideBackupModal());
+        });
+
+        document.querySelector('[data-action="download-backup"]')?.addEventListener('click', () => {
+            this.handleDownloadBackup();
+        });
+
+        // The storage warning banner saves a plain backup in one click, as storage may be failing
+        document.querySelector('[data-action="download-backup-now"]')?.addEventListener('click', () => {
+            // One click while saving is failing: no passphrase prompt in the way
+            this.handleDownloadBackup({ encrypt: false });
+        });
+
+        document.querySelector('[data-action="restore-backup"]')?.addEventListener('click', () => {
+            this.handleRestoreBackup();
+        });
+
+        // Saved games
+        document.querySelector('[data-action="show-saved-games"]')?.addEventListener('click', () => {
+            this.ui.showSavedGames(Storage.listSaves());
+        });
+
+        document.querySelectorAll('[data-action="close-saved-games"]').forEach(button => {
+            button.addEventListener('click', () => this.ui.hideSavedGames());
+        });
+
+        this.ui.elements.savedGamesList?.addEventListener('click', (e) => {
+            if (e.target.hasAttribute('data-resume-save')) {
+                this.handleResumeSave(e.target.getAttribute('data-resume-save'));
+            } else if (e.target.hasAttribute('data-delete-save')) {
+                this.handleDeleteSave(e.target.getAttribute('data-delete-save'));
+            }
+        });
+
+        // Recovering recent games
+        document.querySelector('[data-action="show-recover"]')?.addEventListener('click', () => {
+            this.ui.showRecover(Storage.listSnapshots());
+        });
+
+        document.querySelectorAll('[data-action="close-recover"]').forEach(button => {
+            button.addEventListener('click', () => this.ui.hideRecover());
+        });
+
+        this.ui.elements.recoverList?.addEventListener('click', (e) => {
+            if (e.target.hasAttribute('data-recover-snapshot')) {
+                this.handleRecoverSnapshot(Number(e.target.getAttribute('data-recover-snapshot')));
+            }
+        });
+
+        // Renaming and merging players in history
+        document.querySelector('[data-action="rename-player"]')?.addEventListener('click', () => {
+            this.handleRenamePlayer();
+        });
+
+        document.querySelector('[data-action="merge-players"]')?.addEventListener('click', () => {
+            this.handleMergePlayers();
+        });
+
+        document.querySelector('[data-action="undo-player-change"]')?.addEventListener('click', () => {
+            this.handleUndoPlayerChange();
+        });
+
         // Back to game button
         document.querySelector('[data-action="back-to-game"]')?.addEventListener('click', () => {
-            if (this.game.players.length > 0) {
+            if (this.tournament.isActive() && this.tournament.activeTable === null) {
+                this.ui.showTournament();
+            } else if (this.game.players.length > 0) {
                 this.ui.showGame();
                 this.ui.updateAll();
             } else {
@@ -108,6 +380,11 @@ class FiveCrownsApp {
             }
         });
 
+        // Switching team mode shows or hides the team pickers
+        this.ui.elements.teamModeSelect?.addEventListener('change', () => {
+            this.ui.updatePlayerList();
+        });
+
         // Event delegation for remove player buttons
         this.ui.elements.playerList?.addEventListener('click', (e) => {
             if (e.target.hasAttribute('data-remove-player')) {
@@ -116,6 +393,33 @@ class FiveCrownsApp {
             }
         });
 
+        // Event delegation for editing past scores in the score table
+        this.ui.elements.scoreTableBody?.addEventListener('click', (e) => {
+            const cell = e.target.closest('[data-edit-round]');
+            if (cell) {
+                this.handleEditScore(
+                    parseInt(cell.getAttribute('data-edit-player'), 10),
+                    parseInt(cell.getAttribute('data-edit-round'), 10)
+                );
+            }
+        });
+
+        // Event delegation for the hand-value calculators and players leaving
+        this.ui.elements.scoreInputs?.addEventListener('click', (e) => {
+            if (e.target.hasAttribute('data-withdraw-player')) {
+                this.handleWithdrawPlayer(parseInt(e.target.getAttribute('data-withdraw-player'), 10));
+            } else {
+                this.handleCalculatorClick(e.target);
+            }
+        });
+
+        // Going out always scores 0
+        this.ui.elements.scoreInputs?.addEventListener('change', (e) => {
+            if (e.target.hasAttribute('data-went-out')) {
+                this.ui.markWentOut(parseInt(e.target.getAttribute('data-went-out'), 10));
+            }
+        });
+
         // Close modal when clicking outside
         this.ui.elements.importModal?.addEventListener('click', (e) => {
             if (e.target === this.ui.elements.importModal) {
@@ -139,6 +443,22 @@ class FiveCrownsApp {
         }
     }
 
+    /**
+     * Handle adding a player picked from the roster
+     */
+    handleAddRosterPlayer() {
+        try {
+            const playerId = this.ui.getSelectedRosterPlayer();
+            if (!playerId) {
+                return;
+            }
+            this.game.addPlayer('', { playerId });
+            this.ui.updatePlayerList();
+        } catch (error) {
+            this.ui.showError(error.message);
+        }
+    }
+
     /**
      * Handle removing a player
      * @param {number} index - Player index
@@ -148,6 +468,124 @@ class FiveCrownsApp {
         this.ui.updatePlayerList();
     }
 
+    /**
+     * Handle a player joining a game in progress
+     */
+    handleAddLatePlayer() {
+        const name = this.ui.prompt('Name of the player joining:', '');
+        if (name === null) {
+            return;
+        }
+
+        let team;
+        if (this.game.isTeamGame()) {
+            const teamList = this.game.teams.map((t, i) => `${i + 1}: ${t.name}`).join('\n');
+            const answer = this.ui.prompt(`Which team does ${name} join?\n${teamList}`, '1');
+            if (answer === null) {
+                return;
+            }
+            team = parseInt(answer, 10) - 1;
+        }
+
+        try {
+            this.game.addPlayer(name, { catchUp: this.ui.getSelectedCatchUp(), team });
+            this.ui.updateAll();
+        } catch (error) {
+            this.ui.showError(error.message);
+        }
+    }
+
+    /**
+     * Handle adding a bonus/penalty adjustment for the current round
+     */
+    handleAddAdjustment() {
+        const details = this.ui.promptAdjustment();
+        if (!details) {
+            return;
+        }
+
+        try {
+            this.game.addAdjustment(details.playerIndex, details.points, details.reason);
+            this.refreshAfterAdjustment();
+        } catch (error) {
+            this.ui.showError(error.message);
+        }
+    }
+
+    /**
+     * Handle removing an adjustment
+     * @param {number} index - Index into the game's adjustments
+     */
+    handleRemoveAdjustment(index) {
+        try {
+            this.game.removeAdjustment(index);
+            this.refreshAfterAdjustment();
+        } catch (error) {
+            this.ui.showError(error.message);
+        }
+    }
+
+    /**
+     * Redraw after an adjustment, keeping a finished game's history record in step
+     */
+    refreshAfterAdjustment() {
+        this.syncFinishedGame();
+        this.ui.updateAll();
+    }
+
+    /**
+     * A finished game is already in history (and maybe a match); keep its records in step
+     */
+    syncFinishedGame() {
+        if (!this.game.isGameComplete() || this.game.historyId === null) {
+            return;
+        }
+
+        const gameState = this.game.exportState();
+        this.statistics.updateGame(this.game.historyId, gameState);
+
+        if (this.match.updateGame(this.game.historyId, gameState) && this.match.recorded) {
+            this.statistics.saveMatch(this.match.toRecord());
+        }
+
+        this.tournament.saveTable(this.game);
+    }
+
+    /**
+     * Handle a player leaving a game in progress
+     * @param {number} index - Player index
+     */
+    handleWithdrawPlayer(index) {
+        const name = this.game.players[index];
+        if (!this.ui.confirm(`${name} leaves the game? Their rounds so far are kept, but they can't win.`)) {
+            return;
+        }
+
+        try {
+            this.game.removePlayer(index);
+            this.ui.updateAll();
+        } catch (error) {
+            this.ui.showError(error.message);
+        }
+    }
+
+    /**
+     * Handle a click inside the score inputs' hand calculators
+     * @param {HTMLElement} target - Clicked element
+     */
+    handleCalculatorClick(target) {
+        if (target.hasAttribute('data-calc-toggle')) {
+            this.ui.toggleCalculator(parseInt(target.getAttribute('data-calc-toggle'), 10));
+        } else if (target.hasAttribute('data-calc-card')) {
+            const index = parseInt(target.getAttribute('data-player-index'), 10);
+            this.ui.addCalculatorCard(index, target.getAttribute('data-calc-card'));
+        } else if (target.hasAttribute('data-calc-undo')) {
+            this.ui.removeLastCalculatorCard(parseInt(target.getAttribute('data-calc-undo'), 10));
+        } else if (target.hasAttribute('data-calc-clear')) {
+            this.ui.clearCalculator(parseInt(target.getAttribute('data-calc-clear'), 10));
+        }
+    }
+
     /**
      * Handle starting the game
      */
@@ -158,7 +596,27 @@ class FiveCrownsApp {
                 return;
             }
 
-            this.game.startNewGame(this.game.players);
+            const variant = this.ui.getSelectedVariant();
+            const options = {
+                name: this.ui.getGameName(),
+                tieBreaker: this.ui.getSelectedTieBreaker(),
+                firstDealer: this.ui.getSelectedFirstDealer(),
+                teams: this.ui.getSelectedTeams(),
+                handicaps: this.ui.getSelectedHandicaps()
+            };
+            const bestOf = this.ui.getSelectedBestOf();
+
+            if (bestOf > 1) {
+                this.match.start(this.game.players, {
+                    bestOf,
+                    scoring: this.ui.getSelectedMatchScoring(),
+                    gameOptions: { variant, ...options }
+                });
+                this.match.startNextGame(this.game);
+            } else {
+                this.match.reset();
+                this.game.startNewGame(this.game.players, variant, options);
+            }
             this.ui.showGame();
             this.ui.updateAll();
         } catch (error) {
@@ -176,30 +634,46 @@ class FiveCrownsApp {
                 return;
             }
 
-            const { scores, allFilled } = this.ui.getScoreInputs();
+            const { scores, allFilled, wentOut } = this.ui.getScoreInputs();
 
             // Check if any scores are missing
             if (!allFilled) {
                 if (!this.ui.confirm('Some scores are missing. Continue anyway?')) {
                     return;
                 }
-                // Replace null with 0 for missing scores
+                // Replace null with 0 for missing scores of players in the round
                 for (let i = 0; i < scores.length; i++) {
-                    if (scores[i] === null) {
+                    if (scores[i] === null && this.game.isActive(i)) {
                         scores[i] = 0;
                     }
                 }
             }
 
-            const gameComplete = this.game.submitRound(scores);
+            const { errors, warnings } = this.game.validateRound(scores, wentOut);
+            this.ui.showRoundValidation(errors, warnings);
+
+            if (errors.length > 0) {
+                return;
+            }
+
+            if (warnings.length > 0 && !this.ui.confirm('Some scores look unusual. Submit anyway?')) {
+                return;
+            }
+
+            const gameComplete = this.game.submitRound(scores, wentOut);
             this.ui.updateAll();
 
             if (gameComplete) {
                 // Save to history
-                this.statistics.saveGame(this.game.exportState());
+                const record = this.statistics.saveGame(this.game.exportState());
+                this.game.linkHistory(record.id);
+
+                this.ui.announceWinners(this.game.getWinners());
 
-                const winner = this.game.getWinner();
-                this.ui.announceWinner(winner);
+                if (this.match.isActive() && !this.match.isComplete()) {
+                    this.recordMatchGame(record.id);
+                }
+                this.tournament.saveTable(this.game);
             }
         } catch (error) {
             this.ui.showError(error.message);
@@ -207,53 +681,561 @@ class FiveCrownsApp {
     }
 
     /**
-     * Handle undoing the last round
+     * Add a finished game to the match, saving the match once it is decided
+     * @param {number} historyId - The game's Statistics record id
+     */
+    recordMatchGame(historyId) {
+        if (!this.match.recordGame(this.game.exportState(), historyId)) {
+            this.ui.updateMatchBoard();
+            return;
+        }
+
+        this.statistics.saveMatch(this.match.toRecord());
+        this.match.markRecorded();
+        this.ui.updateMatchBoard();
+        this.ui.announceMatchWinners(this.match.getWinners());
+    }
+
+    /**
+     * Handle starting the next game of a match
      */
-    handleUndoRound() {
+    handleNextGame() {
         try {
-            if (this.game.currentRound === 1) {
-                this.ui.showError('No rounds to undo');
+            if (!this.game.isGameComplete()) {
+                this.ui.showError('Finish the current game first');
                 return;
             }
 
-            if (!this.ui.confirm('Undo the last round?')) {
+            this.match.startNextGame(this.game);
+            this.ui.updateAll();
+        } catch (error) {
+            this.ui.showError(error.message);
+        }
+    }
+
+    /**
+     * Handle starting a tournament with everyone added in setup
+     */
+    handleStartTournament() {
+        try {
+            const { tableSize, rounds } = this.ui.getSelectedTournamentOptions();
+            this.tournament.start(this.game.players, {
+                tableSize,
+                rounds,
+                gameOptions: {
+                    variant: this.ui.getSelectedVariant(),
+                    tieBreaker: this.ui.getSelectedTieBreaker()
+                }
+            });
+            this.match.reset();
+            this.game.reset();
+            this.ui.showTournament();
+        } catch (error) {
+            this.ui.showError(error.message);
+        }
+    }
+
+    /**
+     * Handle playing (or reviewing) a table of the current round
+     * @param {number} index - Table index
+     */
+    handlePlayTable(index) {
+        try {
+            this.tournament.saveTable(this.game);
+            this.tournament.playTable(this.game, index);
+            this.ui.showGame();
+            this.ui.updateAll();
+        } catch (error) {
+            this.ui.showError(error.message);
+        }
+    }
+
+    /**
+     * Handle going from a table back to the tournament overview
+     */
+    handleViewTournament() {
+        this.tournament.saveTable(this.game);
+        this.ui.showTournament();
+    }
+
+    /**
+     * Handle re-seating players for the next round
+     */
+    handleNextTournamentRound() {
+        try {
+            this.tournament.seatNextRound();
+            this.ui.updateTournamentView();
+        } catch (error) {
+            this.ui.showError(error.message);
+        }
+    }
+
+    /**
+     * Handle exporting the tournament leaderboard
+     * @param {string} format - 'json' or 'csv'
+     */
+    handleExportTournament(format) {
+        try {
+            const date = new Date().toISOString().split('T')[0];
+            if (format === 'csv') {
+                this.ui.downloadFile(this.tournament.exportToCSV(), `five-crowns-tournament-${date}.csv`, 'text/csv');
+            } else {
+                this.ui.downloadJSON(this.tournament.exportToJSON(), `five-crowns-tournament-${date}.json`);
+            }
+        } catch (error) {
+            this.ui.showError('Failed to export tournament: ' + error.message);
+        }
+    }
+
+    /**
+     * Handle ending the tournament and going back to setup
+     */
+    handleEndTournament() {
+        if (!this.ui.confirm('End the tournament? Tables and standings will be lost (finished games stay in history).')) {
+            return;
+        }
+
+        this.tournament.reset();
+        this.game.reset();
+        this.ui.showSetup();
+        this.ui.clearPlayerInput();
+        this.ui.updatePlayerList();
+    }
+
+    /**
+     * Handle correcting a score in a past round
+     * @param {number} playerIndex - Player index
+     * @param {number} round - Round number (1-indexed)
+     */
+    handleEditScore(playerIndex, round) {
+        try {
+            const player = this.game.players[playerIndex];
+            const current = this.game.getScore(playerIndex, round);
+            const input = this.ui.prompt(`New score for ${player} in round ${round}:`, current ?? '');
+
+            if (input === null || input.trim() === '') {
                 return;
             }
 
-            this.game.undoLastRound();
+            const score = Number(input.trim());
+            const { errors, warnings } = this.game.validateEdit(playerIndex, round, score);
+
+            if (errors.length > 0) {
+                this.ui.showError(errors[0].message);
+                return;
+            }
+
+            if (warnings.length > 0 && !this.ui.confirm(`${warnings[0].message}. Save anyway?`)) {
+                return;
+            }
+
+            this.game.editScore(playerIndex, round, score);
+
+            this.syncFinishedGame();
+
             this.ui.updateAll();
         } catch (error) {
             this.ui.showError(error.message);
         }
     }
 
+    /**
+     * Handle undoing the most recent change
+     */
+    handleUndo() {
+        try {
+            if (!this.game.canUndo()) {
+                this.ui.showError('Nothing to undo');
+                return;
+            }
+
+            this.game.undo();
+            this.refreshAfterHistoryChange();
+        } catch (error) {
+            this.ui.showError(error.message);
+        }
+    }
+
+    /**
+     * Handle redoing the most recently undone change
+     */
+    handleRedo() {
+        try {
+            if (!this.game.canRedo()) {
+                this.ui.showError('Nothing to redo');
+                return;
+            }
+
+            this.game.redo();
+            this.refreshAfterHistoryChange();
+        } catch (error) {
+            this.ui.showError(error.message);
+        }
+    }
+
+    /**
+     * Handle undo/redo keyboard shortcuts
+     * @param {KeyboardEvent} e - Keydown event
+     */
+    handleUndoShortcut(e) {
+        if (!(e.ctrlKey || e.metaKey) || e.altKey) {
+            return;
+        }
+
+        // Leave text fields their own native undo
+        const tag = e.target.tagName;
+        if (tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT') {
+            return;
+        }
+
+        const key = e.key.toLowerCase();
+        if (key === 'z' && !e.shiftKey) {
+            e.preventDefault();
+            if (this.game.canUndo()) this.handleUndo();
+        } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+            e.preventDefault();
+            if (this.game.canRedo()) this.handleRedo();
+        }
+    }
+
+    /**
+     * Re-render after undo/redo, which may cross between setup and game
+     */
+    refreshAfterHistoryChange() {
+        if (!this.game.isStarted()) {
+            if (this.ui.currentView === 'game') {
+                this.ui.showSetup();
+            }
+            this.ui.updatePlayerList();
+            return;
+        }
+
+        this.syncFinishedGame();
+
+        if (this.ui.currentView === 'setup') {
+            this.ui.showGame();
+        }
+        this.ui.updateAll();
+    }
+
     /**
      * Handle resetting the game
      */
     handleResetGame() {
-        if (!this.ui.confirm('Start a new game? All scores will be lost.')) {
+        if (this.tournament.isActive()) {
+            this.handleEndTournament();
             return;
         }
 
-        this.game.reset();
+        if (this.match.isActive() && !this.match.isComplete()) {
+            if (!this.ui.confirm('Start a new game? The current match and all scores will be lost.')) {
+                return;
+            }
+            this.game.reset();
+        } else if (this.game.isStarted() && !this.game.isGameComplete()) {
+            if (!this.ui.confirm('Start a new game? This one will be kept in your saved games.')) {
+                return;
+            }
+            try {
+                this.game.pause();
+            } catch (error) {
+                this.ui.showError(error.message);
+                return;
+            }
+        } else {
+            this.game.reset();
+        }
+
+        this.match.reset();
         this.ui.showSetup();
         this.ui.clearPlayerInput();
         this.ui.updatePlayerList();
     }
 
+    /**
+     * Handle resuming a saved game
+     * @param {string} id - Save ID
+     */
+    handleResumeSave(id) {
+        try {
+            // Keep whatever is on the board; the picker only opens from setup
+            if (this.game.isStarted() && !this.game.isGameComplete()) {
+                this.game.pause();
+            }
+            this.game.resume(id);
+            this.match.reset();
+            this.ui.hideSavedGames();
+            this.ui.showGame();
+            this.ui.updateAll();
+        } catch (error) {
+            this.ui.showError(error.message);
+        }
+    }
+
+    /**
+     * Handle deleting a saved game
+     * @param {string} id - Save ID
+     */
+    handleDeleteSave(id) {
+        if (!this.ui.confirm('Delete this saved game? Its scores will be lost.')) {
+            return;
+        }
+
+        Storage.deleteSave(id);
+        const saves = Storage.listSaves();
+        if (saves.length > 0) {
+            this.ui.showSavedGames(saves);
+        } else {
+            this.ui.hideSavedGames();
+        }
+        this.ui.showSetup();
+    }
+
+    /**
+     * Handle restoring a game from a snapshot
+     * @param {number} id - Snapshot ID
+     */
+    handleRecoverSnapshot(id) {
+        try {
+            if (this.game.isStarted() && !this.game.isGameComplete()) {
+                this.game.pause();
+            }
+            this.game.recover(id);
+            this.match.reset();
+            this.ui.hideRecover();
+            this.ui.showGame();
+            this.ui.updateAll();
+        } catch (error) {
+            this.ui.showError(error.message);
+        }
+    }
+
+    /**
+     * Describe how many games and matches a player change touches
+     * @param {Object} preview - Counts from Statistics.previewPlayerChange()
+     * @returns {string}
+     */
+    describePlayerChange({ games, matches }) {
+        const gameText = `${games} game${games === 1 ? '' : 's'}`;
+        return matches > 0 ? `${gameText} and ${matches} match${matches === 1 ? '' : 'es'}` : gameText;
+    }
+
+    /**
+     * Handle renaming a player throughout history
+     */
+    handleRenamePlayer() {
+        try {
+            const player = this.ui.getManagedPlayer('renamePlayerSelect');
+            const newName = this.ui.elements.renamePlayerInput.value.trim();
+            if (!player || !newName) {
+                this.ui.showError('Choose a player and enter their new name');
+                return;
+            }
+
+            const preview = this.statistics.previewPlayerChange(player);
+            if (!this.ui.confirm(`Rename ${player} to ${newName} in ${this.describePlayerChange(preview)}?`)) {
+                return;
+            }
+
+            this.statistics.renamePlayer(player, newName);
+            this.ui.updateStatsView();
+        } catch (error) {
+            this.ui.showError(error.message);
+        }
+    }
+
+    /**
+     * Handle merging two players recorded under different names
+     */
+    handleMergePlayers() {
+        try {
+            const from = this.ui.getManagedPlayer('mergeFromSelect');
+            const into = this.ui.getManagedPlayer('mergeIntoSelect');
+            if (!from || !into || from === into) {
+                this.ui.showError('Choose two different players to merge');
+                return;
+            }
+
+            const preview = this.statistics.previewPlayerChange(from, into);
+            if (preview.conflicts > 0) {
+                this.ui.showError(`${from} and ${into} played ${preview.conflicts} game(s) together, so they can't be the same person`);
+                return;
+            }
+
+            if (!this.ui.confirm(`Merge ${from} into ${into}? ${this.describePlayerChange(preview)} will move to ${into}.`)) {
+                return;
+            }
+
+            this.statistics.mergePlayers(from, into);
+            this.ui.updateStatsView();
+        } catch (error) {
+            this.ui.showError(error.message);
+        }
+    }
+
+    /**
+     * Handle undoing the last rename or merge
+     */
+    handleUndoPlayerChange() {
+        try {
+            this.statistics.undoPlayerChange();
+            this.ui.updateStatsView();
+        } catch (error) {
+            this.ui.showError(error.message);
+        }
+    }
+
+    /**
+     * Offer to encrypt a file before it's downloaded, as exports carry players' names
+     * @param {string} jsonData - File contents
+     * @returns {Promise<{data: string, encrypted: boolean}|null>} What to save, or null if cancelled
+     */
+    async offerEncryption(jsonData) {
+        if (!this.ui.confirm('Encrypt this file with a passphrase? Do this before sharing it.\n\n' +
+            'OK: encrypt it\nCancel: save it unencrypted')) {
+            return { data: jsonData, encrypted: false };
+        }
+
+        const passphrase = await this.ui.askPassphrase({
+            title: 'Encrypt File',
+            message: 'Anyone opening the file will need this passphrase. It cannot be recovered if forgotten.',
+            confirm: true
+        });
+        return passphrase === null ? null : { data: await encryptText(jsonData, passphrase), encrypted: true };
+    }
+
+    /**
+     * Ask for the passphrase of an encrypted file and decrypt it; other files are returned as they are
+     * @param {string} text - File contents
+     * @returns {Promise<string|null>} Readable contents, or null if cancelled
+     */
+    async openFile(text) {
+        if (!isEncrypted(text)) {
+            return text;
+        }
+
+        const passphrase = await this.ui.askPassphrase({
+            title: 'Encrypted File',
+            message: 'This file is encrypted. Enter its passphrase to open it.'
+        });
+        return passphrase === null ? null : decryptText(text, passphrase);
+    }
+
+    /**
+     * Download a file, encrypted if the player wants
+     * @param {string} jsonData - File contents
+     * @param {string} name - File name without the date and extension
+     * @param {Object} [options] - Download options
+     * @param {boolean} [options.encrypt=true] - Offer to encrypt it first
+     */
+    async downloadFile(jsonData, name, { encrypt = true } = {}) {
+        const file = encrypt ? await this.offerEncryption(jsonData) : { data: jsonData, encrypted: false };
+        if (!file) {
+            return;
+        }
+
+        const date = new Date().toISOString().split('T')[0];
+        this.ui.downloadJSON(file.data, `${name}-${date}${file.encrypted ? '.encrypted' : ''}.json`);
+    }
+
     /**
      * Handle exporting game data
      */
-    handleExportGame() {
+    async handleExportGame() {
         try {
-            const jsonData = this.game.exportToJSON();
-            const filename = `five-crowns-game-${new Date().toISOString().split('T')[0]}.json`;
-            this.ui.downloadJSON(jsonData, filename);
+            await this.downloadFile(this.game.exportToJSON(), 'five-crowns-game');
         } catch (error) {
             this.ui.showError('Failed to export game: ' + error.message);
         }
     }
 
+    /**
+     * Handle downloading a backup of everything
+     * @param {Object} [options] - Download options
+     * @param {boolean} [options.encrypt=true] - Offer to encrypt it first
+     */
+    async handleDownloadBackup({ encrypt = true } = {}) {
+        try {
+            const backup = createBackup({
+                game: this.game,
+                statistics: this.statistics,
+                roster: this.roster,
+                match: this.match,
+                tournament: this.tournament,
+                settings: { theme: this.ui.getTheme() }
+            });
+            await this.downloadFile(JSON.stringify(backup, null, 2), 'five-crowns-backup', { encrypt });
+        } catch (error) {
+            this.ui.showError('Failed to create backup: ' + error.message);
+        }
+    }
+
+    /**
+     * Handle restoring a backup file, in place of this device's data or merged into it
+     */
+    handleRestoreBackup() {
+        const fileInput = this.ui.elements.backupFileInput;
+
+        if (!fileInput || !fileInput.files || fileInput.files.length === 0) {
+            this.ui.showError('Please select a backup file to restore');
+            return;
+        }
+
+        const file = fileInput.files[0];
+        const merge = this.ui.isRestoreMerge();
+        if (!merge && !this.ui.confirm('Replace all games, history and players on this device with the backup?')) {
+            return;
+        }
+
+        const reader = new FileReader();
+
+        reader.onload = async (e) => {
+            let report;
+            try {
+                const text = await this.openFile(e.target.result);
+                if (text === null) {
+                    return;
+                }
+
+                // Everything is checked before anything is touched
+                const data = validateBackup(JSON.parse(text));
+                report = restoreBackup(data, {
+                    game: this.game,
+                    statistics: this.statistics,
+                    roster: this.roster,
+                    match: this.match,
+                    tournament: this.tournament
+                }, merge);
+
+                if (report.theme === 'restored') {
+                    this.ui.setTheme(data.settings.theme);
+                }
+            } catch (error) {
+                this.ui.showError('Failed to restore backup: ' + error.message);
+                return;
+            }
+
+            this.gameSync.setBase(this.game.events);
+            this.ui.hideBackupModal();
+            if (this.tournament.isActive() && !this.game.isStarted()) {
+                this.ui.showTournament();
+            } else if (this.game.isStarted()) {
+                this.ui.showGame();
+                this.ui.updateAll();
+            } else {
+                this.ui.showSetup();
+                this.ui.updatePlayerList();
+            }
+            alert(describeRestore(report));
+        };
+
+        reader.onerror = () => {
+            this.ui.showError('Failed to read file');
+        };
+
+        reader.readAsText(file);
+    }
+
     /**
      * Handle importing game data
      */
@@ -268,10 +1250,14 @@ class FiveCrownsApp {
         const file = fileInput.files[0];
         const reader = new FileReader();
 
-        reader.onload = (e) => {
+        reader.onload = async (e) => {
             try {
-                const jsonData = e.target.result;
+                const jsonData = await this.openFile(e.target.result);
+                if (jsonData === null) {
+                    return;
+                }
                 this.game.importFromJSON(jsonData);
+                this.gameSync.setBase(this.game.events);
                 this.ui.hideImportModal();
                 this.ui.showGame();
                 this.ui.updateAll();
@@ -289,7 +1275,8 @@ class FiveCrownsApp {
     }
 }
 
-// Initialize app when DOM is ready
-document.addEventListener('DOMContentLoaded', () => {
+// Initialize app when DOM is ready and saved data has loaded
+document.addEventListener('DOMContentLoaded', async () => {
+    await Persistence.open();
     window.fiveCrownsApp = new FiveCrownsApp();
 });
@@ -0,0 +1,420 @@
+/**
+ * backup.js
+ * Backups of everything the app keeps, and restoring them either in place of
+ * this device's data or merged into it
+ */
+
+import { Storage, summarizeGame } from './storage.js';
+import { migrateLegacyGame, migrateLegacyHistory } from './schema.js';
+import { compareLogs } from './sync.js';
+import { Game, checkScoreTable } from './game.js';
+import { MATCH_SCORING } from './match.js';
+
+export const BACKUP_FORMAT = 'five-crowns-backup';
+export const BACKUP_VERSION = 2; // 2: settings
+
+const THEMES = ['light', 'dark'];
+
+/**
+ * Check for a plain object (not an array or null)
+ * @param {*} value - Value to check
+ * @returns {boolean}
+ */
+function isObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Check a game state, bringing older formats up to date
+ * @param {Object} state - Game state with its event log
+ * @returns {Object} Checked game state
+ */
+function checkGame(state) {
+    const game = migrateLegacyGame(state);
+    if (!game.events.every(event => isObject(event) && typeof event.type === 'string')) {
+        throw new Error('game has a broken event log');
+    }
+
+    // The log has to replay cleanly for the game to be restored at all,
+    // and to scores the score table can show
+    const replayed = Game.fromEvents(game.events);
+    checkScoreTable(replayed.snapshot(), replayed.maxRounds);
+    return game;
+}
+
+/**
+ * Check every entry of a list section
+ * @param {Array} list - Section data
+ * @param {string} label - What an entry is, for errors
+ * @param {Function} check - Throws if an entry isn't valid, otherwise returns it
+ * @returns {Array} Checked entries
+ */
+function checkList(list, label, check) {
+    if (!Array.isArray(list)) {
+        throw new Error(`${label} list is missing`);
+    }
+
+    return list.map((entry, index) => {
+        try {
+            if (!isObject(entry)) {
+                throw new Error('is empty');
+            }
+            return check(entry);
+        } catch (error) {
+            throw new Error(`${label} ${index + 1}: ${error.message}`);
+        }
+    });
+}
+
+/**
+ * Check for a list of player names
+ * @param {*} names - Value to check
+ * @param {string} what - What the names are, for the error
+ */
+function checkNames(names, what) {
+    if (!Array.isArray(names) || !names.every(name => typeof name === 'string' && name.trim() !== '')) {
+        throw new Error(`${what} are not a list of names`);
+    }
+}
+
+/**
+ * Check a game record's scores: one row per player of numbers, or null for rounds not played
+ * @param {Object} record - Game record
+ */
+function checkScores(record) {
+    const rowsValid = record.scores.length === record.players.length && record.scores.every(row =>
+        Array.isArray(row) && row.every(score => score === null || Number.isFinite(score))
+    );
+    if (!rowsValid) {
+        throw new Error('scores are not one row of numbers per player');
+    }
+}
+
+/**
+ * Check the winners of a game or match: [{ name, score? }, ...]
+ * @param {*} winners - Value to check
+ */
+function checkWinners(winners) {
+    if (!Array.isArray(winners) || !winners.every(winner => isObject(winner) && typeof winner.name === 'string')) {
+        throw new Error('winners are not a list of names');
+    }
+    if (!winners.every(winner => winner.score === undefined || Number.isFinite(winner.score))) {
+        throw new Error('winning scores are not numbers');
+    }
+}
+
+/**
+ * Check a finished game record from history, bringing older records up to date
+ * @param {Object} record - Game record
+ * @returns {Object} Checked record
+ */
+function checkHistoryRecord(record) {
+    checkNames(record.players, 'players');
+    if (!Array.isArray(record.scores)) {
+        throw new Error('has no scores');
+    }
+    checkScores(record);
+
+    const [migrated] = migrateLegacyHistory([record]);
+    checkWinners(migrated.winners);
+    if (migrated.wentOut !== undefined && !Array.isArray(migrated.wentOut)) {
+        throw new Error('went-out list is not a list');
+    }
+    return migrated;
+}
+
+/**
+ * Check a finished match record from history
+ * @param {Object} record - Match record
+ * @returns {Object} Checked record
+ */
+function checkMatchRecord(record) {
+    if (record.id === undefined || !Array.isArray(record.games)) {
+        throw new Error('has no games');
+    }
+    checkNames(record.players, 'players');
+    if (!Number.isInteger(record.bestOf) || record.bestOf < 1) {
+        throw new Error('has no number of games');
+    }
+    if (!MATCH_SCORING[record.scoring]) {
+        throw new Error(`has an unknown scoring rule: ${record.scoring}`);
+    }
+    checkList(record.standings, 'standing', entry => {
+        if (typeof entry.name !== 'string' || !Number.isFinite(entry.total) ||
+            !Number.isInteger(entry.gamesWon) || entry.gamesWon < 0) {
+            throw new Error('has no name, total or games won');
+        }
+        return entry;
+    });
+    checkWinners(record.winners);
+    record.winners.forEach(winner => checkNames(winner.members, 'winning members'));
+    return record;
+}
+
+/**
+ * Check the match in progress
+ * @param {Object} state - Match state
+ * @returns {Object} Checked state
+ */
+function checkMatch(state) {
+    if (!isObject(state)) {
+        throw new Error('is not a match');
+    }
+    checkNames(state.players, 'players');
+    if (!Number.isInteger(state.bestOf) || state.bestOf < 1) {
+        throw new Error('has no number of games');
+    }
+
+    checkList(state.games, 'game', game => {
+        checkList(game.sides, 'side', side => {
+            checkNames(side.members, 'members');
+            if (typeof side.name !== 'string' || !Number.isFinite(side.total)) {
+                throw new Error('has no name or total');
+            }
+            return side;
+        });
+        checkNames(game.winners, 'winners');
+        return game;
+    });
+    return state;
+}
+
+/**
+ * Check the tournament in progress
+ * @param {Object} state - Tournament state
+ * @returns {Object} Checked state
+ */
+function checkTournament(state) {
+    if (!isObject(state)) {
+        throw new Error('is not a tournament');
+    }
+    checkNames(state.roster, 'players');
+    if (!Number.isInteger(state.totalRounds) || state.totalRounds < 1) {
+        throw new Error('has no number of rounds');
+    }
+
+    const rounds = checkList(state.rounds, 'round', round => ({
+        ...round,
+        tables: checkList(round.tables, 'table', table => {
+            checkNames(table.players, 'players');
+            return { ...table, state: table.state ? checkGame(table.state) : null, complete: table.complete === true };
+        })
+    }));
+
+    const tables = rounds[rounds.length - 1]?.tables || [];
+    if (state.activeTable !== null && state.activeTable !== undefined && !tables[state.activeTable]) {
+        throw new Error('is playing a table that does not exist');
+    }
+    return { ...state, rounds };
+}
+
+/**
+ * Checks for each section of a backup's data; each throws if the section isn't valid
+ */
+const SECTIONS = {
+    currentGame: state => (state ? checkGame(state) : null),
+    savedGames: saves => checkList(saves, 'saved game', save => {
+        if (typeof save.id !== 'string') {
+            throw new Error('has no ID');
+        }
+        return { ...save, state: checkGame(save.state) };
+    }),
+    history: history => checkList(history, 'game', checkHistoryRecord),
+    matches: matches => checkList(matches, 'match', checkMatchRecord),
+    roster: profiles => checkList(profiles, 'player', profile => {
+        if (typeof profile.id !== 'string' || typeof profile.name !== 'string' || !profile.name.trim()) {
+            throw new Error('has no ID or name');
+        }
+        return profile;
+    }),
+    match: state => (state ? checkMatch(state) : null),
+    tournament: state => (state ? checkTournament(state) : null),
+    // Backups from before version 2 have no settings
+    settings: settings => {
+        if (settings !== undefined && !isObject(settings)) {
+            throw new Error('not a set of settings');
+        }
+        return { theme: THEMES.includes(settings?.theme) ? settings.theme : null };
+    }
+};
+
+/**
+ * Collect the app's data into a backup. It's built from the live objects rather
+ * than read back from storage, so nothing is missing when saving has been failing.
+ * @param {Object} sources
+ * @param {Game} sources.game - Current game
+ * @param {Statistics} sources.statistics - Game and match history
+ * @param {Roster} sources.roster - Player profiles
+ * @param {Match} sources.match - Current match
+ * @param {Tournament} sources.tournament - Current tournament
+ * @param {Object} [sources.settings] - Preferences, e.g. { theme }
+ * @returns {Object} Backup
+ */
+export function createBackup({ game, statistics, roster, match, tournament, settings = {} }) {
+    return {
+        format: BACKUP_FORMAT,
+        version: BACKUP_VERSION,
+        created: new Date().toISOString(),
+        data: {
+            currentGame: game.isStarted() ? { ...game.snapshot(), events: game.events } : null,
+            savedGames: Storage.loadSaves(),
+            history: statistics.history,
+            matches: statistics.matches,
+            roster: roster.profiles,
+            match: match.isActive() ? match.getState() : null,
+            tournament: tournament.isActive() ? tournament.getState() : null,
+            settings: { ...settings }
+        }
+    };
+}
+
+/**
+ * Check every section of a backup before anything is restored from it
+ * @param {Object} backup - Parsed backup file
+ * @returns {Object} The backup's data, checked and brought up to date
+ */
+export function validateBackup(backup) {
+    if (!isObject(backup) || backup.format !== BACKUP_FORMAT || !isObject(backup.data)) {
+        throw new Error('This is not a Five Crowns backup file');
+    }
+    if (!(backup.version <= BACKUP_VERSION)) {
+        throw new Error('This backup was made by a newer version of the app');
+    }
+
+    const data = {};
+    Object.entries(SECTIONS).forEach(([section, check]) => {
+        try {
+            data[section] = check(backup.data[section]);
+        } catch (error) {
+            throw new Error(`The backup's ${section} section is not valid (${error.message})`);
+        }
+    });
+    return data;
+}
+
+/**
+ * Restore the game being played
+ * @param {Object|null} state - Backed-up game
+ * @param {Game} game - Current game
+ * @param {boolean} merge - Keep a game in progress here
+ * @returns {string} What happened: 'restored', 'saved', 'kept', 'cleared' or 'none'
+ */
+function restoreCurrentGame(state, game, merge) {
+    if (!state) {
+        if (merge || !game.isStarted()) {
+            return 'none';
+        }
+        game.reset();
+        return 'cleared';
+    }
+
+    if (merge && game.isStarted() && !game.isGameComplete()) {
+        if (state.gameId && state.gameId === game.gameId) {
+            // The same game: take the backup only if it got further
+            if (compareLogs(game.events, state.events) !== 'behind') {
+                return 'kept';
+            }
+        } else {
+            // A different game is being played here, so the backup's waits in the saved games
+            const id = state.gameId || game.createId();
+            if (Storage.listSaves().some(save => save.id === id)) {
+                return 'kept';
+            }
+            Storage.park({
+                id,
+                updated: state.events[state.events.length - 1]?.timestamp ?? null,
+                ...summarizeGame(state),
+                state: { ...state, gameId: id }
+            });
+            return 'saved';
+        }
+    }
+
+    game.restoreState(state);
+    game.persist();
+    return 'restored';
+}
+
+/**
+ * Restore a match or tournament
+ * @param {Object|null} state - Backed-up state
+ * @param {Match|Tournament} target - Current match or tournament
+ * @param {boolean} merge - Keep one in progress here
+ * @returns {string} What happened: 'restored', 'kept', 'cleared' or 'none'
+ */
+function restoreProgress(state, target, merge) {
+    if (merge && target.isActive()) {
+        return state ? 'kept' : 'none';
+    }
+
+    if (!state) {
+        if (merge || !target.isActive()) {
+            return 'none';
+        }
+        target.reset();
+        return 'cleared';
+    }
+
+    target.setState(state);
+    target.saveState();
+    return 'restored';
+}
+
+/**
+ * Restore checked backup data. Replacing drops whatever this device had; merging
+ * adds what's missing here and keeps this device's games in progress and settings.
+ * @param {Object} data - Data from validateBackup()
+ * @param {Object} targets - The live objects, as for createBackup()
+ * @param {boolean} [merge=false] - Merge instead of replacing
+ * @returns {Object} Report of what was restored, for describeRestore()
+ */
+export function restoreBackup(data, { game, statistics, roster, match, tournament }, merge = false) {
+    const counts = (added, total) => ({ added, skipped: total - added });
+
+    // Profiles first, so history from the backup finds its players
+    const players = roster.restore(data.roster, merge);
+    const { games, matches } = statistics.restore(data, merge);
+
+    const saves = merge ? data.savedGames.filter(save => save.id !== game.gameId) : data.savedGames;
+    const savedGames = Storage.restoreSaves(saves, merge);
+
+    return {
+        merged: merge,
+        currentGame: restoreCurrentGame(data.currentGame, game, merge),
+        savedGames: counts(savedGames, data.savedGames.length),
+        games: counts(games, data.history.length),
+        matches: counts(matches, data.matches.length),
+        players: counts(players, data.roster.length),
+        match: restoreProgress(data.match, match, merge),
+        tournament: restoreProgress(data.tournament, tournament, merge),
+        theme: !merge && data.settings.theme ? 'restored' : 'kept'
+    };
+}
+
+/**
+ * Summarize a restore for the player
+ * @param {Object} report - Report from restoreBackup()
+ * @returns {string} One line per section
+ */
+export function describeRestore(report) {
+    const outcomes = {
+        restored: 'restored',
+        saved: 'added to your saved games',
+        kept: 'kept the one on this device',
+        cleared: 'none in the backup, cleared',
+        none: 'none'
+    };
+    const counted = ({ added, skipped }, noun, plural = `${noun}s`) =>
+        `${added} ${added === 1 ? noun : plural} added${skipped > 0 ? `, ${skipped} already here` : ''}`;
+
+    return [
+        report.merged ? 'Backup merged into this device:' : 'Backup restored:',
+        `Current game: ${outcomes[report.currentGame]}`,
+        `Saved games: ${counted(report.savedGames, 'game')}`,
+        `History: ${counted(report.games, 'game')}; ${counted(report.matches, 'match', 'matches')}`,
+        `Players: ${counted(report.players, 'player')}`,
+        `Match: ${outcomes[report.match]}`,
+        `Tournament: ${outcomes[report.tournament]}`,
+        `Theme: ${report.theme === 'restored' ? 'restored' : 'unchanged'}`
+    ].join('\n');
+}
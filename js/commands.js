@@ -0,0 +1,171 @@
+/**
+ * commands.js
+ * Reversible commands for every change made to a Game
+ *
+ * Commands are the undoable entries of the game's event log, keyed by event
+ * type. Each event carries everything needed to both apply and revert it.
+ */
+
+/**
+ * Set every player's score for a round
+ * @param {Game} game - Game to change
+ * @param {number} round - Round number (1-indexed)
+ * @param {Array<number|null>} scores - Score per player
+ * @param {number|null} wentOut - Index of the player who went out
+ */
+function setRound(game, round, scores, wentOut) {
+    scores.forEach((score, index) => {
+        game.scores[index][round - 1] = score;
+    });
+    game.wentOut[round - 1] = wentOut;
+}
+
+/**
+ * Clear every player's score for a round
+ * @param {Game} game - Game to change
+ * @param {number} round - Round number (1-indexed)
+ */
+function clearRound(game, round) {
+    game.scores.forEach(playerScores => {
+        playerScores[round - 1] = null;
+    });
+    game.wentOut[round - 1] = null;
+}
+
+export const COMMANDS = {
+    PlayerJoined: {
+        apply(game, { name, playerId, index }) {
+            game.players.splice(index, 0, name);
+            game.playerIds.splice(index, 0, playerId ?? null);
+        },
+        revert(game, { index }) {
+            game.players.splice(index, 1);
+            game.playerIds.splice(index, 1);
+        },
+        describe: ({ name }) => `adding ${name}`
+    },
+
+    PlayerRemoved: {
+        apply(game, { index }) {
+            game.players.splice(index, 1);
+            game.playerIds.splice(index, 1);
+        },
+        revert(game, { name, playerId, index }) {
+            game.players.splice(index, 0, name);
+            game.playerIds.splice(index, 0, playerId ?? null);
+        },
+        describe: ({ name }) => `removing ${name}`
+    },
+
+    PlayerJoinedLate: {
+        apply(game, { name, playerId, index, round, scores, team }) {
+            game.players.push(name);
+            game.playerIds.push(playerId ?? null);
+            game.scores.push([...scores]);
+            game.joinedRound.push(round);
+            game.withdrawnRound.push(null);
+            game.handicaps.push(0);
+            if (team !== null && team !== undefined) {
+                game.teams[team].members.push(index);
+            }
+        },
+        revert(game, { team }) {
+            game.players.pop();
+            game.playerIds.pop();
+            game.scores.pop();
+            game.joinedRound.pop();
+            game.withdrawnRound.pop();
+            game.handicaps.pop();
+            if (team !== null && team !== undefined) {
+                game.teams[team].members.pop();
+            }
+        },
+        describe: ({ name }) => `${name} joining`
+    },
+
+    PlayerWithdrew: {
+        apply(game, { index, round }) {
+            game.withdrawnRound[index] = round;
+        },
+        revert(game, { index }) {
+            game.withdrawnRound[index] = null;
+        },
+        describe: ({ name }) => `${name} leaving`
+    },
+
+    RoundScored: {
+        apply(game, { round, scores, wentOut }) {
+            setRound(game, round, scores, wentOut);
+            game.currentRound = round + 1;
+        },
+        revert(game, { round }) {
+            clearRound(game, round);
+            game.currentRound = round;
+        },
+        describe: ({ round }) => `round ${round} scores`
+    },
+
+    RoundCleared: {
+        apply(game, { round }) {
+            clearRound(game, round);
+            game.currentRound = round;
+        },
+        revert(game, { round, scores, wentOut }) {
+            setRound(game, round, scores, wentOut);
+            game.currentRound = round + 1;
+        },
+        describe: ({ round }) => `clearing round ${round}`
+    },
+
+    ScoreCorrected: {
+        apply(game, { player, playerIndex, round, oldScore, newScore, timestamp }) {
+            game.scores[playerIndex][round - 1] = newScore;
+            game.edits.push({ player, playerIndex, round, oldScore, newScore, timestamp });
+        },
+        revert(game, { playerIndex, round, oldScore }) {
+            game.scores[playerIndex][round - 1] = oldScore;
+            game.edits.pop();
+        },
+        describe: ({ player, round }) => `${player}'s round ${round} correction`
+    },
+
+    AdjustmentAdded: {
+        apply(game, { adjustment }) {
+            game.adjustments.push({ ...adjustment });
+        },
+        revert(game) {
+            game.adjustments.pop();
+        },
+        describe: ({ adjustment }) => `${adjustment.player}'s ${adjustment.reason.toLowerCase()} adjustment`
+    },
+
+    AdjustmentRemoved: {
+        apply(game, { index }) {
+            game.adjustments.splice(index, 1);
+        },
+        revert(game, { index, adjustment }) {
+            game.adjustments.splice(index, 0, { ...adjustment });
+        },
+        describe: ({ adjustment }) => `removing ${adjustment.player}'s adjustment`
+    },
+
+    GameImported: {
+        apply(game, { after }) {
+            game.restoreSnapshot(after);
+        },
+        revert(game, { before }) {
+            game.restoreSnapshot(before);
+        },
+        describe: () => 'game import'
+    }
+};
+
+/**
+ * Describe a command for Undo/Redo labels
+ * @param {Object} command - Command event
+ * @returns {string} Short description
+ */
+export function describeCommand(command) {
+    const definition = COMMANDS[command.type];
+    return definition ? definition.describe(command) : command.type;
+}
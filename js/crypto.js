@@ -0,0 +1,135 @@
+/**
+ * crypto.js
+ * Passphrase encryption for exported files, so backups and games can be shared
+ * without exposing players' names. A key is derived from the passphrase with
+ * PBKDF2 and the file is sealed with AES-GCM, which also detects any change to it.
+ */
+
+export const ENCRYPTED_FORMAT = 'five-crowns-encrypted';
+export const ENCRYPTED_VERSION = 1;
+
+const PBKDF2_ITERATIONS = 250000;
+const MAX_ITERATIONS = 10000000; // a file asking for more has been tampered with
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+
+/**
+ * Encode bytes for a JSON file
+ * @param {Uint8Array} bytes - Bytes
+ * @returns {string} Base64
+ */
+function toBase64(bytes) {
+    return btoa(Array.from(bytes, byte => String.fromCharCode(byte)).join(''));
+}
+
+/**
+ * Decode bytes from a JSON file
+ * @param {string} text - Base64
+ * @returns {Uint8Array} Bytes
+ */
+function fromBase64(text) {
+    return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+}
+
+/**
+ * Derive the AES key for a passphrase
+ * @param {string} passphrase - Passphrase
+ * @param {Uint8Array} salt - Random salt stored with the file
+ * @param {number} iterations - PBKDF2 iterations
+ * @returns {Promise<CryptoKey>}
+ */
+async function deriveKey(passphrase, salt, iterations) {
+    const material = await crypto.subtle.importKey(
+        'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+    );
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+}
+
+/**
+ * Check whether a file's text is an encrypted file
+ * @param {string} text - File contents
+ * @returns {boolean}
+ */
+export function isEncrypted(text) {
+    try {
+        return JSON.parse(text)?.format === ENCRYPTED_FORMAT;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Encrypt a file's text with a passphrase
+ * @param {string} text - File contents, e.g. JSON
+ * @param {string} passphrase - Passphrase
+ * @returns {Promise<string>} JSON of the encrypted file
+ */
+export async function encryptText(text, passphrase) {
+    if (!passphrase) {
+        throw new Error('A passphrase is required');
+    }
+
+    const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+    const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+    const key = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+    const sealed = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(text));
+
+    return JSON.stringify({
+        format: ENCRYPTED_FORMAT,
+        version: ENCRYPTED_VERSION,
+        kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: PBKDF2_ITERATIONS, salt: toBase64(salt) },
+        cipher: { name: 'AES-GCM', iv: toBase64(iv) },
+        data: toBase64(new Uint8Array(sealed))
+    }, null, 2);
+}
+
+/**
+ * Decrypt an encrypted file. AES-GCM can't tell a wrong passphrase from a file
+ * that was changed, so both fail with the same error.
+ * @param {string} text - Encrypted file contents
+ * @param {string} passphrase - Passphrase
+ * @returns {Promise<string>} The original file contents
+ */
+export async function decryptText(text, passphrase) {
+    const damaged = () => new Error('This encrypted file is damaged and cannot be opened');
+
+    let file;
+    try {
+        file = JSON.parse(text);
+    } catch (error) {
+        throw damaged();
+    }
+    if (file?.format !== ENCRYPTED_FORMAT) {
+        throw new Error('This file is not encrypted');
+    }
+    if (file.version > ENCRYPTED_VERSION) {
+        throw new Error('This file was encrypted by a newer version of the app');
+    }
+
+    let salt, iv, sealed;
+    const iterations = file.kdf?.iterations;
+    try {
+        salt = fromBase64(file.kdf.salt);
+        iv = fromBase64(file.cipher.iv);
+        sealed = fromBase64(file.data);
+    } catch (error) {
+        throw damaged();
+    }
+    if (!Number.isInteger(iterations) || iterations < 1 || iterations > MAX_ITERATIONS || iv.length !== IV_BYTES) {
+        throw damaged();
+    }
+
+    try {
+        const key = await deriveKey(passphrase, salt, iterations);
+        const opened = await crypto.subtle.decrypt({ name: 'AES-GCM', iv }, key, sealed);
+        return new TextDecoder().decode(opened);
+    } catch (error) {
+        throw new Error('Wrong passphrase, or the file has been changed since it was encrypted');
+    }
+}
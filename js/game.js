@@ -4,67 +4,430 @@
  */
 
 import { Storage } from './storage.js';
+import { getVariant, normalizeVariant, rankName } from './variants.js';
+import { maxHandValue, maxNaturalHandValue } from './hand.js';
+import { findWinners, getSides, sideTotals, TIE_BREAKERS, DEFAULT_TIE_BREAKER } from './winners.js';
+import { COMMANDS, describeCommand } from './commands.js';
+import { cardTotal, adjustmentTotal, playerTotal } from './adjustments.js';
+import { CATCH_UP_RULES, DEFAULT_CATCH_UP, catchUpScores, isActiveInRound } from './lineup.js';
+
+// Lowest card in the deck; a non-zero hand can't be worth less
+const MIN_CARD_VALUE = 3;
+
+// Event types that aren't undoable commands (see COMMANDS for the rest):
+// - GameStarted:   { gameId, name, players, playerIds, variant, tieBreaker, firstDealer, teams, handicaps } starts a fresh game
+// - GameRestored:  { state } base state for saves made before the event log
+// - GameRecorded:  { historyId } the finished game was saved to history
+// - ChangeUndone:  { change } reverts the command event with that seq
+// - ChangeRedone:  { change } re-applies the command event with that seq
+
+/**
+ * Check the scores and round a game brings with it from a file or backup:
+ * one row per player of whole numbers (null for rounds not played) and a
+ * current round the game can reach. These end up in the score table as they are.
+ * @param {Object} state - Game state with players, scores and currentRound
+ * @param {number} rounds - Rounds in the game's variant
+ */
+export function checkScoreTable(state, rounds) {
+    const rowsValid = Array.isArray(state.scores) && state.scores.length === state.players.length &&
+        state.scores.every(row => Array.isArray(row) && row.length === rounds &&
+            row.every(score => score === null || Number.isInteger(score)));
+    if (!rowsValid) {
+        throw new Error('Scores are not one row of whole numbers per player');
+    }
+
+    if (!Number.isInteger(state.currentRound) || state.currentRound < 1 || state.currentRound > rounds + 1) {
+        throw new Error(`Invalid current round: ${state.currentRound}`);
+    }
+}
 
 export class Game {
-    constructor() {
+    /**
+     * @param {Roster} [roster] - Player profiles; without one, players are known by name only
+     */
+    constructor(roster = null) {
+        this.roster = roster;
+        this.gameId = null; // set when the game starts; identifies it among saved games
+        this.name = null; // optional name for the saved-games list
         this.players = [];
+        this.playerIds = []; // per player: roster profile ID, or null without a roster
         this.scores = [];
+        this.wentOut = []; // per round: index of the player who went out, or null
+        this.edits = []; // corrections made to already-played rounds
+        this.historyId = null; // id of the Statistics record once the game is complete
         this.currentRound = 1;
-        this.maxRounds = 11;
-        this.roundCards = [3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13];
+        this.variant = getVariant();
+        this.tieBreaker = DEFAULT_TIE_BREAKER;
+        this.firstDealer = 0; // index of the player who deals round 1
+        this.joinedRound = []; // per player: first round played (later than 1 for late joiners)
+        this.withdrawnRound = []; // per player: round they left from, or null
+        this.teams = []; // team mode: [{ name, members: [player index] }]; empty for individual play
+        this.handicaps = []; // per player: starting points, negative for a head start
+        this.adjustments = []; // bonus/penalty points kept apart from card points in scores
+        this.undoStack = []; // command events that can be undone, derived from the log
+        this.redoStack = [];
+        this.events = []; // append-only event log; everything above is derived from it
+        this.stored = false; // whether storage holds this game, so going back to setup knows to drop it
+    }
+
+    /**
+     * Rebuild a game from an event log without touching storage
+     * @param {Array<Object>} events - Event log
+     * @returns {Game} Replayed game
+     */
+    static fromEvents(events) {
+        const game = new Game();
+        game.replay(events);
+        return game;
+    }
+
+    /**
+     * Cards dealt in each round, in play order
+     * @returns {number[]}
+     */
+    get roundCards() {
+        return this.variant.roundCards;
+    }
+
+    /**
+     * Number of rounds in the current variant
+     * @returns {number}
+     */
+    get maxRounds() {
+        return this.variant.roundCards.length;
     }
 
     /**
      * Initialize a new game with players
      * @param {string[]} playerNames - Array of player names
+     * @param {string|Object} [variant] - Variant id or custom variant definition
+     * @param {Object} [options] - Game options
+     * @param {string} [options.tieBreaker] - Tie-breaker rule id (see TIE_BREAKERS)
+     * @param {number|string} [options.firstDealer] - Index of the first dealer, or 'random' to draw
+     * @param {Array<{name?: string, members: number[]}>} [options.teams] - Teams for team mode
+     * @param {number[]} [options.handicaps] - Starting points per player
+     * @param {Array<string|null>} [options.playerIds] - Roster profile IDs, looked up by name when omitted
+     * @param {string} [options.name] - Name shown in the saved-games list
+     * @param {boolean} [options.snapshot=true] - Keep a snapshot of the stored game this one replaces
+     *   (false when that game is kept elsewhere, e.g. in its tournament table)
      */
-    startNewGame(playerNames) {
+    startNewGame(playerNames, variant, options = {}) {
         if (playerNames.length < 2) {
             throw new Error('At least 2 players required');
         }
 
-        this.players = [...playerNames];
-        this.scores = this.players.map(() => new Array(this.maxRounds).fill(null));
-        this.currentRound = 1;
-        this.saveState();
+        const tieBreaker = options.tieBreaker || DEFAULT_TIE_BREAKER;
+        if (!TIE_BREAKERS[tieBreaker]) {
+            throw new Error(`Unknown tie-breaker: ${tieBreaker}`);
+        }
+
+        // A new game starts a new log
+        this.events = [];
+        this.record('GameStarted', {
+            gameId: this.createId(),
+            name: typeof options.name === 'string' && options.name.trim() ? options.name.trim() : null,
+            players: [...playerNames],
+            playerIds: options.playerIds ? [...options.playerIds] : this.lookupPlayerIds(playerNames),
+            variant: this.resolveVariant(variant),
+            tieBreaker,
+            firstDealer: this.resolveFirstDealer(options.firstDealer, playerNames.length),
+            teams: this.resolveTeams(options.teams, playerNames),
+            handicaps: this.resolveHandicaps(options.handicaps, playerNames.length)
+        }, { snapshot: options.snapshot });
     }
 
     /**
-     * Add a player during setup
-     * @param {string} name - Player name
-     * @returns {boolean} Success status
+     * Find each player's profile ID: kept from the current lineup, else from the roster
+     * (creating profiles for new names)
+     * @param {string[]} playerNames - Player names
+     * @returns {Array<string|null>} Profile IDs, null without a roster
      */
-    addPlayer(name) {
-        const trimmedName = name.trim();
+    lookupPlayerIds(playerNames) {
+        return playerNames.map(name => {
+            const index = this.players.indexOf(name);
+            if (index !== -1 && this.playerIds[index]) {
+                return this.playerIds[index];
+            }
+            return this.roster ? this.roster.ensure(name).id : null;
+        });
+    }
 
-        if (!trimmedName) {
-            throw new Error('Player name cannot be empty');
+    /**
+     * Resolve a variant id or definition into a validated variant
+     * @param {string|Object} [variant] - Variant id or definition
+     * @returns {Object} Variant definition
+     */
+    resolveVariant(variant) {
+        if (variant && typeof variant === 'object') {
+            return normalizeVariant(variant);
+        }
+        return getVariant(variant);
+    }
+
+    /**
+     * Resolve the first dealer option, drawing one at random if asked
+     * @param {number|string} [firstDealer] - Player index or 'random'
+     * @param {number} playerCount - Number of players
+     * @returns {number} Index of the player who deals round 1
+     */
+    resolveFirstDealer(firstDealer, playerCount) {
+        if (firstDealer === undefined) {
+            return 0;
         }
 
-        if (this.players.includes(trimmedName)) {
+        if (firstDealer === 'random') {
+            return Math.floor(Math.random() * playerCount);
+        }
+
+        if (!Number.isInteger(firstDealer) || firstDealer < 0 || firstDealer >= playerCount) {
+            throw new Error(`Invalid first dealer: ${firstDealer}`);
+        }
+        return firstDealer;
+    }
+
+    /**
+     * Validate team assignments and name unnamed teams after their members
+     * @param {Array<{name?: string, members: number[]}>} [teams] - Teams, or nothing for individual play
+     * @param {string[]} playerNames - Player names
+     * @returns {Array<{name: string, members: number[]}>} Teams (empty for individual play)
+     */
+    resolveTeams(teams, playerNames) {
+        if (!teams || teams.length === 0) {
+            return [];
+        }
+
+        if (!Array.isArray(teams) || teams.length < 2) {
+            throw new Error('Team mode needs at least 2 teams');
+        }
+
+        const assigned = new Set();
+        const resolved = teams.map(team => {
+            if (!team || !Array.isArray(team.members) || team.members.length === 0) {
+                throw new Error('Every team needs at least one player');
+            }
+
+            team.members.forEach(index => {
+                if (!Number.isInteger(index) || index < 0 || index >= playerNames.length) {
+                    throw new Error(`Invalid team member: ${index}`);
+                }
+                if (assigned.has(index)) {
+                    throw new Error(`${playerNames[index]} is on more than one team`);
+                }
+                assigned.add(index);
+            });
+
+            const name = typeof team.name === 'string' && team.name.trim()
+                ? team.name.trim()
+                : team.members.map(index => playerNames[index]).join(' & ');
+            return { name, members: [...team.members] };
+        });
+
+        if (assigned.size !== playerNames.length) {
+            throw new Error('Every player must be on a team');
+        }
+
+        if (new Set(resolved.map(team => team.name)).size !== resolved.length) {
+            throw new Error('Team names must be different');
+        }
+
+        return resolved;
+    }
+
+    /**
+     * Validate starting handicaps
+     * @param {number[]} [handicaps] - Starting points per player
+     * @param {number} playerCount - Number of players
+     * @returns {number[]} Handicap per player (all 0 when none were given)
+     */
+    resolveHandicaps(handicaps, playerCount) {
+        if (handicaps === undefined) {
+            return new Array(playerCount).fill(0);
+        }
+
+        if (!Array.isArray(handicaps) || handicaps.length !== playerCount) {
+            throw new Error('Handicaps must match player count');
+        }
+
+        handicaps.forEach(points => {
+            if (!Number.isInteger(points)) {
+                throw new Error(`Handicap must be a whole number: ${points}`);
+            }
+        });
+        return [...handicaps];
+    }
+
+    /**
+     * Check whether the game is played in teams
+     * @returns {boolean}
+     */
+    isTeamGame() {
+        return this.teams.length > 0;
+    }
+
+    /**
+     * Get the team a player is on
+     * @param {number} playerIndex - Player index
+     * @returns {number} Team index, or -1 outside team mode
+     */
+    getTeamIndex(playerIndex) {
+        return this.teams.findIndex(team => team.members.includes(playerIndex));
+    }
+
+    /**
+     * Get each team's members and running total
+     * @returns {Array<{name: string, members: number[], total: number}>} Empty outside team mode
+     */
+    getTeamTotals() {
+        if (!this.isTeamGame()) {
+            return [];
+        }
+
+        const totals = sideTotals(this);
+        return getSides(this).map((team, index) => ({ ...team, total: totals[index] }));
+    }
+
+    /**
+     * Add a player; once the game has started they join late with catch-up scores
+     * With a roster, the player is picked by profile ID or matched by name (a new name gets a new profile).
+     * @param {string} name - Player name (ignored when a profile ID is given)
+     * @param {Object} [options] - Join options
+     * @param {string} [options.playerId] - Roster profile to add
+     * @param {string} [options.catchUp] - Catch-up rule id for missed rounds (see CATCH_UP_RULES)
+     * @param {number} [options.team] - Team index to join (required in team mode)
+     * @returns {boolean} Success status
+     */
+    addPlayer(name, options = {}) {
+        const profile = this.resolveProfile(name, options.playerId);
+        const trimmedName = profile ? profile.name : name.trim();
+        const playerId = profile ? profile.id : null;
+
+        if (this.players.includes(trimmedName) || (playerId && this.playerIds.includes(playerId))) {
             throw new Error('Player already exists');
         }
 
-        this.players.push(trimmedName);
+        if (!this.isStarted()) {
+            this.record('PlayerJoined', { name: trimmedName, playerId, index: this.players.length });
+            return true;
+        }
+
+        if (this.isGameComplete()) {
+            throw new Error('Game is already complete');
+        }
+
+        const catchUp = options.catchUp || DEFAULT_CATCH_UP;
+        if (!CATCH_UP_RULES[catchUp]) {
+            throw new Error(`Unknown catch-up rule: ${catchUp}`);
+        }
+
+        const team = options.team ?? null;
+        if (this.isTeamGame() && !(Number.isInteger(team) && team >= 0 && team < this.teams.length)) {
+            throw new Error('Choose a team for the new player');
+        }
+
+        this.record('PlayerJoinedLate', {
+            name: trimmedName,
+            playerId,
+            index: this.players.length,
+            round: this.currentRound,
+            catchUp,
+            scores: catchUpScores(this, catchUp, this.currentRound),
+            team: this.isTeamGame() ? team : null
+        });
         return true;
     }
 
     /**
-     * Remove a player during setup
+     * Find the roster profile for a player being added
+     * @param {string} name - Player name
+     * @param {string} [playerId] - Profile picked from the roster
+     * @returns {Object|null} Profile (created for a new name), or null without a roster
+     */
+    resolveProfile(name, playerId) {
+        if (playerId) {
+            const profile = this.roster?.get(playerId);
+            if (!profile) {
+                throw new Error('Unknown player profile');
+            }
+            return profile;
+        }
+
+        const trimmedName = (name || '').trim();
+        if (!trimmedName) {
+            throw new Error('Player name cannot be empty');
+        }
+
+        // A name already in the game is rejected as a duplicate, not added to the roster
+        if (!this.roster || this.players.includes(trimmedName)) {
+            return null;
+        }
+        return this.roster.ensure(trimmedName);
+    }
+
+    /**
+     * Remove a player; once the game has started they withdraw instead,
+     * keeping the rounds they played
      * @param {number} index - Player index
      */
     removePlayer(index) {
-        if (index >= 0 && index < this.players.length) {
-            this.players.splice(index, 1);
+        if (index < 0 || index >= this.players.length) {
+            return;
+        }
+
+        if (!this.isStarted()) {
+            this.record('PlayerRemoved', { name: this.players[index], playerId: this.playerIds[index], index });
+            return;
+        }
+
+        if (this.isGameComplete()) {
+            throw new Error('Game is already complete');
         }
+
+        if (this.withdrawnRound[index] !== null) {
+            throw new Error(`${this.players[index]} has already left the game`);
+        }
+
+        if (this.getActivePlayers().length <= 2) {
+            throw new Error('At least 2 players must stay in the game');
+        }
+
+        const teamsLeft = this.teams.filter(team =>
+            team.members.some(member => member !== index && this.withdrawnRound[member] === null)
+        );
+        if (this.isTeamGame() && teamsLeft.length < 2) {
+            throw new Error('At least 2 teams must stay in the game');
+        }
+
+        this.record('PlayerWithdrew', { name: this.players[index], index, round: this.currentRound });
+    }
+
+    /**
+     * Check whether a player takes part in a round
+     * @param {number} playerIndex - Player index
+     * @param {number} [round] - Round number (1-indexed), defaults to the current round
+     * @returns {boolean} True if the player plays the round
+     */
+    isActive(playerIndex, round = this.currentRound) {
+        return isActiveInRound(this, playerIndex, round);
+    }
+
+    /**
+     * Get the players taking part in a round
+     * @param {number} [round] - Round number (1-indexed), defaults to the current round
+     * @returns {number[]} Player indices
+     */
+    getActivePlayers(round = this.currentRound) {
+        return this.players
+            .map((_, index) => index)
+            .filter(index => this.isActive(index, round));
     }
 
     /**
      * Submit scores for the current round
      * @param {number[]} roundScores - Array of scores for each player
+     * @param {number|null} [wentOutIndex] - Index of the player who went out first
      * @returns {boolean} Success status
      */
-    submitRound(roundScores) {
+    submitRound(roundScores, wentOutIndex = null) {
         if (this.currentRound > this.maxRounds) {
             throw new Error('Game is already complete');
         }
@@ -73,15 +436,207 @@ export class Game {
             throw new Error('Score count must match player count');
         }
 
-        // Validate and store scores
+        const { errors } = this.validateRound(roundScores, wentOutIndex);
+        if (errors.length > 0) {
+            throw new Error(errors[0].message);
+        }
+
+        this.record('RoundScored', {
+            round: this.currentRound,
+            scores: roundScores.map((score, index) => (this.isActive(index) ? score : null)),
+            wentOut: wentOutIndex
+        });
+
+        return this.isGameComplete();
+    }
+
+    /**
+     * Check a round's scores against the rules for that round
+     * Errors are impossible scores; warnings are possible but worth a second look.
+     * Players not in the round (late joiners' catch-up rounds, withdrawn players) are skipped.
+     * @param {Array<number|null>} roundScores - Array of scores for each player
+     * @param {number|null} [wentOutIndex] - Index of the player who went out first
+     * @param {number} [round] - Round number (1-indexed), defaults to the current round
+     * @returns {{errors: Array<{playerIndex: number|null, message: string}>, warnings: Array<{playerIndex: number|null, message: string}>}}
+     */
+    validateRound(roundScores, wentOutIndex = null, round = this.currentRound) {
+        const errors = [];
+        const warnings = [];
+
+        const active = this.getActivePlayers(round);
+
         roundScores.forEach((score, index) => {
-            this.scores[index][this.currentRound - 1] = score;
+            if (!active.includes(index)) {
+                return;
+            }
+            const result = this.validateScore(score, round);
+            if (result.error) {
+                errors.push({ playerIndex: index, message: result.error });
+            } else if (result.warning) {
+                warnings.push({ playerIndex: index, message: result.warning });
+            }
         });
 
-        this.currentRound++;
-        this.saveState();
+        if (wentOutIndex !== null) {
+            if (!active.includes(wentOutIndex)) {
+                errors.push({ playerIndex: null, message: 'Invalid player for going out' });
+            } else if (roundScores[wentOutIndex] !== 0) {
+                errors.push({
+                    playerIndex: wentOutIndex,
+                    message: `${this.players[wentOutIndex]} went out and must score 0`
+                });
+            }
+        }
 
-        return this.isGameComplete();
+        if (errors.length === 0 && !active.some(index => roundScores[index] === 0)) {
+            warnings.push({ playerIndex: null, message: 'Nobody scored 0, but someone must have gone out' });
+        }
+
+        return { errors, warnings };
+    }
+
+    /**
+     * Check a single player's score for a round
+     * @param {number|null} score - Score to check
+     * @param {number} round - Round number (1-indexed)
+     * @returns {{error: string|null, warning: string|null}}
+     */
+    validateScore(score, round) {
+        const { handSize, wildLabel } = this.getRoundInfo(round);
+        const result = { error: null, warning: null };
+
+        if (!Number.isInteger(score)) {
+            result.error = 'Score must be a whole number';
+        } else if (score < 0) {
+            result.error = 'Score cannot be negative';
+        } else if (score > 0 && score < MIN_CARD_VALUE) {
+            result.error = `No card is worth less than ${MIN_CARD_VALUE}`;
+        } else if (handSize !== undefined && score > maxHandValue(handSize, wildLabel)) {
+            result.error = `Maximum possible with ${handSize} cards is ${maxHandValue(handSize, wildLabel)}`;
+        } else if (handSize !== undefined && score > maxNaturalHandValue(handSize, wildLabel)) {
+            result.warning = 'Only possible holding wilds or Jokers';
+        }
+
+        return result;
+    }
+
+    /**
+     * Check a correction to an already-played round
+     * @param {number} playerIndex - Player index
+     * @param {number} round - Round number (1-indexed)
+     * @param {number} score - Corrected score
+     * @returns {{errors: Array<Object>, warnings: Array<Object>}} Same shape as validateRound()
+     */
+    validateEdit(playerIndex, round, score) {
+        if (playerIndex < 0 || playerIndex >= this.players.length) {
+            return { errors: [{ playerIndex: null, message: 'Invalid player' }], warnings: [] };
+        }
+
+        if (round < 1 || round >= this.currentRound) {
+            return { errors: [{ playerIndex, message: `Round ${round} has not been played yet` }], warnings: [] };
+        }
+
+        const withdrawn = this.withdrawnRound[playerIndex];
+        if (withdrawn !== null && round >= withdrawn) {
+            return { errors: [{ playerIndex, message: `${this.players[playerIndex]} had left by round ${round}` }], warnings: [] };
+        }
+
+        // Catch-up scores for rounds before a late join only need to be plausible
+        if (!this.isActive(playerIndex, round)) {
+            const { error, warning } = this.validateScore(score, round);
+            return {
+                errors: error ? [{ playerIndex, message: error }] : [],
+                warnings: warning ? [{ playerIndex, message: warning }] : []
+            };
+        }
+
+        const roundScores = this.players.map((_, index) =>
+            index === playerIndex ? score : this.scores[index][round - 1]
+        );
+        return this.validateRound(roundScores, this.getWentOut(round), round);
+    }
+
+    /**
+     * Correct a score in an already-played round
+     * @param {number} playerIndex - Player index
+     * @param {number} round - Round number (1-indexed)
+     * @param {number} score - Corrected score
+     * @returns {Object|null} The recorded edit, or null if the score was unchanged
+     */
+    editScore(playerIndex, round, score) {
+        const { errors } = this.validateEdit(playerIndex, round, score);
+        if (errors.length > 0) {
+            throw new Error(errors[0].message);
+        }
+
+        const oldScore = this.scores[playerIndex][round - 1];
+        if (oldScore === score) {
+            return null;
+        }
+
+        this.record('ScoreCorrected', {
+            player: this.players[playerIndex],
+            playerIndex,
+            round,
+            oldScore,
+            newScore: score
+        });
+
+        return this.edits[this.edits.length - 1];
+    }
+
+    /**
+     * Add a bonus (negative) or penalty (positive) to a player for a round
+     * @param {number} playerIndex - Player index
+     * @param {number} points - Points to add to the player's total
+     * @param {string} reason - Why, e.g. 'Misdeal'
+     * @param {number} [round] - Round number (1-indexed), defaults to the round being played
+     * @returns {Object} The recorded adjustment
+     */
+    addAdjustment(playerIndex, points, reason, round = Math.min(this.currentRound, this.maxRounds)) {
+        if (!this.isStarted()) {
+            throw new Error('Game has not started');
+        }
+
+        if (!Number.isInteger(playerIndex) || playerIndex < 0 || playerIndex >= this.players.length) {
+            throw new Error('Invalid player');
+        }
+
+        if (!Number.isInteger(points) || points === 0) {
+            throw new Error('Adjustment must be a whole number of points other than 0');
+        }
+
+        const trimmedReason = typeof reason === 'string' ? reason.trim() : '';
+        if (!trimmedReason) {
+            throw new Error('Adjustment needs a reason');
+        }
+
+        if (!Number.isInteger(round) || round < 1 || round > Math.min(this.currentRound, this.maxRounds)) {
+            throw new Error(`Round ${round} has not been reached yet`);
+        }
+
+        const adjustment = {
+            player: this.players[playerIndex],
+            playerIndex,
+            round,
+            points,
+            reason: trimmedReason,
+            timestamp: new Date().toISOString()
+        };
+        this.record('AdjustmentAdded', { adjustment });
+        return adjustment;
+    }
+
+    /**
+     * Remove an adjustment
+     * @param {number} index - Index into adjustments
+     */
+    removeAdjustment(index) {
+        const adjustment = this.adjustments[index];
+        if (!adjustment) {
+            throw new Error('Adjustment not found');
+        }
+        this.record('AdjustmentRemoved', { index, adjustment });
     }
 
     /**
@@ -92,36 +647,302 @@ export class Game {
             throw new Error('No rounds to undo');
         }
 
-        this.currentRound--;
-        this.players.forEach((_, index) => {
-            this.scores[index][this.currentRound - 1] = null;
+        const round = this.currentRound - 1;
+        if (this.joinedRound.some(joined => joined > round)) {
+            throw new Error('Undo the late join before clearing earlier rounds');
+        }
+
+        this.record('RoundCleared', {
+            round,
+            scores: this.scores.map(playerScores => playerScores[round - 1]),
+            wentOut: this.getWentOut(round)
         });
+    }
 
-        this.saveState();
+    /**
+     * Append an event to the log, apply it and save
+     * @param {string} type - Event type (a COMMANDS key or lifecycle event)
+     * @param {Object} payload - Event data
+     * @param {Object} [saveOptions] - Options for saving (see Storage.save)
+     * @returns {Object} The recorded event
+     */
+    record(type, payload, saveOptions = {}) {
+        const event = {
+            seq: this.events.length + 1,
+            type,
+            timestamp: new Date().toISOString(),
+            ...payload
+        };
+
+        this.applyEvent(event);
+        this.events.push(event);
+
+        this.persist(saveOptions);
+        return event;
     }
 
     /**
-     * Get current round information
-     * @returns {Object} Round info with number and card count
+     * Apply one event to the derived state
+     * @param {Object} event - Event from the log
      */
-    getCurrentRoundInfo() {
+    applyEvent(event) {
+        switch (event.type) {
+            case 'GameStarted':
+                this.restoreSnapshot({
+                    gameId: event.gameId,
+                    name: event.name,
+                    players: event.players,
+                    playerIds: event.playerIds,
+                    scores: event.players.map(() => new Array(event.variant.roundCards.length).fill(null)),
+                    currentRound: 1,
+                    variant: event.variant,
+                    tieBreaker: event.tieBreaker,
+                    firstDealer: event.firstDealer,
+                    teams: event.teams,
+                    handicaps: event.handicaps
+                });
+                this.undoStack = [];
+                this.redoStack = [];
+                break;
+
+            case 'GameRestored':
+                this.restoreSnapshot(event.state);
+                this.undoStack = [];
+                this.redoStack = [];
+                break;
+
+            case 'GameRecorded':
+                this.historyId = event.historyId;
+                break;
+
+            case 'ChangeUndone': {
+                const command = this.undoStack.pop();
+                COMMANDS[command.type].revert(this, command);
+                this.redoStack.push(command);
+                break;
+            }
+
+            case 'ChangeRedone': {
+                const command = this.redoStack.pop();
+                COMMANDS[command.type].apply(this, command);
+                this.undoStack.push(command);
+                break;
+            }
+
+            default:
+                if (!COMMANDS[event.type]) {
+                    throw new Error(`Unknown event type: ${event.type}`);
+                }
+                COMMANDS[event.type].apply(this, event);
+                this.undoStack.push(event);
+                this.redoStack = [];
+        }
+    }
+
+    /**
+     * Rebuild all derived state by replaying an event log from scratch
+     * @param {Array<Object>} events - Event log
+     */
+    replay(events) {
+        const fresh = new Game();
+        this.restoreSnapshot(fresh.snapshot());
+        this.undoStack = [];
+        this.redoStack = [];
+
+        events.forEach(event => this.applyEvent(event));
+        this.events = JSON.parse(JSON.stringify(events));
+    }
+
+    /**
+     * Get the full event log
+     * @returns {Array<Object>} Events, oldest first
+     */
+    getTimeline() {
+        return this.events;
+    }
+
+    /**
+     * Note that the finished game was saved to history
+     * @param {number} historyId - Statistics record id
+     */
+    linkHistory(historyId) {
+        this.record('GameRecorded', { historyId });
+    }
+
+    /**
+     * Revert the most recent command
+     * @returns {Object} The undone command
+     */
+    undo() {
+        if (!this.canUndo()) {
+            throw new Error('Nothing to undo');
+        }
+
+        const command = this.undoStack[this.undoStack.length - 1];
+        this.record('ChangeUndone', { change: command.seq });
+        return command;
+    }
+
+    /**
+     * Re-apply the most recently undone command
+     * @returns {Object} The redone command
+     */
+    redo() {
+        if (!this.canRedo()) {
+            throw new Error('Nothing to redo');
+        }
+
+        const command = this.redoStack[this.redoStack.length - 1];
+        this.record('ChangeRedone', { change: command.seq });
+        return command;
+    }
+
+    /**
+     * @returns {boolean} True if there is a command to undo
+     */
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    /**
+     * @returns {boolean} True if there is a command to redo
+     */
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * Describe what Undo would revert
+     * @returns {string|null} Description or null if nothing to undo
+     */
+    getUndoDescription() {
+        return this.canUndo() ? describeCommand(this.undoStack[this.undoStack.length - 1]) : null;
+    }
+
+    /**
+     * Describe what Redo would re-apply
+     * @returns {string|null} Description or null if nothing to redo
+     */
+    getRedoDescription() {
+        return this.canRedo() ? describeCommand(this.redoStack[this.redoStack.length - 1]) : null;
+    }
+
+    /**
+     * Check whether a game has been started (setup changes aren't saved)
+     * @returns {boolean}
+     */
+    isStarted() {
+        return this.scores.length > 0;
+    }
+
+    /**
+     * Save after a change, or drop the saved game if undo went back to setup.
+     * Setup itself saves nothing, so another tab's game in storage is left alone.
+     * @param {Object} [saveOptions] - Options for saving (see Storage.save)
+     */
+    persist(saveOptions = {}) {
+        if (this.isStarted()) {
+            this.saveState(saveOptions);
+            this.stored = true;
+        } else if (this.stored) {
+            Storage.clear();
+            this.stored = false;
+        }
+    }
+
+    /**
+     * Get the index of the player dealing a round
+     * @param {number} round - Round number (1-indexed)
+     * @returns {number} Player index, or -1 with no players
+     */
+    getDealerIndex(round) {
+        if (this.players.length === 0) {
+            return -1;
+        }
+
+        // The deal passes left each round, skipping anyone not in that round
+        let dealer = this.isActive(this.firstDealer, 1)
+            ? this.firstDealer
+            : this.nextActivePlayer(this.firstDealer, 1);
+        for (let r = 2; r <= round; r++) {
+            dealer = this.nextActivePlayer(dealer, r);
+        }
+        return dealer;
+    }
+
+    /**
+     * Find the next player after the given one who takes part in a round
+     * @param {number} playerIndex - Player index to start after
+     * @param {number} round - Round number (1-indexed)
+     * @returns {number} Player index
+     */
+    nextActivePlayer(playerIndex, round) {
+        const count = this.players.length;
+        for (let step = 1; step <= count; step++) {
+            const candidate = (playerIndex + step) % count;
+            if (this.isActive(candidate, round)) {
+                return candidate;
+            }
+        }
+        return (playerIndex + 1) % count;
+    }
+
+    /**
+     * Get information about a round
+     * @param {number} round - Round number (1-indexed)
+     * @returns {Object} Round info with card count, wild rank and dealer
+     */
+    getRoundInfo(round) {
+        const cards = this.roundCards[round - 1];
+        const inGame = cards !== undefined;
+        const dealerIndex = inGame ? this.getDealerIndex(round) : -1;
+
         return {
-            round: this.currentRound,
-            cards: this.roundCards[this.currentRound - 1],
-            maxRounds: this.maxRounds
+            round,
+            cards,
+            handSize: cards,
+            wildLabel: inGame ? this.variant.wildLabels[round - 1] : null,
+            wildRank: inGame ? rankName(cards) : null,
+            dealerIndex,
+            dealer: dealerIndex >= 0 ? this.players[dealerIndex] : null,
+            maxRounds: this.maxRounds,
+            variantName: this.variant.name
         };
     }
 
+    /**
+     * Get current round information
+     * @returns {Object} Round info with number, card count, wild rank and dealer
+     */
+    getCurrentRoundInfo() {
+        return this.getRoundInfo(this.currentRound);
+    }
+
     /**
      * Calculate total score for a player
      * @param {number} playerIndex - Player index
      * @returns {number} Total score
      */
     getPlayerTotal(playerIndex) {
-        return this.scores[playerIndex].reduce(
-            (sum, score) => sum + (score !== null ? score : 0),
-            0
-        );
+        return playerTotal(this, playerIndex);
+    }
+
+    /**
+     * Calculate a player's card points alone, without handicap or adjustments
+     * @param {number} playerIndex - Player index
+     * @returns {number} Card point total
+     */
+    getCardTotal(playerIndex) {
+        return cardTotal(this.scores[playerIndex]);
+    }
+
+    /**
+     * Calculate a player's handicap plus adjustments
+     * @param {number} playerIndex - Player index
+     * @returns {number} Points on top of card points
+     */
+    getAdjustmentTotal(playerIndex) {
+        return adjustmentTotal(this, playerIndex);
     }
 
     /**
@@ -133,23 +954,15 @@ export class Game {
     }
 
     /**
-     * Determine the winner
-     * @returns {Object|null} Winner info or null if game not complete
+     * Determine the winners, applying the game's tie-breaker
+     * @returns {Array<Object>|null} Winners (more than one on a shared win) or null if game not complete
      */
-    getWinner() {
+    getWinners() {
         if (!this.isGameComplete()) {
             return null;
         }
 
-        const totals = this.getAllTotals();
-        const minScore = Math.min(...totals);
-        const winnerIndex = totals.indexOf(minScore);
-
-        return {
-            name: this.players[winnerIndex],
-            score: minScore,
-            index: winnerIndex
-        };
+        return findWinners(this.exportState());
     }
 
     /**
@@ -171,38 +984,229 @@ export class Game {
     }
 
     /**
-     * Save current game state to localStorage
+     * Get the player who went out in a round
+     * @param {number} round - Round number (1-indexed)
+     * @returns {number|null} Player index or null if not recorded
      */
-    saveState() {
-        Storage.save({
+    getWentOut(round) {
+        const index = this.wentOut[round - 1];
+        return index === undefined ? null : index;
+    }
+
+    /**
+     * Build a went-out list for saved data, filling gaps from older saves
+     * @param {Array|undefined} wentOut - Saved went-out list
+     * @param {number} rounds - Number of rounds in the game
+     * @returns {Array} Went-out list with one entry per round
+     */
+    normalizeWentOut(wentOut, rounds) {
+        return Array.from({ length: rounds }, (_, i) =>
+            Array.isArray(wentOut) && Number.isInteger(wentOut[i]) ? wentOut[i] : null
+        );
+    }
+
+    /**
+     * Copy the game's derived state (everything but the event log and undo/redo stacks)
+     * @returns {Object} Deep copy of the game state
+     */
+    snapshot() {
+        return JSON.parse(JSON.stringify({
+            gameId: this.gameId,
+            name: this.name,
             players: this.players,
+            playerIds: this.playerIds,
             scores: this.scores,
-            currentRound: this.currentRound
-        });
+            wentOut: this.wentOut,
+            currentRound: this.currentRound,
+            variant: this.variant,
+            tieBreaker: this.tieBreaker,
+            firstDealer: this.firstDealer,
+            joinedRound: this.joinedRound,
+            withdrawnRound: this.withdrawnRound,
+            teams: this.teams,
+            handicaps: this.handicaps,
+            adjustments: this.adjustments,
+            edits: this.edits,
+            historyId: this.historyId
+        }));
+    }
+
+    /**
+     * Replace the game's state with a snapshot
+     * @param {Object} state - State from snapshot() or storage
+     */
+    restoreSnapshot(state) {
+        const copy = JSON.parse(JSON.stringify(state));
+        this.gameId = copy.gameId ?? null;
+        this.name = copy.name ?? null;
+        this.players = copy.players;
+        // Saves from before the roster have no profile IDs
+        this.playerIds = this.players.map((_, i) =>
+            typeof copy.playerIds?.[i] === 'string' ? copy.playerIds[i] : null
+        );
+        this.scores = copy.scores;
+        this.currentRound = copy.currentRound;
+        this.variant = copy.variant ? normalizeVariant(copy.variant) : getVariant();
+        this.wentOut = this.normalizeWentOut(copy.wentOut, this.maxRounds);
+        this.tieBreaker = TIE_BREAKERS[copy.tieBreaker] ? copy.tieBreaker : DEFAULT_TIE_BREAKER;
+        this.edits = Array.isArray(copy.edits) ? copy.edits : [];
+        this.historyId = copy.historyId || null;
+        // Saves from before dealer tracking started with the first player
+        this.firstDealer = Number.isInteger(copy.firstDealer) && copy.firstDealer >= 0 && copy.firstDealer < this.players.length
+            ? copy.firstDealer
+            : 0;
+        // Saves from before mid-game joins had everyone play every round
+        this.joinedRound = this.players.map((_, i) =>
+            Number.isInteger(copy.joinedRound?.[i]) ? copy.joinedRound[i] : 1
+        );
+        this.withdrawnRound = this.players.map((_, i) =>
+            Number.isInteger(copy.withdrawnRound?.[i]) ? copy.withdrawnRound[i] : null
+        );
+        this.teams = Array.isArray(copy.teams) ? copy.teams : [];
+        this.handicaps = this.players.map((_, i) =>
+            Number.isInteger(copy.handicaps?.[i]) ? copy.handicaps[i] : 0
+        );
+        this.adjustments = Array.isArray(copy.adjustments) ? copy.adjustments : [];
+    }
+
+    /**
+     * Save current game state
+     * The event log is the source of truth; the snapshot is saved alongside for readability.
+     * @param {Object} [saveOptions] - Options for saving (see Storage.save)
+     */
+    saveState(saveOptions = {}) {
+        Storage.save({
+            ...this.snapshot(),
+            events: this.events
+        }, saveOptions);
     }
 
     /**
-     * Load game state from localStorage
+     * Load game state
      * @returns {boolean} True if state was loaded successfully
      */
     loadState() {
         const state = Storage.load();
-        if (state) {
-            this.players = state.players;
-            this.scores = state.scores;
-            this.currentRound = state.currentRound;
-            return true;
+        if (!state) {
+            return false;
         }
-        return false;
+
+        this.restoreState(state);
+        return true;
+    }
+
+    /**
+     * Rebuild the game from saved state, replaying its event log
+     * (saves from before the log get one when storage migrates them)
+     * @param {Object} state - Saved state (snapshot plus events)
+     */
+    restoreState(state) {
+        this.replay(state.events);
+        this.stored = this.isStarted();
+    }
+
+    /**
+     * Make an ID no saved game has
+     * @returns {string} Game ID
+     */
+    createId() {
+        const taken = new Set(Storage.listSaves().map(save => save.id));
+        let id;
+        do {
+            id = `g-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+        } while (taken.has(id) || id === this.gameId);
+        return id;
+    }
+
+    /**
+     * Summarize the game for the saved-games list
+     * @returns {{id: string|null, name: string, updated: string|null, players: string[], currentRound: number, maxRounds: number}}
+     */
+    getSaveSummary() {
+        return {
+            id: this.gameId,
+            name: this.name || this.players.join(', '),
+            updated: this.events[this.events.length - 1]?.timestamp ?? null,
+            players: [...this.players],
+            currentRound: this.currentRound,
+            maxRounds: this.maxRounds
+        };
+    }
+
+    /**
+     * Put the game aside in the saved-games list and clear the board for a new one
+     */
+    pause() {
+        if (!this.isStarted()) {
+            throw new Error('No game in progress');
+        }
+
+        // Games saved before IDs existed get one now
+        this.gameId = this.gameId || this.createId();
+        const parked = Storage.park({
+            ...this.getSaveSummary(),
+            state: { ...this.snapshot(), events: this.events }
+        });
+        // Keep the game on the board rather than lose it
+        if (!parked) {
+            throw new Error('Could not save the game, so it was left open');
+        }
+        this.reset();
+    }
+
+    /**
+     * Resume a paused game from the saved-games list
+     * @param {string} id - Save ID
+     */
+    resume(id) {
+        const state = Storage.unpark(id);
+        if (!state) {
+            throw new Error('Saved game not found');
+        }
+
+        this.restoreState(state);
+        this.persist();
+    }
+
+    /**
+     * Bring back a game from a recent snapshot
+     * @param {number} id - Snapshot ID
+     */
+    recover(id) {
+        const state = Storage.getSnapshot(id);
+        if (!state) {
+            throw new Error('Snapshot not found');
+        }
+
+        this.restoreState(state);
+        this.persist();
     }
 
     /**
      * Reset game state and clear storage
      */
     reset() {
+        this.gameId = null;
+        this.name = null;
         this.players = [];
+        this.playerIds = [];
         this.scores = [];
+        this.wentOut = [];
+        this.edits = [];
+        this.historyId = null;
         this.currentRound = 1;
+        this.variant = getVariant();
+        this.tieBreaker = DEFAULT_TIE_BREAKER;
+        this.firstDealer = 0;
+        this.joinedRound = [];
+        this.withdrawnRound = [];
+        this.teams = [];
+        this.handicaps = [];
+        this.adjustments = [];
+        this.undoStack = [];
+        this.redoStack = [];
+        this.events = [];
+        this.stored = false;
         Storage.clear();
     }
 
@@ -244,19 +1248,108 @@ export class Game {
                 throw new Error('Scores data does not match players');
             }
 
-            // Validate each player's scores
-            game.scores.forEach((playerScores, index) => {
-                if (!Array.isArray(playerScores) || playerScores.length !== this.maxRounds) {
-                    throw new Error(`Invalid scores for player ${game.players[index]}`);
+            // Older exports only carry roundCards, or nothing at all for the standard game
+            let variant;
+            if (game.variant) {
+                variant = normalizeVariant(game.variant);
+            } else if (Array.isArray(game.roundCards)) {
+                variant = normalizeVariant({ roundCards: game.roundCards });
+            } else {
+                variant = getVariant();
+            }
+
+            // Validate each player's scores and the round, as backups are
+            const currentRound = game.currentRound ?? 1;
+            checkScoreTable({ ...game, currentRound }, variant.roundCards.length);
+
+            const wentOut = this.normalizeWentOut(game.wentOut, variant.roundCards.length);
+            wentOut.forEach((playerIndex, round) => {
+                if (playerIndex !== null && game.scores[playerIndex]?.[round] !== 0) {
+                    throw new Error(`Invalid going-out player in round ${round + 1}`);
                 }
             });
 
-            // Import data
-            this.players = game.players;
-            this.scores = game.scores;
-            this.currentRound = game.currentRound || 1;
+            if (game.tieBreaker !== undefined && !TIE_BREAKERS[game.tieBreaker]) {
+                throw new Error(`Unknown tie-breaker: ${game.tieBreaker}`);
+            }
+
+            if (game.edits !== undefined && !Array.isArray(game.edits)) {
+                throw new Error('Invalid edit history');
+            }
+
+            if (game.firstDealer !== undefined &&
+                !(Number.isInteger(game.firstDealer) && game.firstDealer >= 0 && game.firstDealer < game.players.length)) {
+                throw new Error(`Invalid first dealer: ${game.firstDealer}`);
+            }
 
-            this.saveState();
+            const rounds = variant.roundCards.length;
+            if (game.joinedRound !== undefined && !(Array.isArray(game.joinedRound) &&
+                game.joinedRound.length === game.players.length &&
+                game.joinedRound.every(round => Number.isInteger(round) && round >= 1 && round <= rounds))) {
+                throw new Error('Invalid join rounds');
+            }
+
+            if (game.withdrawnRound !== undefined && !(Array.isArray(game.withdrawnRound) &&
+                game.withdrawnRound.length === game.players.length &&
+                game.withdrawnRound.every(round => round === null || (Number.isInteger(round) && round >= 1 && round <= rounds)))) {
+                throw new Error('Invalid withdrawal rounds');
+            }
+
+            const teams = this.resolveTeams(game.teams, game.players);
+            const handicaps = this.resolveHandicaps(game.handicaps, game.players.length);
+
+            const adjustments = game.adjustments || [];
+            if (!Array.isArray(adjustments) || !adjustments.every(adjustment =>
+                adjustment &&
+                Number.isInteger(adjustment.playerIndex) &&
+                adjustment.playerIndex >= 0 && adjustment.playerIndex < game.players.length &&
+                Number.isInteger(adjustment.points) &&
+                Number.isInteger(adjustment.round) &&
+                adjustment.round >= 1 && adjustment.round <= rounds &&
+                typeof adjustment.reason === 'string')) {
+                throw new Error('Invalid adjustments');
+            }
+
+            // The imported timeline must replay to the scores it claims
+            let timeline = [];
+            if (game.events !== undefined) {
+                if (!Array.isArray(game.events)) {
+                    throw new Error('Invalid event log');
+                }
+                timeline = game.events;
+                const replayed = Game.fromEvents(timeline).snapshot();
+                if (timeline.length > 0 && JSON.stringify(replayed.scores) !== JSON.stringify(game.scores)) {
+                    throw new Error('Event log does not match scores');
+                }
+            }
+
+            // Import data
+            this.record('GameImported', {
+                before: this.snapshot(),
+                after: {
+                    // An imported game is a new saved game
+                    gameId: this.createId(),
+                    name: typeof game.name === 'string' ? game.name : null,
+                    players: game.players,
+                    // Profile IDs from another device mean nothing here; match players by name
+                    playerIds: this.lookupPlayerIds(game.players),
+                    scores: game.scores,
+                    wentOut,
+                    currentRound,
+                    variant,
+                    tieBreaker: game.tieBreaker || DEFAULT_TIE_BREAKER,
+                    firstDealer: game.firstDealer || 0,
+                    joinedRound: game.joinedRound,
+                    withdrawnRound: game.withdrawnRound,
+                    teams,
+                    handicaps,
+                    adjustments,
+                    edits: game.edits || [],
+                    // An imported game is not the same game as any local history record
+                    historyId: null
+                },
+                timeline
+            });
             return true;
         } catch (error) {
             console.error('Failed to import game:', error);
@@ -270,11 +1363,25 @@ export class Game {
      */
     exportState() {
         return {
+            gameId: this.gameId,
+            name: this.name,
             players: this.players,
+            playerIds: this.playerIds,
             scores: this.scores,
+            wentOut: this.wentOut,
             currentRound: this.currentRound,
             maxRounds: this.maxRounds,
-            roundCards: this.roundCards
+            roundCards: this.roundCards,
+            variant: this.variant,
+            tieBreaker: this.tieBreaker,
+            firstDealer: this.firstDealer,
+            joinedRound: this.joinedRound,
+            withdrawnRound: this.withdrawnRound,
+            teams: this.teams,
+            handicaps: this.handicaps,
+            adjustments: this.adjustments,
+            edits: this.edits,
+            events: this.events
         };
     }
 }
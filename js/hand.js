@@ -0,0 +1,80 @@
+/**
+ * hand.js
+ * Card point values for counting the cards left in a player's hand
+ */
+
+export const JOKER = 'Joker';
+
+export const WILD_VALUE = 20;
+export const JOKER_VALUE = 50;
+
+// Ranks in deck order; Five Crowns has no 2s or Aces
+export const CARD_RANKS = ['3', '4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K'];
+
+// Two decks of five suits, plus six Jokers
+const COPIES_PER_RANK = 10;
+const JOKER_COUNT = 6;
+
+const FACE_VALUES = { J: 11, Q: 12, K: 13 };
+
+/**
+ * Get the point value of a single card
+ * @param {string} rank - Card rank label ('3'-'10', 'J', 'Q', 'K' or 'Joker')
+ * @param {string|null} wildLabel - Wild rank label for the round
+ * @returns {number} Point value
+ */
+export function cardValue(rank, wildLabel) {
+    if (rank === JOKER) {
+        return JOKER_VALUE;
+    }
+
+    if (!CARD_RANKS.includes(rank)) {
+        throw new Error(`Unknown card rank: ${rank}`);
+    }
+
+    if (rank === wildLabel) {
+        return WILD_VALUE;
+    }
+
+    return FACE_VALUES[rank] || parseInt(rank, 10);
+}
+
+/**
+ * Get the total point value of a hand
+ * @param {string[]} ranks - Card rank labels left in hand
+ * @param {string|null} wildLabel - Wild rank label for the round
+ * @returns {number} Hand total
+ */
+export function handValue(ranks, wildLabel) {
+    return ranks.reduce((sum, rank) => sum + cardValue(rank, wildLabel), 0);
+}
+
+/**
+ * Get the highest value a hand of natural cards (no wilds or Jokers) can have
+ * @param {number} handSize - Cards in hand
+ * @param {string|null} wildLabel - Wild rank label for the round
+ * @returns {number} Maximum natural hand value
+ */
+export function maxNaturalHandValue(handSize, wildLabel) {
+    const naturals = CARD_RANKS
+        .filter(rank => rank !== wildLabel)
+        .map(rank => cardValue(rank, wildLabel))
+        .sort((a, b) => b - a)
+        .flatMap(value => new Array(COPIES_PER_RANK).fill(value));
+
+    return naturals.slice(0, handSize).reduce((sum, value) => sum + value, 0);
+}
+
+/**
+ * Get the highest value any hand can have, holding every Joker and wild first
+ * @param {number} handSize - Cards in hand
+ * @param {string|null} wildLabel - Wild rank label for the round
+ * @returns {number} Maximum hand value
+ */
+export function maxHandValue(handSize, wildLabel) {
+    const jokers = Math.min(handSize, JOKER_COUNT);
+    const wilds = Math.min(handSize - jokers, wildLabel ? COPIES_PER_RANK : 0);
+    const rest = handSize - jokers - wilds;
+
+    return jokers * JOKER_VALUE + wilds * WILD_VALUE + maxNaturalHandValue(rest, wildLabel);
+}
@@ -0,0 +1,105 @@
+/**
+ * lineup.js
+ * Players joining or leaving a game that is already under way
+ */
+
+export const DEFAULT_CATCH_UP = 'highest-total';
+
+export const CATCH_UP_RULES = {
+    'highest-total': 'Match the highest current total',
+    'round-average': 'Average score of each missed round'
+};
+
+/**
+ * Check whether a player takes part in a round
+ * Late joiners start at their join round; withdrawn players stop at the round they left.
+ * @param {Object} gameState - Game state with optional joinedRound/withdrawnRound lists
+ * @param {number} playerIndex - Player index
+ * @param {number} round - Round number (1-indexed)
+ * @returns {boolean} True if the player plays the round
+ */
+export function isActiveInRound(gameState, playerIndex, round) {
+    const joined = gameState.joinedRound?.[playerIndex] || 1;
+    const withdrawn = gameState.withdrawnRound?.[playerIndex] ?? null;
+    return round >= joined && (withdrawn === null || round < withdrawn);
+}
+
+/**
+ * Check whether a player has left the game
+ * @param {Object} gameState - Game state with an optional withdrawnRound list
+ * @param {number} playerIndex - Player index
+ * @returns {boolean} True if the player withdrew
+ */
+export function isWithdrawn(gameState, playerIndex) {
+    return (gameState.withdrawnRound?.[playerIndex] ?? null) !== null;
+}
+
+/**
+ * Work out the scores a late joiner is given for the rounds they missed
+ * @param {Object} gameState - Game state with players and scores
+ * @param {string} rule - Catch-up rule id (see CATCH_UP_RULES)
+ * @param {number} round - Round the player joins at (1-indexed)
+ * @returns {Array<number|null>} Scores by round; null from the join round on
+ */
+export function catchUpScores(gameState, rule, round) {
+    const rounds = gameState.scores[0]?.length || 0;
+    const missed = index => index < round - 1;
+    const players = gameState.players.map((_, index) => index);
+
+    if (rule === 'highest-total') {
+        const remaining = players.filter(index => !isWithdrawn(gameState, index));
+        const totals = remaining.map(index => gameState.scores[index]
+            .filter((score, r) => missed(r) && score !== null)
+            .reduce((sum, score) => sum + score, 0));
+        const leader = remaining[totals.indexOf(Math.max(...totals))];
+
+        return Array.from({ length: rounds }, (_, r) =>
+            missed(r) ? gameState.scores[leader][r] ?? 0 : null
+        );
+    }
+
+    if (rule === 'round-average') {
+        return Array.from({ length: rounds }, (_, r) => {
+            if (!missed(r)) {
+                return null;
+            }
+            return roundAverage(gameState, r) ?? 0;
+        });
+    }
+
+    throw new Error(`Unknown catch-up rule: ${rule}`);
+}
+
+/**
+ * Work out what a team is charged for the rounds a withdrawn member misses
+ * Without it a team would gain from a member leaving, so each missed round that
+ * has been played counts as its average, the way late joiners are caught up.
+ * @param {Object} gameState - Game state with players, scores and an optional withdrawnRound list
+ * @param {number} playerIndex - Player index
+ * @returns {Array<number|null>} Charges by round; null before they left and for unplayed rounds
+ */
+export function leftRoundScores(gameState, playerIndex) {
+    const rounds = gameState.scores[0]?.length || 0;
+    const withdrawn = gameState.withdrawnRound?.[playerIndex] ?? null;
+
+    return Array.from({ length: rounds }, (_, r) =>
+        withdrawn !== null && r + 1 >= withdrawn ? roundAverage(gameState, r) : null
+    );
+}
+
+/**
+ * Average the scores of the players who played a round
+ * @param {Object} gameState - Game state with players and scores
+ * @param {number} r - Round index (0-indexed)
+ * @returns {number|null} Rounded average; null if nobody has played it
+ */
+function roundAverage(gameState, r) {
+    const played = gameState.players
+        .map((_, index) => index)
+        .filter(index => isActiveInRound(gameState, index, r + 1))
+        .map(index => gameState.scores[index][r])
+        .filter(score => score !== null);
+    return played.length > 0
+        ? Math.round(played.reduce((sum, score) => sum + score, 0) / played.length)
+        : null;
+}
@@ -0,0 +1,334 @@
+/**
+ * match.js
+ * Best-of-N matches played as a series of games with the same players
+ */
+
+import { findWinners, getSides, sideTotals } from './winners.js';
+import { readStored, writeStored } from './schema.js';
+import { Persistence } from './persistence.js';
+
+const MATCH_KEY = 'fiveCrownsMatch';
+
+export const DEFAULT_MATCH_SCORING = 'games-won';
+
+export const MATCH_SCORING = {
+    'games-won': 'Most games won',
+    cumulative: 'Lowest combined total'
+};
+
+export class Match {
+    constructor() {
+        this.reset(false);
+    }
+
+    /**
+     * Clear the match, leaving single-game play
+     * @param {boolean} [persist=true] - Also drop the saved match
+     */
+    reset(persist = true) {
+        this.id = null;
+        this.players = [];
+        this.bestOf = 0;
+        this.scoring = DEFAULT_MATCH_SCORING;
+        this.gameOptions = {}; // variant, tieBreaker, teams, handicaps used for every game
+        this.firstDealer = 0; // first dealer of game 1; each later game moves one seat on
+        this.games = []; // finished games: { historyId, firstDealer, sides: [{ name, members, total }], winners: [name] }
+        this.recorded = false; // true once the finished match is in Statistics
+
+        if (persist) {
+            this.clearState();
+        }
+    }
+
+    /**
+     * Start a new match
+     * @param {string[]} playerNames - Player names
+     * @param {Object} options - Match options
+     * @param {number} options.bestOf - Number of games in the match
+     * @param {string} [options.scoring] - Scoring rule id (see MATCH_SCORING)
+     * @param {Object} [options.gameOptions] - Variant and startNewGame options for every game
+     */
+    start(playerNames, { bestOf, scoring = DEFAULT_MATCH_SCORING, gameOptions = {} }) {
+        if (playerNames.length < 2) {
+            throw new Error('At least 2 players required');
+        }
+
+        if (!Number.isInteger(bestOf) || bestOf < 1) {
+            throw new Error('A match needs at least 1 game');
+        }
+
+        if (!MATCH_SCORING[scoring]) {
+            throw new Error(`Unknown match scoring: ${scoring}`);
+        }
+
+        this.reset(false);
+        this.id = Date.now();
+        this.players = [...playerNames];
+        this.bestOf = bestOf;
+        this.scoring = scoring;
+        this.gameOptions = { ...gameOptions };
+        this.firstDealer = gameOptions.firstDealer ?? 0;
+        this.saveState();
+    }
+
+    /**
+     * Check whether a match is being played
+     * @returns {boolean}
+     */
+    isActive() {
+        return this.bestOf > 0;
+    }
+
+    /**
+     * Start the match's next game, passing the first deal one seat on from the last game
+     * @param {Game} game - Game to (re)start
+     */
+    startNextGame(game) {
+        if (this.isComplete()) {
+            throw new Error('Match is already complete');
+        }
+
+        const { variant, ...options } = this.gameOptions;
+        game.startNewGame(this.players, variant, {
+            ...options,
+            firstDealer: this.getNextFirstDealer()
+        });
+
+        // A random draw only happens once; later games rotate from it
+        if (this.games.length === 0) {
+            this.firstDealer = game.firstDealer;
+            this.saveState();
+        }
+    }
+
+    /**
+     * Get the first dealer for the next game
+     * @returns {number|string} Player index, or 'random' before game 1 is drawn
+     */
+    getNextFirstDealer() {
+        if (this.firstDealer === 'random') {
+            return 'random';
+        }
+        return (this.firstDealer + this.games.length) % this.players.length;
+    }
+
+    /**
+     * Add a finished game to the match
+     * @param {Object} gameState - Finished game's state (Game.exportState())
+     * @param {number} historyId - The game's Statistics record id
+     * @returns {boolean} True if the match is now complete
+     */
+    recordGame(gameState, historyId) {
+        if (this.isComplete()) {
+            throw new Error('Match is already complete');
+        }
+
+        this.games.push(this.summarizeGame(gameState, historyId));
+        this.saveState();
+        return this.isComplete();
+    }
+
+    /**
+     * Refresh a game's result after it was corrected
+     * @param {number} historyId - The game's Statistics record id
+     * @param {Object} gameState - Corrected game state
+     * @returns {boolean} True if the game is part of this match
+     */
+    updateGame(historyId, gameState) {
+        const index = this.games.findIndex(game => game.historyId === historyId);
+        if (index === -1) {
+            return false;
+        }
+
+        this.games[index] = this.summarizeGame(gameState, historyId);
+        this.saveState();
+        return true;
+    }
+
+    /**
+     * Reduce a game to what the match scoreboard needs
+     * @param {Object} gameState - Game state
+     * @param {number} historyId - Statistics record id
+     * @returns {Object} Game summary
+     */
+    summarizeGame(gameState, historyId) {
+        const totals = sideTotals(gameState);
+        return {
+            historyId,
+            firstDealer: gameState.firstDealer ?? 0,
+            sides: getSides(gameState).map((side, index) => ({
+                name: side.name,
+                members: side.members.map(player => gameState.players[player]),
+                total: totals[index]
+            })),
+            winners: findWinners(gameState).map(winner => winner.name)
+        };
+    }
+
+    /**
+     * Get the match standings, best first
+     * @returns {Array<{name: string, members: string[], gamesWon: number, total: number, gamesPlayed: number}>}
+     */
+    getStandings() {
+        const standings = new Map();
+
+        this.games.forEach(game => {
+            game.sides.forEach(side => {
+                const entry = standings.get(side.name) ||
+                    { name: side.name, members: side.members, gamesWon: 0, total: 0, gamesPlayed: 0 };
+                entry.total += side.total;
+                entry.gamesPlayed++;
+                if (game.winners.includes(side.name)) {
+                    entry.gamesWon++;
+                }
+                standings.set(side.name, entry);
+            });
+        });
+
+        return Array.from(standings.values()).sort((a, b) => this.compareStandings(a, b));
+    }
+
+    /**
+     * Order two standings entries by the match's scoring rule
+     * @param {Object} a - Standings entry
+     * @param {Object} b - Standings entry
+     * @returns {number} Negative if a is ahead
+     */
+    compareStandings(a, b) {
+        if (this.scoring === 'games-won') {
+            return b.gamesWon - a.gamesWon || a.total - b.total;
+        }
+        return a.total - b.total;
+    }
+
+    /**
+     * Games one side must win to take a games-won match
+     * @returns {number}
+     */
+    getWinsNeeded() {
+        return Math.floor(this.bestOf / 2) + 1;
+    }
+
+    /**
+     * Check whether the match is over
+     * A games-won match ends early once someone can't be caught.
+     * @returns {boolean}
+     */
+    isComplete() {
+        if (!this.isActive()) {
+            return false;
+        }
+
+        if (this.games.length >= this.bestOf) {
+            return true;
+        }
+
+        return this.scoring === 'games-won' &&
+            this.getStandings().some(entry => entry.gamesWon >= this.getWinsNeeded());
+    }
+
+    /**
+     * Determine the match winners
+     * @returns {Array<Object>|null} Leading standings entries (more than one if level), or null if not complete
+     */
+    getWinners() {
+        if (!this.isComplete()) {
+            return null;
+        }
+
+        const standings = this.getStandings();
+        return standings.filter(entry => this.compareStandings(entry, standings[0]) === 0);
+    }
+
+    /**
+     * Build the Statistics record for a finished match
+     * @returns {Object} Match record
+     */
+    toRecord() {
+        return {
+            id: this.id,
+            players: this.players,
+            bestOf: this.bestOf,
+            scoring: this.scoring,
+            games: this.games.map(game => game.historyId),
+            standings: this.getStandings(),
+            winners: (this.getWinners() || []).map(({ name, members }) => ({ name, members }))
+        };
+    }
+
+    /**
+     * Note that the finished match was saved to Statistics
+     */
+    markRecorded() {
+        this.recorded = true;
+        this.saveState();
+    }
+
+    /**
+     * Get the match as plain data, as it is saved
+     * @returns {Object}
+     */
+    getState() {
+        return {
+            id: this.id,
+            players: this.players,
+            bestOf: this.bestOf,
+            scoring: this.scoring,
+            gameOptions: this.gameOptions,
+            firstDealer: this.firstDealer,
+            games: this.games,
+            recorded: this.recorded
+        };
+    }
+
+    /**
+     * Save the match
+     */
+    saveState() {
+        try {
+            writeStored(MATCH_KEY, this.getState());
+        } catch (error) {
+            console.error('Failed to save match:', error);
+        }
+    }
+
+    /**
+     * Load the match
+     * @returns {boolean} True if a match was loaded
+     */
+    loadState() {
+        const state = readStored(MATCH_KEY, null);
+        if (!state) {
+            return false;
+        }
+
+        this.setState(state);
+        return true;
+    }
+
+    /**
+     * Take on a match from plain data, as getState() gives it
+     * @param {Object} state - Match state
+     */
+    setState(state) {
+        this.id = state.id;
+        this.players = state.players || [];
+        this.bestOf = state.bestOf || 0;
+        this.scoring = MATCH_SCORING[state.scoring] ? state.scoring : DEFAULT_MATCH_SCORING;
+        this.gameOptions = state.gameOptions || {};
+        this.firstDealer = state.firstDealer ?? 0;
+        this.games = Array.isArray(state.games) ? state.games : [];
+        this.recorded = state.recorded === true;
+    }
+
+    /**
+     * Drop the saved match
+     */
+    clearState() {
+        try {
+            Persistence.removeItem(MATCH_KEY);
+        } catch (error) {
+            console.error('Failed to clear match:', error);
+        }
+    }
+}
@@ -0,0 +1,395 @@
+/**
+ * persistence.js
+ * The key-value store behind all saved data. Reads are answered from memory and
+ * writes reach the async backend (see adapters.js) in the background, so saving
+ * never blocks the UI.
+ */
+
+import { LocalStorageAdapter, createDefaultAdapter } from './adapters.js';
+
+// Set in the backend once localStorage data has been moved over
+export const LEGACY_IMPORTED_KEY = 'fiveCrownsImportedFromLocalStorage';
+
+// Only the app's own localStorage keys are moved to a new backend
+const KEY_PREFIX = 'fiveCrowns';
+const UNPREFIXED_KEYS = ['theme']; // named before the prefix was used
+
+// Written and read back by the startup health check
+const PROBE_KEY = 'fiveCrownsProbe';
+
+// Tabs tell each other about writes on this channel
+const CHANNEL_NAME = 'fiveCrowns';
+
+// How long to wait for other tabs to answer a question, in ms
+const QUERY_TIMEOUT = 250;
+
+// Warn once storage is this full
+const QUOTA_WARNING = 0.9;
+
+/**
+ * Check for the browser's "storage is full" error, whatever it's called there
+ * @param {Error} error - Write error
+ * @returns {boolean}
+ */
+export function isQuotaError(error) {
+    return error?.name === 'QuotaExceededError' ||
+        error?.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+        error?.code === 22 ||
+        error?.code === 1014;
+}
+
+/**
+ * Explain a write failure to the player
+ * @param {Error} error - Write error
+ * @returns {string}
+ */
+export function describeWriteError(error) {
+    return isQuotaError(error)
+        ? 'Storage is full, so your latest changes are not being saved.'
+        : `Your changes are not being saved (${error?.message || 'storage unavailable'}).`;
+}
+
+export const Persistence = {
+    adapter: null, // until init(), reads and writes go straight to localStorage
+    cache: new Map(),
+    pending: Promise.resolve(),
+    failures: new Map(), // key → error, for keys whose last write failed
+    warning: null, // from the health check
+    listeners: new Set(),
+    channel: null,
+    remoteListeners: new Set(),
+    queryHandlers: new Map(), // question → function answering it for this tab
+    answers: new Map(), // ID of a question this tab asked → called when another tab says yes
+
+    /**
+     * Open the best available backend, falling back to localStorage if it can't be loaded
+     * @returns {Promise<Object>} The adapter in use
+     */
+    async open() {
+        const adapter = await createDefaultAdapter();
+        try {
+            await this.init(adapter, adapter instanceof LocalStorageAdapter ? null : localStorage);
+        } catch (error) {
+            console.error(`Failed to load saved data from ${adapter.name}, using localStorage:`, error);
+            await this.init(new LocalStorageAdapter());
+        }
+        this.connect();
+        return this.adapter;
+    },
+
+    /**
+     * Start hearing about writes made in other tabs
+     */
+    connect() {
+        if (typeof BroadcastChannel !== 'undefined') {
+            this.channel = new BroadcastChannel(CHANNEL_NAME);
+            this.channel.onmessage = event => this.handleMessage(event.data);
+        } else if (typeof window !== 'undefined') {
+            // Without BroadcastChannel only localStorage writes can be seen, through storage events
+            window.addEventListener('storage', event => {
+                if (event.key) {
+                    this.receive(event.key, event.newValue);
+                }
+            });
+        }
+    },
+
+    /**
+     * Handle a message from another tab: a write, a question, or a yes to one of ours
+     * @param {Object} message - { key, value }, { query, id, detail } or { answer }
+     */
+    handleMessage(message) {
+        if (message.query) {
+            if (this.queryHandlers.get(message.query)?.(message.detail ?? null)) {
+                this.channel?.postMessage({ answer: message.id });
+            }
+        } else if (message.answer) {
+            this.answers.get(message.answer)?.(true);
+        } else {
+            this.receive(message.key, message.value);
+        }
+    },
+
+    /**
+     * Ask the other open tabs a yes/no question, e.g. whether one has the game open
+     * @param {string} query - Question, answered by handlers registered with onQuery()
+     * @param {*} [detail] - What the question is about, passed to the handlers
+     * @param {number} [timeout] - How long to wait for a yes, in ms
+     * @returns {Promise<boolean>} True if any tab said yes
+     */
+    ask(query, detail = null, timeout = QUERY_TIMEOUT) {
+        // Without BroadcastChannel there's no way to ask
+        if (!this.channel) {
+            return Promise.resolve(false);
+        }
+
+        const id = Math.random().toString(36).slice(2);
+        return new Promise(resolve => {
+            const finish = answer => {
+                clearTimeout(timer);
+                this.answers.delete(id);
+                resolve(answer);
+            };
+            const timer = setTimeout(() => finish(false), timeout);
+            this.answers.set(id, finish);
+            this.channel.postMessage({ query, id, detail });
+        });
+    },
+
+    /**
+     * Answer a question other tabs may ask
+     * @param {string} query - Question
+     * @param {Function} handler - Given the question's detail, returns true to say yes
+     */
+    onQuery(query, handler) {
+        this.queryHandlers.set(query, handler);
+    },
+
+    /**
+     * Take in a write made by another tab; it's already in the backend
+     * @param {string} key - Storage key
+     * @param {string|null} value - New value, or null if removed
+     */
+    receive(key, value) {
+        if (this.adapter) {
+            if (value === null) {
+                this.cache.delete(key);
+            } else {
+                this.cache.set(key, value);
+            }
+        }
+        this.remoteListeners.forEach(listener => listener(key));
+    },
+
+    /**
+     * Tell other tabs about a write
+     * @param {string} key - Storage key
+     * @param {string|null} value - New value, or null if removed
+     */
+    broadcast(key, value) {
+        this.channel?.postMessage({ key, value });
+    },
+
+    /**
+     * Listen for writes made in other tabs
+     * @param {Function} listener - Called with the storage key
+     * @returns {Function} Call to stop listening
+     */
+    onRemoteChange(listener) {
+        this.remoteListeners.add(listener);
+        return () => this.remoteListeners.delete(listener);
+    },
+
+    /**
+     * Load everything from a backend into memory and use it from now on
+     * @param {Object} adapter - Storage adapter
+     * @param {Storage|null} [legacy] - localStorage to move existing data from, once
+     */
+    async init(adapter, legacy = null) {
+        const cache = new Map();
+        for (const key of await adapter.keys()) {
+            cache.set(key, await adapter.get(key));
+        }
+
+        if (legacy && !cache.has(LEGACY_IMPORTED_KEY)) {
+            await this.importLegacy(adapter, cache, legacy);
+        }
+
+        this.adapter = adapter;
+        this.cache = cache;
+        this.pending = Promise.resolve();
+    },
+
+    /**
+     * Copy the app's localStorage data into a new backend, then clear it from localStorage.
+     * Nothing is removed unless every write succeeded.
+     * @param {Object} adapter - Storage adapter
+     * @param {Map} cache - The adapter's loaded data, updated in place
+     * @param {Storage} legacy - localStorage
+     */
+    async importLegacy(adapter, cache, legacy) {
+        const keys = Array.from({ length: legacy.length }, (_, index) => legacy.key(index))
+            .filter(key => (key?.startsWith(KEY_PREFIX) || UNPREFIXED_KEYS.includes(key)) && !cache.has(key));
+
+        for (const key of keys) {
+            const value = legacy.getItem(key);
+            await adapter.set(key, value);
+            cache.set(key, value);
+        }
+
+        const imported = new Date().toISOString();
+        await adapter.set(LEGACY_IMPORTED_KEY, imported);
+        cache.set(LEGACY_IMPORTED_KEY, imported);
+
+        keys.forEach(key => legacy.removeItem(key));
+    },
+
+    /**
+     * Read a value
+     * @param {string} key - Storage key
+     * @returns {string|null}
+     */
+    getItem(key) {
+        if (!this.adapter) {
+            return localStorage.getItem(key);
+        }
+        return this.cache.has(key) ? this.cache.get(key) : null;
+    },
+
+    /**
+     * Write a value
+     * @param {string} key - Storage key
+     * @param {string} value - Value to store
+     */
+    setItem(key, value) {
+        if (!this.adapter) {
+            try {
+                localStorage.setItem(key, value);
+            } catch (error) {
+                this.recordWrite(key, error);
+                throw error;
+            }
+            this.recordWrite(key, null);
+            this.broadcast(key, String(value));
+            return;
+        }
+
+        this.cache.set(key, String(value));
+        this.enqueue(key, adapter => adapter.set(key, String(value)));
+        this.broadcast(key, String(value));
+    },
+
+    /**
+     * Delete a value
+     * @param {string} key - Storage key
+     */
+    removeItem(key) {
+        if (!this.adapter) {
+            localStorage.removeItem(key);
+            this.broadcast(key, null);
+            return;
+        }
+
+        this.cache.delete(key);
+        this.enqueue(key, adapter => adapter.remove(key));
+        this.broadcast(key, null);
+    },
+
+    /**
+     * Queue a backend write behind the ones already waiting, so they land in order
+     * @param {string} key - Storage key being written
+     * @param {Function} write - Called with the adapter, returns a promise
+     */
+    enqueue(key, write) {
+        const adapter = this.adapter;
+        this.pending = this.pending
+            .then(() => write(adapter))
+            .then(() => this.recordWrite(key, null))
+            .catch(error => {
+                console.error(`Failed to write ${key} to ${adapter.name}:`, error);
+                this.recordWrite(key, error);
+            });
+    },
+
+    /**
+     * Note how a write went, telling listeners when saving starts or stops failing
+     * @param {string} key - Storage key written
+     * @param {Error|null} error - Write error, or null on success
+     */
+    recordWrite(key, error) {
+        if (error) {
+            this.failures.set(key, error);
+        } else if (!this.failures.delete(key)) {
+            return;
+        }
+        this.notify();
+    },
+
+    /**
+     * Describe what's wrong with storage
+     * @returns {string|null} Message for the player, or null if all is well
+     */
+    getProblem() {
+        const errors = [...this.failures.values()];
+        return errors.length > 0 ? describeWriteError(errors[errors.length - 1]) : this.warning;
+    },
+
+    /**
+     * Listen for storage problems appearing or clearing up
+     * @param {Function} listener - Called with getProblem()
+     * @returns {Function} Call to stop listening
+     */
+    onProblemChange(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    },
+
+    /**
+     * Tell listeners the current problem
+     */
+    notify() {
+        const problem = this.getProblem();
+        this.listeners.forEach(listener => listener(problem));
+    },
+
+    /**
+     * Check that storage really keeps what's written and has room left
+     * @returns {Promise<string|null>} Problem found, or null if storage is healthy
+     */
+    async checkHealth() {
+        const adapter = this.adapter || new LocalStorageAdapter();
+        let warning = null;
+
+        try {
+            await adapter.set(PROBE_KEY, 'ok');
+            const value = await adapter.get(PROBE_KEY);
+            await adapter.remove(PROBE_KEY);
+            if (value !== 'ok') {
+                throw new Error('storage did not keep a test value');
+            }
+
+            if (adapter.name === 'memory') {
+                warning = 'This browser is not keeping saved data; it will be lost when the page closes.';
+            } else {
+                const { usage, quota } = typeof navigator !== 'undefined' && navigator.storage?.estimate
+                    ? await navigator.storage.estimate()
+                    : {};
+                if (usage && quota && usage / quota >= QUOTA_WARNING) {
+                    warning = `Storage is ${Math.round(usage / quota * 100)}% full; download a backup to be safe.`;
+                }
+            }
+        } catch (error) {
+            console.error('Storage health check failed:', error);
+            warning = describeWriteError(error);
+        }
+
+        this.warning = warning;
+        this.notify();
+        return warning;
+    },
+
+    /**
+     * Wait for queued writes to reach the backend
+     * @returns {Promise<void>}
+     */
+    flush() {
+        return this.pending;
+    },
+
+    /**
+     * Stop using the backend and go back to plain localStorage
+     */
+    detach() {
+        this.adapter = null;
+        this.cache = new Map();
+        this.pending = Promise.resolve();
+        this.failures = new Map();
+        this.warning = null;
+        this.listeners = new Set();
+        this.channel?.close();
+        this.channel = null;
+        this.remoteListeners = new Set();
+        this.queryHandlers = new Map();
+        this.answers = new Map();
+    }
+};
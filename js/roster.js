@@ -0,0 +1,209 @@
+/**
+ * roster.js
+ * Player profiles with stable IDs, shared by games and history
+ */
+
+import { readStored, writeStored } from './schema.js';
+
+const ROSTER_KEY = 'fiveCrownsRoster';
+
+/**
+ * Compare names the way the roster does: trimmed and case-insensitive
+ * @param {string} name - Player name
+ * @returns {string} Comparison key
+ */
+function nameKey(name) {
+    return name.trim().toLowerCase();
+}
+
+export class Roster {
+    constructor() {
+        this.profiles = this.loadProfiles();
+    }
+
+    /**
+     * Pick up profiles saved since they were loaded, e.g. by another tab
+     */
+    reload() {
+        this.profiles = this.loadProfiles();
+    }
+
+    /**
+     * Get every profile, sorted by name
+     * @returns {Array<{id: string, name: string, created: string}>}
+     */
+    getAll() {
+        return [...this.profiles].sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Look up a profile by ID
+     * @param {string} id - Profile ID
+     * @returns {Object|null} Profile or null if unknown
+     */
+    get(id) {
+        return this.profiles.find(profile => profile.id === id) || null;
+    }
+
+    /**
+     * Look up a profile by name, ignoring case and surrounding spaces
+     * @param {string} name - Player name
+     * @returns {Object|null} Profile or null if no one has that name
+     */
+    findByName(name) {
+        const key = nameKey(name);
+        return this.profiles.find(profile => nameKey(profile.name) === key) || null;
+    }
+
+    /**
+     * Look up a profile by ID or name
+     * @param {string} player - Profile ID or player name
+     * @returns {Object|null} Profile or null if unknown
+     */
+    resolve(player) {
+        return this.get(player) || this.findByName(player);
+    }
+
+    /**
+     * Create a profile
+     * @param {string} name - Player name
+     * @returns {Object} New profile
+     */
+    add(name) {
+        const trimmedName = name.trim();
+
+        if (!trimmedName) {
+            throw new Error('Player name cannot be empty');
+        }
+
+        if (this.findByName(trimmedName)) {
+            throw new Error(`${trimmedName} is already in the roster`);
+        }
+
+        const profile = {
+            id: this.createId(),
+            name: trimmedName,
+            created: new Date().toISOString()
+        };
+
+        this.profiles.push(profile);
+        this.saveProfiles();
+        return profile;
+    }
+
+    /**
+     * Get the profile for a name, creating it if it's new
+     * @param {string} name - Player name
+     * @returns {Object} Profile
+     */
+    ensure(name) {
+        return this.findByName(name) || this.add(name);
+    }
+
+    /**
+     * Change a profile's name
+     * @param {string} id - Profile ID
+     * @param {string} name - New name
+     * @returns {Object} Updated profile
+     */
+    rename(id, name) {
+        const profile = this.get(id);
+        if (!profile) {
+            throw new Error('Unknown player profile');
+        }
+
+        const trimmedName = name.trim();
+        if (!trimmedName) {
+            throw new Error('Player name cannot be empty');
+        }
+
+        const existing = this.findByName(trimmedName);
+        if (existing && existing.id !== id) {
+            throw new Error(`${trimmedName} is already in the roster`);
+        }
+
+        profile.name = trimmedName;
+        this.saveProfiles();
+        return profile;
+    }
+
+    /**
+     * Delete a profile
+     * @param {string} id - Profile ID
+     */
+    remove(id) {
+        this.profiles = this.profiles.filter(profile => profile.id !== id);
+        this.saveProfiles();
+    }
+
+    /**
+     * Take in profiles from a backup. When merging, players already here by ID or
+     * name are left as they are.
+     * @param {Array<Object>} profiles - Profiles
+     * @param {boolean} [merge=false] - Add to the profiles here instead of replacing them
+     * @returns {number} How many profiles were taken in
+     */
+    restore(profiles, merge = false) {
+        const added = merge
+            ? profiles.filter(profile => !this.get(profile.id) && !this.findByName(profile.name))
+            : profiles;
+
+        this.profiles = [...(merge ? this.profiles : []), ...added];
+        this.saveProfiles();
+        return added.length;
+    }
+
+    /**
+     * Make an ID no other profile has
+     * @returns {string} Profile ID
+     */
+    createId() {
+        let id;
+        do {
+            id = `p-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+        } while (this.get(id));
+        return id;
+    }
+
+    /**
+     * Give history records from before the roster existed a profile ID per player
+     * @param {Array<Object>} history - Game records, changed in place
+     * @returns {boolean} True if any record was changed
+     */
+    migrateHistory(history) {
+        let changed = false;
+
+        history.forEach(record => {
+            if (Array.isArray(record.playerIds) && record.playerIds.length === record.players.length &&
+                record.playerIds.every(id => this.get(id))) {
+                return;
+            }
+
+            record.playerIds = record.players.map((name, index) =>
+                (this.get(record.playerIds?.[index]) || this.ensure(name)).id
+            );
+            changed = true;
+        });
+
+        return changed;
+    }
+
+    /**
+     * Load profiles
+     * @returns {Array} Loaded profiles or empty array
+     */
+    loadProfiles() {
+        return readStored(ROSTER_KEY, []);
+    }
+
+    /**
+     * Save profiles
+     */
+    saveProfiles() {
+        try {
+            writeStored(ROSTER_KEY, this.profiles);
+        } catch (error) {
+            console.error('Failed to save roster:', error);
+        }
+    }
+}
@@ -0,0 +1,259 @@
+/**
+ * schema.js
+ * Versioned storage: every persisted key is wrapped as { version, data } and
+ * upgraded through its migrations when read
+ */
+
+import { Persistence } from './persistence.js';
+
+export const UNREADABLE_KEY = 'fiveCrownsUnreadable';
+
+// Rounds in the legacy game kept by scorer.html and the first release
+const LEGACY_ROUNDS = 11;
+
+/**
+ * Check for a plain object (not an array or null)
+ * @param {*} value - Value to check
+ * @returns {boolean}
+ */
+function isObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Game state from before the event log: the flat { players, scores, currentRound }
+ * kept by scorer.html and early releases. Starts a log from the snapshot.
+ * @param {Object} state - Saved game state
+ * @returns {Object} State with an event log
+ */
+export function migrateLegacyGame(state) {
+    if (!isObject(state) || !Array.isArray(state.players)) {
+        throw new Error('Unrecognized game data');
+    }
+
+    if (Array.isArray(state.events) && state.events.length > 0) {
+        return state;
+    }
+
+    const rounds = state.variant?.roundCards?.length || LEGACY_ROUNDS;
+    const scores = state.players.map((_, index) => {
+        const row = Array.isArray(state.scores?.[index]) ? state.scores[index] : [];
+        return Array.from({ length: rounds }, (_, round) =>
+            Number.isFinite(row[round]) ? row[round] : null
+        );
+    });
+    const snapshot = {
+        ...state,
+        scores,
+        currentRound: Number.isInteger(state.currentRound) ? state.currentRound : 1
+    };
+    delete snapshot.events;
+
+    return {
+        ...snapshot,
+        events: [{
+            seq: 1,
+            type: 'GameRestored',
+            timestamp: new Date().toISOString(),
+            state: snapshot
+        }]
+    };
+}
+
+/**
+ * History records from the first release named a single `winner` and had no timestamp
+ * @param {Array<Object>} history - Game records
+ * @returns {Array<Object>} Records with a winners list
+ */
+export function migrateLegacyHistory(history) {
+    if (!Array.isArray(history) || !history.every(record => isObject(record) && Array.isArray(record.players))) {
+        throw new Error('Unrecognized game history');
+    }
+
+    return history.map(record => {
+        const upgraded = { ...record };
+        if (!Array.isArray(upgraded.winners)) {
+            upgraded.winners = upgraded.winner ? [upgraded.winner] : [];
+        }
+        delete upgraded.winner;
+        if (!Number.isFinite(upgraded.timestamp)) {
+            upgraded.timestamp = Date.parse(upgraded.date) || 0;
+        }
+        return upgraded;
+    });
+}
+
+/**
+ * A step for lists of entries that each hold a game `state`, such as saved games
+ * @param {string} label - What the list is, for the error
+ * @returns {Function} Migration step
+ */
+function migrateGameList(label) {
+    return list => adopt(Array.isArray, label)(list).map(entry => ({ ...entry, state: migrateLegacyGame(entry.state) }));
+}
+
+/**
+ * A step for data whose shape hasn't changed: adopt the envelope after a sanity check
+ * @param {Function} check - Returns true for data of the right shape
+ * @param {string} label - What the data is, for the error
+ * @returns {Function} Migration step
+ */
+function adopt(check, label) {
+    return data => {
+        if (!check(data)) {
+            throw new Error(`Unrecognized ${label}`);
+        }
+        return data;
+    };
+}
+
+// Migrations per key; step i upgrades version i to i + 1, so a key's current
+// version is its number of steps. Data saved without an envelope is version 0.
+// Saved games and snapshots hold game states, so bump them whenever the game schema changes.
+export const MIGRATIONS = {
+    fiveCrownsGame: [migrateLegacyGame],
+    fiveCrownsSavedGames: [migrateGameList('saved games')],
+    fiveCrownsSnapshots: [migrateGameList('snapshots')],
+    fiveCrownsHistory: [migrateLegacyHistory],
+    fiveCrownsMatches: [adopt(Array.isArray, 'match history')],
+    fiveCrownsMatch: [adopt(isObject, 'match')],
+    fiveCrownsTournament: [adopt(isObject, 'tournament')],
+    fiveCrownsRoster: [adopt(Array.isArray, 'roster')],
+    fiveCrownsUnreadable: [adopt(Array.isArray, 'unreadable data')],
+    // Saved as the bare word before it was versioned
+    theme: [adopt(theme => theme === 'light' || theme === 'dark', 'theme')]
+};
+
+/**
+ * Get the version a key is written at
+ * @param {string} key - Storage key
+ * @returns {number}
+ */
+export function currentVersion(key) {
+    return (MIGRATIONS[key] || []).length;
+}
+
+/**
+ * Upgrade data to the key's current version
+ * @param {string} key - Storage key
+ * @param {*} data - Stored data
+ * @param {number} version - Version the data was saved at
+ * @returns {*} Upgraded data
+ */
+export function migrate(key, data, version) {
+    const steps = MIGRATIONS[key] || [];
+    if (!Number.isInteger(version) || version < 0) {
+        throw new Error(`Invalid version ${version} for ${key}`);
+    }
+    if (version > steps.length) {
+        throw new Error(`${key} was saved by a newer version (${version})`);
+    }
+
+    return steps.slice(version).reduce((upgraded, step) => step(upgraded), data);
+}
+
+/**
+ * Parse stored text; text that isn't JSON (like the bare theme word saved before
+ * versioning) is returned as it is for the key's migrations to accept or reject
+ * @param {string} raw - Stored text
+ * @returns {*} Parsed value
+ */
+function parseStored(raw) {
+    try {
+        return JSON.parse(raw);
+    } catch (error) {
+        return raw;
+    }
+}
+
+/**
+ * Split raw stored JSON into its data and version; unwrapped data is version 0
+ * @param {*} stored - Parsed stored value
+ * @returns {{data: *, version: number}}
+ */
+export function unwrap(stored) {
+    if (isObject(stored) && Number.isInteger(stored.version) && 'data' in stored) {
+        return { data: stored.data, version: stored.version };
+    }
+    return { data: stored, version: 0 };
+}
+
+/**
+ * Write data in a versioned envelope
+ * @param {string} key - Storage key
+ * @param {*} data - Data to store
+ * @throws {Error} When storage refuses the write
+ */
+export function writeStored(key, data) {
+    Persistence.setItem(key, JSON.stringify({ version: currentVersion(key), data }));
+}
+
+/**
+ * Read and upgrade a key. Anything that can't be read is copied aside
+ * (see getUnreadable()) rather than lost, and the fallback is returned.
+ * @param {string} key - Storage key
+ * @param {*} fallback - Value when the key is empty or unreadable
+ * @returns {*} Current-version data or the fallback
+ */
+export function readStored(key, fallback) {
+    let raw;
+    try {
+        raw = Persistence.getItem(key);
+    } catch (error) {
+        console.error(`Failed to read ${key}:`, error);
+        return fallback;
+    }
+
+    if (raw === null) {
+        return fallback;
+    }
+
+    try {
+        const { data, version } = unwrap(parseStored(raw));
+        const upgraded = migrate(key, data, version);
+
+        if (version !== currentVersion(key)) {
+            try {
+                writeStored(key, upgraded);
+            } catch (error) {
+                console.error(`Failed to save upgraded ${key}:`, error);
+            }
+        }
+        return upgraded;
+    } catch (error) {
+        console.error(`Failed to load ${key}:`, error);
+        // Unreadable copies that are themselves unreadable have nowhere to go
+        if (key !== UNREADABLE_KEY) {
+            preserveUnreadable(key, raw, error.message);
+        }
+        return fallback;
+    }
+}
+
+/**
+ * Keep a copy of data that couldn't be read, once per distinct value
+ * @param {string} key - Storage key it came from
+ * @param {string} raw - Stored text
+ * @param {string} reason - Why it couldn't be read
+ */
+function preserveUnreadable(key, raw, reason) {
+    try {
+        const entries = getUnreadable();
+        if (entries.some(entry => entry.key === key && entry.raw === raw)) {
+            return;
+        }
+
+        entries.push({ key, raw, reason, date: new Date().toISOString() });
+        writeStored(UNREADABLE_KEY, entries);
+    } catch (error) {
+        console.error('Failed to preserve unreadable data:', error);
+    }
+}
+
+/**
+ * Get the copies of data that couldn't be read
+ * @returns {Array<{key: string, raw: string, reason: string, date: string}>}
+ */
+export function getUnreadable() {
+    return readStored(UNREADABLE_KEY, []);
+}
@@ -3,12 +3,65 @@
  * Manages game history and player statistics
  */
 
+import { findWinners, getSides, sideTotals } from './winners.js';
+import { isActiveInRound, isWithdrawn } from './lineup.js';
+import { cardTotal, playerTotal } from './adjustments.js';
+import { readStored, writeStored, migrateLegacyHistory } from './schema.js';
+
 const HISTORY_KEY = 'fiveCrownsHistory';
 const MAX_HISTORY = 50; // Keep last 50 games
+const MATCH_HISTORY_KEY = 'fiveCrownsMatches';
+
+/**
+ * Replace a player's name throughout a record: player lists, winner and team members,
+ * and the name/player fields of edits, adjustments and logged events
+ * @param {*} value - Record or part of one
+ * @param {string} oldName - Name to replace
+ * @param {string} newName - Replacement name
+ * @returns {*} Copy with the name replaced
+ */
+function replaceName(value, oldName, newName) {
+    if (Array.isArray(value)) {
+        return value.map(item => replaceName(item, oldName, newName));
+    }
+
+    if (!value || typeof value !== 'object') {
+        return value;
+    }
+
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => {
+        if ((key === 'name' || key === 'player') && item === oldName) {
+            return [key, newName];
+        }
+        if ((key === 'players' || key === 'members') && Array.isArray(item)) {
+            return [key, item.map(entry => entry === oldName ? newName : replaceName(entry, oldName, newName))];
+        }
+        return [key, replaceName(item, oldName, newName)];
+    }));
+}
 
 export class Statistics {
-    constructor() {
+    /**
+     * @param {Roster} [roster] - Player profiles; without one, players are known by name only
+     */
+    constructor(roster = null) {
+        this.roster = roster;
         this.history = this.loadHistory();
+        this.matches = this.loadMatches();
+        this.lastPlayerChange = null; // copy from before the last rename/merge, for undo
+
+        // History saved before the roster existed gets a profile per player name
+        if (this.roster?.migrateHistory(this.history)) {
+            this.saveHistory();
+        }
+    }
+
+    /**
+     * Pick up history saved since it was loaded, e.g. by another tab
+     */
+    reload() {
+        this.history = this.loadHistory();
+        this.matches = this.loadMatches();
     }
 
     /**
@@ -20,12 +73,23 @@ export class Statistics {
             id: Date.now(),
             date: new Date().toISOString(),
             players: gameState.players,
+            playerIds: gameState.playerIds || [],
             scores: gameState.scores,
-            winner: this.determineWinner(gameState),
+            wentOut: gameState.wentOut || [],
+            winners: this.determineWinners(gameState),
+            tieBreaker: gameState.tieBreaker,
+            joinedRound: gameState.joinedRound || [],
+            withdrawnRound: gameState.withdrawnRound || [],
+            teams: gameState.teams || [],
+            handicaps: gameState.handicaps || [],
+            adjustments: gameState.adjustments || [],
+            edits: gameState.edits || [],
+            events: gameState.events || [],
             totalRounds: gameState.scores[0].filter(s => s !== null).length,
             timestamp: Date.now()
         };
 
+        this.roster?.migrateHistory([gameRecord]);
         this.history.unshift(gameRecord);
 
         // Keep only last MAX_HISTORY games
@@ -38,23 +102,117 @@ export class Statistics {
     }
 
     /**
-     * Determine winner from game state
+     * Update a saved game after its scores were corrected
+     * @param {number} gameId - Game ID to update
+     * @param {Object} gameState - Corrected game state
+     * @returns {Object|null} Updated record or null if not in history
+     */
+    updateGame(gameId, gameState) {
+        const record = this.history.find(game => game.id === gameId);
+        if (!record) {
+            return null;
+        }
+
+        record.scores = gameState.scores;
+        record.wentOut = gameState.wentOut || [];
+        record.winners = this.determineWinners(gameState);
+        record.adjustments = gameState.adjustments || [];
+        record.edits = gameState.edits || [];
+        record.events = gameState.events || [];
+
+        this.saveHistory();
+        return record;
+    }
+
+    /**
+     * Save a finished match; its games are already in history and get tagged with the match
+     * @param {Object} matchRecord - Match record (Match.toRecord())
+     * @returns {Object} Saved match record
+     */
+    saveMatch(matchRecord) {
+        const record = {
+            ...matchRecord,
+            date: new Date().toISOString(),
+            timestamp: Date.now()
+        };
+
+        this.matches = [record, ...this.matches.filter(match => match.id !== record.id)];
+        this.saveMatches();
+
+        this.history.forEach(game => {
+            if (record.games.includes(game.id)) {
+                game.matchId = record.id;
+            }
+        });
+        this.saveHistory();
+
+        return record;
+    }
+
+    /**
+     * Get all finished matches, most recent first
+     * @returns {Array} Match records
+     */
+    getMatchHistory() {
+        return this.matches;
+    }
+
+    /**
+     * Determine winners from game state
      * @param {Object} gameState - Game state
-     * @returns {Object} Winner information
+     * @returns {Array<Object>} Winner information (more than one on a shared win)
+     */
+    determineWinners(gameState) {
+        return findWinners(gameState);
+    }
+
+    /**
+     * Get the winners of a history record
+     * Records saved before shared wins existed have a single winner object.
+     * @param {Object} record - Game record
+     * @returns {Array<Object>} Winner information
+     */
+    getRecordWinners(record) {
+        if (Array.isArray(record.winners)) {
+            return record.winners;
+        }
+        return record.winner ? [record.winner] : [];
+    }
+
+    /**
+     * Check whether a player was among a record's winners (directly or on a winning team)
+     * @param {Object} record - Game record
+     * @param {string} playerName - Player name
+     * @returns {boolean}
      */
-    determineWinner(gameState) {
-        const totals = gameState.scores.map(playerScores =>
-            playerScores.reduce((sum, score) => sum + (score !== null ? score : 0), 0)
+    isRecordWinner(record, playerName) {
+        return this.getRecordWinners(record).some(winner =>
+            Array.isArray(winner.members) ? winner.members.includes(playerName) : winner.name === playerName
         );
+    }
 
-        const minScore = Math.min(...totals);
-        const winnerIndex = totals.indexOf(minScore);
+    /**
+     * Check whether a player won a match (directly or on a winning team)
+     * @param {Object} match - Match record
+     * @param {string} playerName - Player name
+     * @returns {boolean}
+     */
+    isMatchWinner(match, playerName) {
+        return match.winners.some(winner => winner.members.includes(playerName));
+    }
 
-        return {
-            name: gameState.players[winnerIndex],
-            score: minScore,
-            index: winnerIndex
-        };
+    /**
+     * Find a player's seat in a history record, by profile ID where the record has them
+     * @param {Object} record - Game record
+     * @param {string} player - Profile ID or player name
+     * @returns {number} Player index, or -1 if they didn't play
+     */
+    getPlayerIndex(record, player) {
+        const profile = this.roster?.resolve(player);
+        if (profile && Array.isArray(record.playerIds) && record.playerIds.length > 0) {
+            return record.playerIds.indexOf(profile.id);
+        }
+        return record.players.indexOf(profile ? profile.name : player);
     }
 
     /**
@@ -67,46 +225,132 @@ export class Statistics {
 
     /**
      * Get statistics for a specific player
-     * @param {string} playerName - Player name
+     * @param {string} player - Profile ID or player name
      * @returns {Object} Player statistics
      */
-    getPlayerStats(playerName) {
-        const playerGames = this.history.filter(game =>
-            game.players.includes(playerName)
-        );
+    getPlayerStats(player) {
+        const profile = this.roster?.resolve(player) || null;
+        const playerName = profile ? profile.name : player;
+        const seat = game => this.getPlayerIndex(game, player);
+
+        const playerGames = this.history.filter(game => seat(game) !== -1);
 
         if (playerGames.length === 0) {
             return null;
         }
 
-        const wins = playerGames.filter(game => game.winner.name === playerName).length;
+        const wonGames = playerGames.filter(game => this.isRecordWinner(game, game.players[seat(game)]));
+        const wins = wonGames.length;
+        const sharedWins = wonGames.filter(game => this.getRecordWinners(game).length > 1).length;
         const totalGames = playerGames.length;
         const winRate = ((wins / totalGames) * 100).toFixed(1);
 
-        // Calculate average score
-        const allScores = playerGames.map(game => {
-            const playerIndex = game.players.indexOf(playerName);
-            return game.scores[playerIndex].reduce((sum, score) =>
-                sum + (score !== null ? score : 0), 0
-            );
-        });
+        // Totals of games left early aren't comparable, so they're kept out of the scores
+        const withdrawals = playerGames.filter(game =>
+            isWithdrawn(game, seat(game))
+        ).length;
+        const finishedGames = playerGames.filter(game =>
+            !isWithdrawn(game, seat(game))
+        );
 
-        const avgScore = (allScores.reduce((a, b) => a + b, 0) / allScores.length).toFixed(1);
-        const bestScore = Math.min(...allScores);
-        const worstScore = Math.max(...allScores);
+        // Calculate average score; totals include handicaps and adjustments, card points don't
+        const allScores = finishedGames.map(game => playerTotal(game, seat(game)));
+        const cardPoints = finishedGames.map(game => cardTotal(game.scores[seat(game)]));
+        const average = values => (values.length > 0
+            ? parseFloat((values.reduce((a, b) => a + b, 0) / values.length).toFixed(1))
+            : null);
+
+        const avgScore = average(allScores);
+        const avgCardPoints = average(cardPoints);
+        const bestScore = allScores.length > 0 ? Math.min(...allScores) : null;
+        const worstScore = allScores.length > 0 ? Math.max(...allScores) : null;
+
+        // Going out; records from before this was tracked have no wentOut list
+        let timesWentOut = 0;
+        let roundsPlayed = 0;
+        playerGames.forEach(game => {
+            const playerIndex = seat(game);
+            // Catch-up scores for rounds before a late join weren't played
+            roundsPlayed += game.scores[playerIndex].filter((s, round) =>
+                s !== null && isActiveInRound(game, playerIndex, round + 1)
+            ).length;
+            timesWentOut += (game.wentOut || []).filter(index => index === playerIndex).length;
+        });
+        const goOutRate = roundsPlayed > 0 ? ((timesWentOut / roundsPlayed) * 100).toFixed(1) : '0.0';
+
+        // Team games: how often the team won and the player's share of the team's points
+        const teamGames = playerGames.filter(game => Array.isArray(game.teams) && game.teams.length > 0);
+        const shares = teamGames.map(game => {
+            const playerIndex = seat(game);
+            const sides = getSides(game);
+            const teamIndex = sides.findIndex(side => side.members.includes(playerIndex));
+            const teamTotal = sideTotals(game)[teamIndex];
+            const total = playerTotal(game, playerIndex);
+            return teamTotal > 0 ? total / teamTotal : null;
+        }).filter(share => share !== null);
+        const contribution = shares.length > 0
+            ? parseFloat(((shares.reduce((a, b) => a + b, 0) / shares.length) * 100).toFixed(1))
+            : null;
 
         return {
             playerName,
+            playerId: profile ? profile.id : null,
             totalGames,
             wins,
+            sharedWins,
             losses: totalGames - wins,
             winRate: parseFloat(winRate),
-            avgScore: parseFloat(avgScore),
+            avgScore,
+            avgCardPoints,
             bestScore,
-            worstScore
+            worstScore,
+            withdrawals,
+            timesWentOut,
+            goOutRate: parseFloat(goOutRate),
+            matchesPlayed: this.matches.filter(match => match.players.includes(playerName)).length,
+            matchWins: this.matches.filter(match => this.isMatchWinner(match, playerName)).length,
+            teamGames: teamGames.length,
+            teamWins: teamGames.filter(game => this.isRecordWinner(game, game.players[seat(game)])).length,
+            contribution
         };
     }
 
+    /**
+     * Get results for every team that has played, keyed by its members
+     * The same players form the same team whatever the team was called.
+     * @returns {Array<Object>} Team statistics, most wins first
+     */
+    getTeamStats() {
+        const teams = new Map();
+
+        this.history.filter(game => Array.isArray(game.teams) && game.teams.length > 0).forEach(game => {
+            const totals = sideTotals(game);
+            const winners = this.getRecordWinners(game).map(winner => winner.index);
+
+            getSides(game).forEach((side, index) => {
+                const members = side.members.map(player => game.players[player]).sort();
+                const key = members.join(' & ');
+                const entry = teams.get(key) || { team: key, members, totalGames: 0, wins: 0, scores: [] };
+
+                entry.totalGames++;
+                entry.scores.push(totals[index]);
+                if (winners.includes(index)) {
+                    entry.wins++;
+                }
+                teams.set(key, entry);
+            });
+        });
+
+        return Array.from(teams.values())
+            .map(({ scores, ...entry }) => ({
+                ...entry,
+                winRate: parseFloat(((entry.wins / entry.totalGames) * 100).toFixed(1)),
+                avgScore: parseFloat((scores.reduce((a, b) => a + b, 0) / scores.length).toFixed(1)),
+                bestScore: Math.min(...scores)
+            }))
+            .sort((a, b) => b.wins - a.wins || a.avgScore - b.avgScore);
+    }
+
     /**
      * Get all player names from history
      * @returns {Array} Unique player names
@@ -114,7 +358,11 @@ export class Statistics {
     getAllPlayers() {
         const players = new Set();
         this.history.forEach(game => {
-            game.players.forEach(player => players.add(player));
+            game.players.forEach((name, index) => {
+                // Profiles keep one name per player whatever a record was saved under
+                const profile = this.roster?.get(game.playerIds?.[index]);
+                players.add(profile ? profile.name : name);
+            });
         });
         return Array.from(players).sort();
     }
@@ -174,12 +422,197 @@ export class Statistics {
         this.saveHistory();
     }
 
+    /**
+     * Count what renaming or merging a player would change
+     * @param {string} player - Profile ID or player name
+     * @param {string} [other] - Player being merged with, to count games they both played
+     * @returns {{games: number, matches: number, conflicts: number}}
+     */
+    previewPlayerChange(player, other = null) {
+        const games = this.history.filter(record => this.getPlayerIndex(record, player) !== -1);
+        const names = new Set(games.map(record => record.players[this.getPlayerIndex(record, player)]));
+
+        return {
+            games: games.length,
+            matches: this.matches.filter(match => match.players.some(name => names.has(name))).length,
+            conflicts: other === null ? 0 : games.filter(record => this.getPlayerIndex(record, other) !== -1).length
+        };
+    }
+
+    /**
+     * Rename a player in every game and match, and in the roster
+     * @param {string} player - Profile ID or player name
+     * @param {string} newName - New name
+     * @returns {number} Number of games changed
+     */
+    renamePlayer(player, newName) {
+        const trimmedName = (newName || '').trim();
+        if (!trimmedName) {
+            throw new Error('Player name cannot be empty');
+        }
+
+        const profile = this.roster?.resolve(player) || null;
+        const taken = this.roster?.resolve(trimmedName) ||
+            (this.getAllPlayers().includes(trimmedName) ? trimmedName : null);
+        if (taken && taken !== player && taken !== profile) {
+            throw new Error(`${trimmedName} already exists; merge the players instead`);
+        }
+
+        const label = profile ? profile.name : player;
+        return this.changePlayer(player, trimmedName, null, `renaming ${label} to ${trimmedName}`, () => {
+            if (profile) {
+                this.roster.rename(profile.id, trimmedName);
+            }
+        });
+    }
+
+    /**
+     * Fold one player's games into another's, for a person recorded under two names
+     * @param {string} from - Profile ID or name to merge away
+     * @param {string} into - Profile ID or name to keep
+     * @returns {number} Number of games changed
+     */
+    mergePlayers(from, into) {
+        const fromProfile = this.roster?.resolve(from) || null;
+        const intoProfile = this.roster?.resolve(into) || null;
+        const fromName = fromProfile ? fromProfile.name : from;
+        const intoName = intoProfile ? intoProfile.name : into;
+
+        if (fromName === intoName) {
+            throw new Error('Choose two different players to merge');
+        }
+
+        const { conflicts } = this.previewPlayerChange(from, into);
+        if (conflicts > 0) {
+            throw new Error(`${fromName} and ${intoName} played ${conflicts} game(s) together and can't be merged`);
+        }
+
+        return this.changePlayer(from, intoName, intoProfile?.id ?? null, `merging ${fromName} into ${intoName}`, () => {
+            if (fromProfile) {
+                this.roster.remove(fromProfile.id);
+            }
+        });
+    }
+
+    /**
+     * Rewrite a player's name (and profile ID) in every game and match, keeping an undo copy
+     * @param {string} player - Profile ID or player name
+     * @param {string} newName - Name to use from now on
+     * @param {string|null} newId - Profile ID to use from now on, or null to keep the current one
+     * @param {string} description - What the change does, for the undo label
+     * @param {Function} updateRoster - Applies the change to the roster, once the records are rewritten
+     * @returns {number} Number of games changed
+     */
+    changePlayer(player, newName, newId, description, updateRoster) {
+        const undo = {
+            description,
+            history: JSON.parse(JSON.stringify(this.history)),
+            matches: JSON.parse(JSON.stringify(this.matches)),
+            profiles: this.roster ? JSON.parse(JSON.stringify(this.roster.profiles)) : null
+        };
+
+        const renamed = new Set();
+        let changed = 0;
+
+        this.history = this.history.map(record => {
+            const index = this.getPlayerIndex(record, player);
+            if (index === -1) {
+                return record;
+            }
+
+            const oldName = record.players[index];
+            renamed.add(oldName);
+            changed++;
+
+            const updated = replaceName(record, oldName, newName);
+            if (newId !== null && Array.isArray(updated.playerIds) && updated.playerIds.length > 0) {
+                updated.playerIds[index] = newId;
+            }
+            return updated;
+        });
+
+        this.matches = this.matches.map(match =>
+            Array.from(renamed).reduce((updated, oldName) => replaceName(updated, oldName, newName), match)
+        );
+
+        updateRoster();
+
+        this.lastPlayerChange = undo;
+        this.saveHistory();
+        this.saveMatches();
+        return changed;
+    }
+
+    /**
+     * Describe the rename or merge that can be undone
+     * @returns {string|null} Description, or null if there's nothing to undo
+     */
+    getPlayerChangeUndoDescription() {
+        return this.lastPlayerChange ? this.lastPlayerChange.description : null;
+    }
+
+    /**
+     * Put history, matches and the roster back as they were before the last rename or merge
+     * @returns {string} Description of the undone change
+     */
+    undoPlayerChange() {
+        const change = this.lastPlayerChange;
+        if (!change) {
+            throw new Error('Nothing to undo');
+        }
+
+        this.history = change.history;
+        this.matches = change.matches;
+        if (this.roster && change.profiles) {
+            this.roster.profiles = change.profiles;
+            this.roster.saveProfiles();
+        }
+
+        this.lastPlayerChange = null;
+        this.saveHistory();
+        this.saveMatches();
+        return change.description;
+    }
+
     /**
      * Clear all history
      */
     clearHistory() {
         this.history = [];
         this.saveHistory();
+        this.matches = [];
+        this.saveMatches();
+    }
+
+    /**
+     * Take in game and match history from a backup
+     * @param {Object} records - History to take in
+     * @param {Array<Object>} records.history - Game records
+     * @param {Array<Object>} records.matches - Match records
+     * @param {boolean} [merge=false] - Add to the history here instead of replacing it
+     * @returns {{games: number, matches: number}} How many records were taken in
+     */
+    restore({ history, matches }, merge = false) {
+        const gameIds = new Set(merge ? this.history.map(game => game.id) : []);
+        const matchIds = new Set(merge ? this.matches.map(match => match.id) : []);
+        const newGames = history.filter(game => !gameIds.has(game.id));
+        const newMatches = matches.filter(match => !matchIds.has(match.id));
+
+        this.history = [...(merge ? this.history : []), ...newGames]
+            .sort((a, b) => b.timestamp - a.timestamp)
+            .slice(0, MAX_HISTORY);
+        this.matches = [...(merge ? this.matches : []), ...newMatches]
+            .sort((a, b) => b.timestamp - a.timestamp);
+
+        // Profile IDs from another device are matched to local profiles by name
+        this.roster?.migrateHistory(this.history);
+        this.saveHistory();
+        this.saveMatches();
+
+        return {
+            games: newGames.filter(game => this.history.includes(game)).length,
+            matches: newMatches.length
+        };
     }
 
     /**
@@ -205,19 +638,21 @@ export class Statistics {
 
             // Validate structure
             imported.forEach(game => {
-                if (!game.players || !game.scores || !game.winner) {
+                if (!game.players || !game.scores || (!game.winner && !Array.isArray(game.winners))) {
                     throw new Error('Invalid game record');
                 }
             });
 
-            // Merge with existing history, avoid duplicates
+            // Merge with existing history, avoid duplicates; old exports get today's record shape
             const existingIds = new Set(this.history.map(g => g.id));
-            const newGames = imported.filter(g => !existingIds.has(g.id));
+            const newGames = migrateLegacyHistory(imported).filter(g => !existingIds.has(g.id));
 
             this.history = [...this.history, ...newGames]
                 .sort((a, b) => b.timestamp - a.timestamp)
                 .slice(0, MAX_HISTORY);
 
+            // Profile IDs from another device are matched to local profiles by name
+            this.roster?.migrateHistory(this.history);
             this.saveHistory();
             return true;
         } catch (error) {
@@ -227,25 +662,38 @@ export class Statistics {
     }
 
     /**
-     * Load history from localStorage
+     * Load history
      * @returns {Array} Loaded history or empty array
      */
     loadHistory() {
+        return readStored(HISTORY_KEY, []);
+    }
+
+    /**
+     * Load match history
+     * @returns {Array} Loaded matches or empty array
+     */
+    loadMatches() {
+        return readStored(MATCH_HISTORY_KEY, []);
+    }
+
+    /**
+     * Save match history
+     */
+    saveMatches() {
         try {
-            const data = localStorage.getItem(HISTORY_KEY);
-            return data ? JSON.parse(data) : [];
+            writeStored(MATCH_HISTORY_KEY, this.matches);
         } catch (error) {
-            console.error('Failed to load history:', error);
-            return [];
+            console.error('Failed to save match history:', error);
         }
     }
 
     /**
-     * Save history to localStorage
+     * Save history
      */
     saveHistory() {
         try {
-            localStorage.setItem(HISTORY_KEY, JSON.stringify(this.history));
+            writeStored(HISTORY_KEY, this.history);
         } catch (error) {
             console.error('Failed to save history:', error);
         }
@@ -1,18 +1,60 @@
 /**
  * storage.js
- * Handles localStorage persistence for game state
+ * Handles persistence for game state
  */
 
-const STORAGE_KEY = 'fiveCrownsGame';
+import { readStored, writeStored } from './schema.js';
+import { Persistence } from './persistence.js';
+
+export const STORAGE_KEY = 'fiveCrownsGame'; // the game being played
+const SAVED_GAMES_KEY = 'fiveCrownsSavedGames'; // paused games: [{ id, name, updated, players, currentRound, maxRounds, state }]
+const SNAPSHOTS_KEY = 'fiveCrownsSnapshots'; // games that were cleared or replaced: [{ id, taken, reason, ...summary, state }]
+
+export const MAX_SNAPSHOTS = 10;
+
+/**
+ * Summarize a stored game state for a list
+ * @param {Object} state - Game state
+ * @returns {{name: string, players: string[], currentRound: number, maxRounds: number}}
+ */
+export function summarizeGame(state) {
+    const players = Array.isArray(state.players) ? state.players : [];
+    return {
+        name: state.name || players.join(', '),
+        players,
+        currentRound: state.currentRound || 1,
+        maxRounds: state.variant?.roundCards?.length || state.scores?.[0]?.length || 11
+    };
+}
 
 export const Storage = {
+    stored: undefined, // { gameId } of the stored game, null if there's none; undefined until read
+
     /**
-     * Save game state to localStorage
+     * Save game state
      * @param {Object} gameState - The game state to save
+     * @param {Object} [options] - Save options
+     * @param {boolean} [options.snapshot=true] - Keep a snapshot of a different game this replaces
+     *   (false when that game is kept elsewhere, e.g. in its tournament table)
      */
-    save(gameState) {
+    save(gameState, { snapshot = true } = {}) {
         try {
-            localStorage.setItem(STORAGE_KEY, JSON.stringify(gameState));
+            if (this.stored === undefined) {
+                this.load();
+            }
+
+            // A different game is taking over; keep the one it replaces
+            // (re-read in case another tab has stored this game since)
+            const gameId = gameState.gameId ?? null;
+            if (snapshot && this.stored && this.stored.gameId !== gameId) {
+                const previous = this.load();
+                if (previous && (previous.gameId ?? null) !== gameId) {
+                    this.takeSnapshot(previous, 'replaced');
+                }
+            }
+
+            writeStored(STORAGE_KEY, gameState);
+            this.stored = { gameId };
             return true;
         } catch (error) {
             console.error('Failed to save game state:', error);
@@ -21,17 +63,13 @@ export const Storage = {
     },
 
     /**
-     * Load game state from localStorage
+     * Load game state
      * @returns {Object|null} The saved game state or null if none exists
      */
     load() {
-        try {
-            const data = localStorage.getItem(STORAGE_KEY);
-            return data ? JSON.parse(data) : null;
-        } catch (error) {
-            console.error('Failed to load game state:', error);
-            return null;
-        }
+        const state = readStored(STORAGE_KEY, null);
+        this.stored = state ? { gameId: state.gameId ?? null } : null;
+        return state;
     },
 
     /**
@@ -39,7 +77,14 @@ export const Storage = {
      */
     clear() {
         try {
-            localStorage.removeItem(STORAGE_KEY);
+            // Paused games are safe in the saved games; anything else is kept as a snapshot
+            const previous = this.load();
+            if (previous && !this.loadSaves().some(save => save.id === previous.gameId)) {
+                this.takeSnapshot(previous, 'cleared');
+            }
+
+            Persistence.removeItem(STORAGE_KEY);
+            this.stored = null;
             return true;
         } catch (error) {
             console.error('Failed to clear game state:', error);
@@ -52,6 +97,144 @@ export const Storage = {
      * @returns {boolean}
      */
     hasSavedGame() {
-        return localStorage.getItem(STORAGE_KEY) !== null;
+        return Persistence.getItem(STORAGE_KEY) !== null;
+    },
+
+    /**
+     * Get the paused games, most recently played first
+     * @returns {Array<Object>} Save summaries (without their game state)
+     */
+    listSaves() {
+        return this.loadSaves()
+            .map(({ state, ...summary }) => summary)
+            .sort((a, b) => (b.updated || '').localeCompare(a.updated || ''));
+    },
+
+    /**
+     * Put a game aside so another can be played
+     * @param {Object} save - Save summary (with its ID) plus the game's state
+     * @returns {boolean} Success status
+     */
+    park(save) {
+        return this.storeSaves([save, ...this.loadSaves().filter(existing => existing.id !== save.id)]);
+    },
+
+    /**
+     * Take a paused game off the list to resume it
+     * @param {string} id - Save ID
+     * @returns {Object|null} The game's state, or null if there's no such save
+     */
+    unpark(id) {
+        const saves = this.loadSaves();
+        const entry = saves.find(save => save.id === id);
+        if (!entry) {
+            return null;
+        }
+
+        this.storeSaves(saves.filter(save => save.id !== id));
+        return entry.state;
+    },
+
+    /**
+     * Delete a paused game
+     * @param {string} id - Save ID
+     * @returns {boolean} Success status
+     */
+    deleteSave(id) {
+        const saves = this.loadSaves();
+        const deleted = saves.find(save => save.id === id);
+        if (deleted) {
+            this.takeSnapshot(deleted.state, 'deleted');
+        }
+        return this.storeSaves(saves.filter(save => save.id !== id));
+    },
+
+    /**
+     * Take in saved games from a backup
+     * @param {Array<Object>} saves - Saves with their state
+     * @param {boolean} [merge=false] - Add to the saves here instead of replacing them
+     * @returns {number} How many saves were taken in
+     */
+    restoreSaves(saves, merge = false) {
+        const existing = merge ? this.loadSaves() : [];
+        const added = saves.filter(save => !existing.some(entry => entry.id === save.id));
+        return this.storeSaves([...existing, ...added]) ? added.length : 0;
+    },
+
+    /**
+     * Keep a copy of a game that's about to be lost, dropping the oldest beyond MAX_SNAPSHOTS
+     * @param {Object} state - Game state
+     * @param {string} reason - 'cleared', 'replaced' or 'deleted'
+     * @returns {boolean} Success status
+     */
+    takeSnapshot(state, reason) {
+        const snapshots = this.loadSnapshots();
+        const latest = snapshots[0]?.state;
+        // The same game at the same point is already kept
+        if (latest && latest.gameId === state.gameId && latest.events?.length === state.events?.length) {
+            return true;
+        }
+
+        let id = Date.now();
+        while (snapshots.some(snapshot => snapshot.id === id)) {
+            id++;
+        }
+
+        const snapshot = { id, taken: new Date().toISOString(), reason, ...summarizeGame(state), state };
+        try {
+            writeStored(SNAPSHOTS_KEY, [snapshot, ...snapshots].slice(0, MAX_SNAPSHOTS));
+            return true;
+        } catch (error) {
+            console.error('Failed to save snapshot:', error);
+            return false;
+        }
+    },
+
+    /**
+     * Get the snapshots, newest first
+     * @returns {Array<Object>} Snapshot summaries (without their game state)
+     */
+    listSnapshots() {
+        return this.loadSnapshots().map(({ state, ...summary }) => summary);
+    },
+
+    /**
+     * Get a snapshot's game state
+     * @param {number} id - Snapshot ID
+     * @returns {Object|null} Game state, or null if there's no such snapshot
+     */
+    getSnapshot(id) {
+        return this.loadSnapshots().find(snapshot => snapshot.id === id)?.state || null;
+    },
+
+    /**
+     * Read the snapshots
+     * @returns {Array<Object>} Snapshots with their state, newest first
+     */
+    loadSnapshots() {
+        return readStored(SNAPSHOTS_KEY, []);
+    },
+
+    /**
+     * Read the paused games list
+     * @returns {Array<Object>} Saves with their state
+     */
+    loadSaves() {
+        return readStored(SAVED_GAMES_KEY, []);
+    },
+
+    /**
+     * Write the paused games list
+     * @param {Array<Object>} saves - Saves with their state
+     * @returns {boolean} Success status
+     */
+    storeSaves(saves) {
+        try {
+            writeStored(SAVED_GAMES_KEY, saves);
+            return true;
+        } catch (error) {
+            console.error('Failed to save games list:', error);
+            return false;
+        }
     }
 };
@@ -0,0 +1,101 @@
+/**
+ * sync.js
+ * Keeping a game in step when it's open in several tabs. Game logs only ever
+ * grow, so comparing them shows whether one tab is simply ahead of the other
+ * or both changed the game at once.
+ */
+
+/**
+ * Check whether two logged events are the same event
+ * @param {Object} a - Event
+ * @param {Object} b - Event
+ * @returns {boolean}
+ */
+function sameEvent(a, b) {
+    return a.seq === b.seq && a.type === b.type && a.timestamp === b.timestamp;
+}
+
+/**
+ * Check whether a log starts with every event of another
+ * @param {Array<Object>} log - Event log
+ * @param {Array<Object>} prefix - Possible start of it
+ * @returns {boolean}
+ */
+function startsWith(log, prefix) {
+    return prefix.length <= log.length && prefix.every((event, index) => sameEvent(event, log[index]));
+}
+
+/**
+ * Compare this tab's game log with another tab's
+ * @param {Array<Object>} local - This tab's events
+ * @param {Array<Object>} remote - The other tab's events
+ * @returns {'same'|'behind'|'ahead'|'diverged'} Where this tab stands
+ */
+export function compareLogs(local, remote) {
+    if (startsWith(remote, local)) {
+        return remote.length === local.length ? 'same' : 'behind';
+    }
+    return startsWith(local, remote) ? 'ahead' : 'diverged';
+}
+
+/**
+ * Decides what to do when another tab saves the game. Remembers the last log
+ * this tab knew the others had (the base), so a change made here since then
+ * can be told apart from one that's only been seen.
+ */
+export class GameSync {
+    /**
+     * @param {Array<Object>} [base] - Log known to be in storage
+     */
+    constructor(base = []) {
+        this.base = [...base];
+    }
+
+    /**
+     * Note the log that's in storage, e.g. after loading it
+     * @param {Array<Object>} events - Stored events
+     */
+    setBase(events) {
+        this.base = [...events];
+    }
+
+    /**
+     * Work out how to take another tab's save
+     * @param {Array<Object>} local - This tab's events
+     * @param {Array<Object>|null} remote - The saved events, or null if the other tab cleared the game
+     * @returns {'none'|'adopt'|'rewrite'|'conflict'}
+     *   none: nothing to do; adopt: load the other tab's game; rewrite: save this tab's
+     *   game again; conflict: both changed it, ask which to keep
+     */
+    receive(local, remote) {
+        const unchangedHere = compareLogs(local, this.base) === 'same';
+
+        if (remote === null) {
+            // Another tab finished with the game; follow it unless there are changes here
+            if (!unchangedHere || local.length === 0) {
+                return 'none';
+            }
+            this.setBase([]);
+            return 'adopt';
+        }
+
+        // A version already seen and turned down
+        if (compareLogs(remote, this.base) === 'same' && !unchangedHere) {
+            return 'none';
+        }
+
+        const relation = compareLogs(local, remote);
+        this.setBase(remote);
+
+        if (relation === 'same') {
+            return 'none';
+        }
+        if (relation === 'behind') {
+            return 'adopt';
+        }
+        if (relation === 'ahead') {
+            return 'rewrite';
+        }
+        return unchangedHere ? 'adopt' : 'conflict';
+    }
+}
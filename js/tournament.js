@@ -0,0 +1,453 @@
+/**
+ * tournament.js
+ * Multi-table tournaments: tables of 3-7 players, re-seated each round by Swiss pairing
+ */
+
+import { findWinners } from './winners.js';
+import { isWithdrawn } from './lineup.js';
+import { playerTotal } from './adjustments.js';
+import { readStored, writeStored } from './schema.js';
+import { Persistence } from './persistence.js';
+
+const TOURNAMENT_KEY = 'fiveCrownsTournament';
+
+export const MIN_TABLE_SIZE = 3;
+export const MAX_TABLE_SIZE = 7;
+export const DEFAULT_TABLE_SIZE = 4;
+export const DEFAULT_TOURNAMENT_ROUNDS = 3;
+
+/**
+ * Split a roster into table sizes as close to the preferred size as the 3-7 limits allow
+ * @param {number} playerCount - Players in the tournament
+ * @param {number} [tableSize] - Preferred players per table
+ * @returns {number[]} Table sizes, largest first
+ */
+export function planTables(playerCount, tableSize = DEFAULT_TABLE_SIZE) {
+    if (playerCount < MIN_TABLE_SIZE) {
+        throw new Error(`A tournament needs at least ${MIN_TABLE_SIZE} players`);
+    }
+
+    let tables = Math.max(1, Math.round(playerCount / tableSize));
+    tables = Math.max(tables, Math.ceil(playerCount / MAX_TABLE_SIZE));
+    tables = Math.min(tables, Math.floor(playerCount / MIN_TABLE_SIZE));
+
+    const base = Math.floor(playerCount / tables);
+    const extra = playerCount % tables;
+    return Array.from({ length: tables }, (_, index) => base + (index < extra ? 1 : 0));
+}
+
+/**
+ * Key for a pair of players in the meetings map, whichever way round they are given
+ * @param {string} a - Player name
+ * @param {string} b - Player name
+ * @returns {string}
+ */
+function meetingKey(a, b) {
+    return a < b ? `${a}\u0000${b}` : `${b}\u0000${a}`;
+}
+
+/**
+ * Seat ranked players Swiss-style: each table takes the best player left, then fills
+ * from the next few in rank order, preferring players who have met the table least.
+ * @param {string[]} ranked - Player names, best first
+ * @param {number[]} sizes - Table sizes
+ * @param {Map<string, number>} [meetings] - Times each pair has shared a table
+ * @returns {string[][]} Player names per table
+ */
+export function seatPlayers(ranked, sizes, meetings = new Map()) {
+    const remaining = [...ranked];
+    const timesMet = (name, table) =>
+        table.reduce((sum, seated) => sum + (meetings.get(meetingKey(name, seated)) || 0), 0);
+
+    return sizes.map(size => {
+        const table = [remaining.shift()];
+
+        while (table.length < size) {
+            // Only look a table's worth down the rankings so strong players stay together
+            const candidates = remaining.slice(0, size);
+            let best = 0;
+            candidates.forEach((name, index) => {
+                if (timesMet(name, table) < timesMet(candidates[best], table)) {
+                    best = index;
+                }
+            });
+            table.push(remaining.splice(best, 1)[0]);
+        }
+
+        return table;
+    });
+}
+
+/**
+ * Score a finished table: a point for every tablemate finished ahead of, half for a tie.
+ * Players who withdrew finish behind everyone who stayed.
+ * @param {Object} gameState - Finished game state
+ * @returns {Array<{name: string, total: number, points: number, won: boolean, withdrew: boolean}>}
+ */
+export function scoreTable(gameState) {
+    const totals = gameState.players.map((_, index) => playerTotal(gameState, index));
+    const withdrew = gameState.players.map((_, index) => isWithdrawn(gameState, index));
+    const winners = findWinners(gameState).map(winner => winner.index);
+
+    return gameState.players.map((name, index) => ({
+        name,
+        total: totals[index],
+        withdrew: withdrew[index],
+        won: winners.includes(index),
+        points: gameState.players.reduce((points, _, other) => {
+            if (other === index || withdrew[index]) {
+                return points;
+            }
+            if (withdrew[other] || totals[index] < totals[other]) {
+                return points + 1;
+            }
+            return totals[index] === totals[other] ? points + 0.5 : points;
+        }, 0)
+    }));
+}
+
+export class Tournament {
+    constructor() {
+        this.reset(false);
+    }
+
+    /**
+     * Clear the tournament
+     * @param {boolean} [persist=true] - Also drop the saved tournament
+     */
+    reset(persist = true) {
+        this.id = null;
+        this.roster = [];
+        this.tableSize = DEFAULT_TABLE_SIZE;
+        this.totalRounds = 0;
+        this.gameOptions = {}; // variant and tieBreaker used at every table
+        this.rounds = []; // per round: { tables: [{ players: [name], state, historyId, complete }] }
+        this.activeTable = null; // index of the current round's table being played
+
+        if (persist) {
+            this.clearState();
+        }
+    }
+
+    /**
+     * Start a tournament, seating round 1 in roster order
+     * @param {string[]} roster - Player names
+     * @param {Object} [options] - Tournament options
+     * @param {number} [options.tableSize] - Preferred players per table
+     * @param {number} [options.rounds] - Rounds of play
+     * @param {Object} [options.gameOptions] - Variant and tie-breaker for every table
+     */
+    start(roster, { tableSize = DEFAULT_TABLE_SIZE, rounds = DEFAULT_TOURNAMENT_ROUNDS, gameOptions = {} } = {}) {
+        if (!Number.isInteger(tableSize) || tableSize < MIN_TABLE_SIZE || tableSize > MAX_TABLE_SIZE) {
+            throw new Error(`Tables must seat ${MIN_TABLE_SIZE} to ${MAX_TABLE_SIZE} players`);
+        }
+
+        if (!Number.isInteger(rounds) || rounds < 1) {
+            throw new Error('A tournament needs at least 1 round');
+        }
+
+        if (new Set(roster).size !== roster.length) {
+            throw new Error('Player names must be unique');
+        }
+
+        const sizes = planTables(roster.length, tableSize);
+
+        this.reset(false);
+        this.id = Date.now();
+        this.roster = [...roster];
+        this.tableSize = tableSize;
+        this.totalRounds = rounds;
+        this.gameOptions = { ...gameOptions };
+        this.rounds.push(this.createRound(seatPlayers(this.roster, sizes)));
+        this.saveState();
+    }
+
+    /**
+     * Check whether a tournament is being run
+     * @returns {boolean}
+     */
+    isActive() {
+        return this.totalRounds > 0;
+    }
+
+    /**
+     * Build an unplayed round from its seating
+     * @param {string[][]} seating - Player names per table
+     * @returns {Object} Round
+     */
+    createRound(seating) {
+        return {
+            tables: seating.map(players => ({ players, state: null, historyId: null, complete: false }))
+        };
+    }
+
+    /**
+     * Get the round being played
+     * @returns {Object|null} Round, or null before the tournament starts
+     */
+    getCurrentRound() {
+        return this.rounds[this.rounds.length - 1] || null;
+    }
+
+    /**
+     * Check whether every table in the current round has finished
+     * @returns {boolean}
+     */
+    isRoundComplete() {
+        const round = this.getCurrentRound();
+        return round !== null && round.tables.every(table => table.complete);
+    }
+
+    /**
+     * Check whether the last round has finished
+     * @returns {boolean}
+     */
+    isComplete() {
+        return this.isActive() && this.rounds.length >= this.totalRounds && this.isRoundComplete();
+    }
+
+    /**
+     * Re-seat everyone for the next round from the standings
+     * @returns {Object} The new round
+     */
+    seatNextRound() {
+        if (!this.isRoundComplete()) {
+            throw new Error('Finish every table before seating the next round');
+        }
+
+        if (this.rounds.length >= this.totalRounds) {
+            throw new Error('All rounds have been played');
+        }
+
+        const ranked = this.getStandings().map(entry => entry.name);
+        const round = this.createRound(
+            seatPlayers(ranked, planTables(ranked.length, this.tableSize), this.getMeetings())
+        );
+
+        this.rounds.push(round);
+        this.activeTable = null;
+        this.saveState();
+        return round;
+    }
+
+    /**
+     * Load a table of the current round into the game, starting it if it hasn't begun
+     * @param {Game} game - Game to play the table in
+     * @param {number} tableIndex - Table index
+     */
+    playTable(game, tableIndex) {
+        const table = this.getCurrentRound()?.tables[tableIndex];
+        if (!table) {
+            throw new Error('Invalid table');
+        }
+
+        // The game being swapped out is kept in its table, so it needs no snapshot
+        if (table.state?.events?.length > 0) {
+            game.replay(table.state.events);
+            game.persist({ snapshot: false });
+        } else {
+            const { variant, tieBreaker } = this.gameOptions;
+            game.startNewGame(table.players, variant, { tieBreaker, firstDealer: 'random', snapshot: false });
+        }
+
+        this.activeTable = tableIndex;
+        this.saveState();
+    }
+
+    /**
+     * Store the game being played back into its table
+     * @param {Game} game - Game playing the active table
+     * @returns {boolean} True if there was an active table to save
+     */
+    saveTable(game) {
+        const table = this.activeTable !== null ? this.getCurrentRound()?.tables[this.activeTable] : null;
+        if (!table) {
+            return false;
+        }
+
+        table.state = game.exportState();
+        table.historyId = game.historyId;
+        table.complete = game.isGameComplete();
+        this.saveState();
+        return true;
+    }
+
+    /**
+     * Count how often each pair of players has shared a table
+     * @returns {Map<string, number>} Pair key -> times met
+     */
+    getMeetings() {
+        const meetings = new Map();
+
+        this.rounds.forEach(round => {
+            round.tables.forEach(({ players }) => {
+                players.forEach((a, i) => {
+                    players.slice(i + 1).forEach(b => {
+                        const key = meetingKey(a, b);
+                        meetings.set(key, (meetings.get(key) || 0) + 1);
+                    });
+                });
+            });
+        });
+
+        return meetings;
+    }
+
+    /**
+     * Get the leaderboard from every finished table
+     * Ranked on points, then table wins, then lowest average score.
+     * @returns {Array<{rank: number, name: string, points: number, wins: number, gamesPlayed: number, totalScore: number, avgScore: number|null}>}
+     */
+    getStandings() {
+        const standings = new Map(this.roster.map(name => [name, {
+            name, points: 0, wins: 0, gamesPlayed: 0, totalScore: 0, avgScore: null
+        }]));
+
+        this.rounds.forEach(round => {
+            round.tables.filter(table => table.complete).forEach(table => {
+                scoreTable(table.state).forEach(result => {
+                    const entry = standings.get(result.name);
+                    if (!entry) return;
+
+                    entry.points += result.points;
+                    entry.gamesPlayed++;
+                    entry.totalScore += result.total;
+                    if (result.won) {
+                        entry.wins++;
+                    }
+                });
+            });
+        });
+
+        return Array.from(standings.values())
+            .map(entry => ({
+                ...entry,
+                avgScore: entry.gamesPlayed > 0 ? Math.round(entry.totalScore / entry.gamesPlayed) : null
+            }))
+            .sort((a, b) =>
+                b.points - a.points ||
+                b.wins - a.wins ||
+                (a.avgScore ?? Infinity) - (b.avgScore ?? Infinity) ||
+                a.name.localeCompare(b.name)
+            )
+            .map((entry, index) => ({ rank: index + 1, ...entry }));
+    }
+
+    /**
+     * Export the tournament and its leaderboard as JSON
+     * @returns {string} JSON string
+     */
+    exportToJSON() {
+        return JSON.stringify({
+            version: '1.0',
+            exportDate: new Date().toISOString(),
+            tournament: {
+                id: this.id,
+                roster: this.roster,
+                tableSize: this.tableSize,
+                totalRounds: this.totalRounds,
+                gameOptions: this.gameOptions,
+                complete: this.isComplete(),
+                rounds: this.rounds.map((round, index) => ({
+                    round: index + 1,
+                    tables: round.tables.map((table, tableIndex) => ({
+                        table: tableIndex + 1,
+                        players: table.players,
+                        complete: table.complete,
+                        historyId: table.historyId,
+                        results: table.complete ? scoreTable(table.state) : null
+                    }))
+                }))
+            },
+            leaderboard: this.getStandings()
+        }, null, 2);
+    }
+
+    /**
+     * Export the leaderboard as CSV
+     * @returns {string} CSV text with a header row
+     */
+    exportToCSV() {
+        const quote = value => {
+            let text = String(value ?? '');
+            // Spreadsheets run text starting like a formula; a leading ' keeps it as text
+            if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+                text = `'${text}`;
+            }
+            return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        const rows = [['Rank', 'Player', 'Points', 'Wins', 'Games', 'Total Score', 'Average Score']];
+        this.getStandings().forEach(entry => {
+            rows.push([entry.rank, entry.name, entry.points, entry.wins, entry.gamesPlayed, entry.totalScore, entry.avgScore]);
+        });
+
+        return rows.map(row => row.map(quote).join(',')).join('\n') + '\n';
+    }
+
+    /**
+     * Get the tournament as plain data, as it is saved
+     * @returns {Object}
+     */
+    getState() {
+        return {
+            id: this.id,
+            roster: this.roster,
+            tableSize: this.tableSize,
+            totalRounds: this.totalRounds,
+            gameOptions: this.gameOptions,
+            rounds: this.rounds,
+            activeTable: this.activeTable
+        };
+    }
+
+    /**
+     * Save the tournament
+     */
+    saveState() {
+        try {
+            writeStored(TOURNAMENT_KEY, this.getState());
+        } catch (error) {
+            console.error('Failed to save tournament:', error);
+        }
+    }
+
+    /**
+     * Load the tournament
+     * @returns {boolean} True if a tournament was loaded
+     */
+    loadState() {
+        const state = readStored(TOURNAMENT_KEY, null);
+        if (!state) {
+            return false;
+        }
+
+        this.setState(state);
+        return true;
+    }
+
+    /**
+     * Take on a tournament from plain data, as getState() gives it
+     * @param {Object} state - Tournament state
+     */
+    setState(state) {
+        this.id = state.id;
+        this.roster = state.roster || [];
+        this.tableSize = state.tableSize || DEFAULT_TABLE_SIZE;
+        this.totalRounds = state.totalRounds || 0;
+        this.gameOptions = state.gameOptions || {};
+        this.rounds = Array.isArray(state.rounds) ? state.rounds : [];
+        this.activeTable = state.activeTable ?? null;
+    }
+
+    /**
+     * Drop the saved tournament
+     */
+    clearState() {
+        try {
+            Persistence.removeItem(TOURNAMENT_KEY);
+        } catch (error) {
+            console.error('Failed to clear tournament:', error);
+        }
+    }
+}
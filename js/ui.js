@@ -3,34 +3,224 @@
  * UI rendering and DOM manipulation
  */
 
+import { VARIANTS, DEFAULT_VARIANT_ID, rankName } from './variants.js';
+import { CARD_RANKS, JOKER, handValue } from './hand.js';
+import { TIE_BREAKERS, DEFAULT_TIE_BREAKER } from './winners.js';
+import { ADJUSTMENT_REASONS, roundAdjustments } from './adjustments.js';
+import { CATCH_UP_RULES, DEFAULT_CATCH_UP, isWithdrawn, leftRoundScores } from './lineup.js';
+import { MATCH_SCORING, DEFAULT_MATCH_SCORING } from './match.js';
+import { DEFAULT_TABLE_SIZE, DEFAULT_TOURNAMENT_ROUNDS, scoreTable } from './tournament.js';
+import { Storage } from './storage.js';
+import { readStored, writeStored } from './schema.js';
+
+const THEME_KEY = 'theme'; // 'light' or 'dark'
+
 export class UI {
-    constructor(game, statistics) {
+    constructor(game, statistics, match, tournament) {
         this.game = game;
         this.statistics = statistics;
-        this.currentView = 'setup'; // 'setup', 'game', 'stats'
+        this.match = match;
+        this.tournament = tournament;
+        this.currentView = 'setup'; // 'setup', 'game', 'stats', 'tournament'
+        this.calculatorHands = {}; // player index -> card ranks tapped into the calculator
+        this.passphraseRequest = null; // { resolve, confirm } while the passphrase dialog is open
         this.elements = {
             setupSection: document.getElementById('setupSection'),
             gameSection: document.getElementById('gameSection'),
             statsSection: document.getElementById('statsSection'),
+            tournamentSection: document.getElementById('tournamentSection'),
+            playerManager: document.getElementById('playerManager'),
+            renamePlayerSelect: document.getElementById('renamePlayerSelect'),
+            renamePlayerInput: document.getElementById('renamePlayerInput'),
+            mergeFromSelect: document.getElementById('mergeFromSelect'),
+            mergeIntoSelect: document.getElementById('mergeIntoSelect'),
+            undoPlayerChangeBtn: document.getElementById('undoPlayerChangeBtn'),
+            tournamentContent: document.getElementById('tournamentContent'),
+            tableSizeSelect: document.getElementById('tableSizeSelect'),
+            tournamentRoundsSelect: document.getElementById('tournamentRoundsSelect'),
+            tournamentBtn: document.getElementById('tournamentBtn'),
+            nextTournamentRoundBtn: document.getElementById('nextTournamentRoundBtn'),
             playerNameInput: document.getElementById('playerNameInput'),
             playerList: document.getElementById('playerList'),
+            rosterPicker: document.getElementById('rosterPicker'),
+            rosterSelect: document.getElementById('rosterSelect'),
+            variantSelect: document.getElementById('variantSelect'),
+            tieBreakerSelect: document.getElementById('tieBreakerSelect'),
+            firstDealerSelect: document.getElementById('firstDealerSelect'),
+            teamModeSelect: document.getElementById('teamModeSelect'),
+            catchUpSelect: document.getElementById('catchUpSelect'),
+            matchSelect: document.getElementById('matchSelect'),
+            matchScoringSelect: document.getElementById('matchScoringSelect'),
+            matchBoard: document.getElementById('matchBoard'),
+            nextGameBtn: document.getElementById('nextGameBtn'),
             roundInfo: document.getElementById('roundInfo'),
             currentRound: document.getElementById('currentRound'),
+            wildIndicator: document.getElementById('wildIndicator'),
             scoreTable: document.getElementById('scoreTable'),
             scoreTableBody: document.getElementById('scoreTableBody'),
+            editLog: document.getElementById('editLog'),
+            adjustmentLog: document.getElementById('adjustmentLog'),
             scoreInputs: document.getElementById('scoreInputs'),
+            roundMessages: document.getElementById('roundMessages'),
             themeToggle: document.getElementById('themeToggle'),
             importModal: document.getElementById('importModal'),
-            importFileInput: document.getElementById('importFileInput')
+            importFileInput: document.getElementById('importFileInput'),
+            savedGamesModal: document.getElementById('savedGamesModal'),
+            savedGamesList: document.getElementById('savedGamesList'),
+            savedGamesBtn: document.getElementById('savedGamesBtn'),
+            recoverModal: document.getElementById('recoverModal'),
+            recoverList: document.getElementById('recoverList'),
+            recoverBtn: document.getElementById('recoverBtn'),
+            backupModal: document.getElementById('backupModal'),
+            backupFileInput: document.getElementById('backupFileInput'),
+            passphraseModal: document.getElementById('passphraseModal'),
+            passphraseTitle: document.getElementById('passphraseTitle'),
+            passphraseText: document.getElementById('passphraseText'),
+            passphraseInput: document.getElementById('passphraseInput'),
+            passphraseConfirmInput: document.getElementById('passphraseConfirmInput'),
+            gameNameInput: document.getElementById('gameNameInput'),
+            storageWarning: document.getElementById('storageWarning'),
+            storageWarningText: document.getElementById('storageWarningText')
         };
         this.initializeTheme();
+        this.populateVariantSelect();
+        this.populateTieBreakerSelect();
+        this.populateCatchUpSelect();
+        this.populateMatchScoringSelect();
+    }
+
+    /**
+     * Fill the variant picker with the built-in variants
+     */
+    populateVariantSelect() {
+        const select = this.elements.variantSelect;
+        if (!select) return;
+
+        select.innerHTML = Object.values(VARIANTS).map(variant => `
+            <option value="${variant.id}" ${variant.id === DEFAULT_VARIANT_ID ? 'selected' : ''}>
+                ${this.escapeHtml(variant.name)}
+            </option>
+        `).join('');
+    }
+
+    /**
+     * Fill the tie-breaker picker with the available rules
+     */
+    populateTieBreakerSelect() {
+        const select = this.elements.tieBreakerSelect;
+        if (!select) return;
+
+        select.innerHTML = Object.entries(TIE_BREAKERS).map(([id, label]) => `
+            <option value="${id}" ${id === DEFAULT_TIE_BREAKER ? 'selected' : ''}>${this.escapeHtml(label)}</option>
+        `).join('');
+    }
+
+    /**
+     * Get the tie-breaker rule chosen in setup
+     * @returns {string} Tie-breaker id
+     */
+    getSelectedTieBreaker() {
+        return this.elements.tieBreakerSelect?.value || DEFAULT_TIE_BREAKER;
+    }
+
+    /**
+     * Fill the catch-up rule picker used when a player joins mid-game
+     */
+    populateCatchUpSelect() {
+        const select = this.elements.catchUpSelect;
+        if (!select) return;
+
+        select.innerHTML = Object.entries(CATCH_UP_RULES).map(([id, label]) => `
+            <option value="${id}" ${id === DEFAULT_CATCH_UP ? 'selected' : ''}>${this.escapeHtml(label)}</option>
+        `).join('');
+    }
+
+    /**
+     * Get the catch-up rule chosen for late joiners
+     * @returns {string} Catch-up rule id
+     */
+    getSelectedCatchUp() {
+        return this.elements.catchUpSelect?.value || DEFAULT_CATCH_UP;
+    }
+
+    /**
+     * Fill the match scoring picker with the available rules
+     */
+    populateMatchScoringSelect() {
+        const select = this.elements.matchScoringSelect;
+        if (!select) return;
+
+        select.innerHTML = Object.entries(MATCH_SCORING).map(([id, label]) => `
+            <option value="${id}" ${id === DEFAULT_MATCH_SCORING ? 'selected' : ''}>${this.escapeHtml(label)}</option>
+        `).join('');
+    }
+
+    /**
+     * Get the match length chosen in setup
+     * @returns {number} Games in the match (1 for a single game)
+     */
+    getSelectedBestOf() {
+        return parseInt(this.elements.matchSelect?.value || '1', 10);
+    }
+
+    /**
+     * Get the match scoring rule chosen in setup
+     * @returns {string} Match scoring id
+     */
+    getSelectedMatchScoring() {
+        return this.elements.matchScoringSelect?.value || DEFAULT_MATCH_SCORING;
+    }
+
+    /**
+     * Get the tournament settings chosen in setup
+     * @returns {{tableSize: number, rounds: number}}
+     */
+    getSelectedTournamentOptions() {
+        return {
+            tableSize: parseInt(this.elements.tableSizeSelect?.value || DEFAULT_TABLE_SIZE, 10),
+            rounds: parseInt(this.elements.tournamentRoundsSelect?.value || DEFAULT_TOURNAMENT_ROUNDS, 10)
+        };
+    }
+
+    /**
+     * Fill the first-dealer picker with a random draw and the current players
+     */
+    populateFirstDealerSelect() {
+        const select = this.elements.firstDealerSelect;
+        if (!select) return;
+
+        // Keep the chosen player selected as others are added or removed
+        const previous = select.value === 'random' ? null : select.selectedOptions[0]?.textContent.trim();
+        select.innerHTML = '<option value="random">Draw at random</option>' +
+            this.game.players.map((name, index) => `
+                <option value="${index}" ${name === previous ? 'selected' : ''}>
+                    ${this.escapeHtml(name)}
+                </option>
+            `).join('');
+    }
+
+    /**
+     * Get the first dealer chosen in setup
+     * @returns {number|string} Player index or 'random'
+     */
+    getSelectedFirstDealer() {
+        const value = this.elements.firstDealerSelect?.value || 'random';
+        return value === 'random' ? value : parseInt(value, 10);
     }
 
     /**
-     * Initialize theme from localStorage
+     * Get the variant chosen in setup
+     * @returns {string} Variant id
+     */
+    getSelectedVariant() {
+        return this.elements.variantSelect?.value || DEFAULT_VARIANT_ID;
+    }
+
+    /**
+     * Initialize theme from storage
      */
     initializeTheme() {
-        const savedTheme = localStorage.getItem('theme') || 'light';
+        const savedTheme = readStored(THEME_KEY, 'light');
         document.documentElement.setAttribute('data-theme', savedTheme);
         this.updateThemeIcon(savedTheme);
     }
@@ -39,11 +229,29 @@ export class UI {
      * Toggle between light and dark theme
      */
     toggleTheme() {
-        const currentTheme = document.documentElement.getAttribute('data-theme');
-        const newTheme = currentTheme === 'light' ? 'dark' : 'light';
-        document.documentElement.setAttribute('data-theme', newTheme);
-        localStorage.setItem('theme', newTheme);
-        this.updateThemeIcon(newTheme);
+        this.setTheme(this.getTheme() === 'light' ? 'dark' : 'light');
+    }
+
+    /**
+     * Get the theme in use
+     * @returns {string} 'light' or 'dark'
+     */
+    getTheme() {
+        return document.documentElement.getAttribute('data-theme') || 'light';
+    }
+
+    /**
+     * Switch to a theme and remember it
+     * @param {string} theme - 'light' or 'dark'
+     */
+    setTheme(theme) {
+        document.documentElement.setAttribute('data-theme', theme);
+        try {
+            writeStored(THEME_KEY, theme);
+        } catch (error) {
+            console.error('Failed to save theme:', error);
+        }
+        this.updateThemeIcon(theme);
     }
 
     /**
@@ -64,6 +272,8 @@ export class UI {
         this.elements.setupSection.classList.remove('hidden');
         this.elements.roundInfo.textContent = 'Setup Game';
         this.currentView = 'setup';
+        this.elements.savedGamesBtn?.classList.toggle('hidden', Storage.listSaves().length === 0);
+        this.elements.recoverBtn?.classList.toggle('hidden', Storage.listSnapshots().length === 0);
     }
 
     /**
@@ -86,6 +296,17 @@ export class UI {
         this.updateStatsView();
     }
 
+    /**
+     * Show tournament section
+     */
+    showTournament() {
+        this.hideAllSections();
+        this.elements.tournamentSection.classList.remove('hidden');
+        this.elements.roundInfo.textContent = 'Tournament';
+        this.currentView = 'tournament';
+        this.updateTournamentView();
+    }
+
     /**
      * Hide all sections
      */
@@ -93,6 +314,7 @@ export class UI {
         this.elements.setupSection.classList.add('hidden');
         this.elements.gameSection.classList.add('hidden');
         this.elements.statsSection.classList.add('hidden');
+        this.elements.tournamentSection?.classList.add('hidden');
     }
 
     /**
@@ -100,18 +322,122 @@ export class UI {
      */
     updatePlayerList() {
         const list = this.elements.playerList;
+        this.populateFirstDealerSelect();
+        this.populateRosterSelect();
 
         if (this.game.players.length === 0) {
             list.innerHTML = '<p style="color: #999; text-align: center;">No players added yet</p>';
             return;
         }
 
-        list.innerHTML = this.game.players.map((name, index) => `
-            <div class="player-item">
-                <span>${this.escapeHtml(name)}</span>
-                <button class="btn-danger" data-remove-player="${index}">Remove</button>
-            </div>
+        // Keep each player's team and handicap as others are added or removed
+        const previousTeams = {};
+        list.querySelectorAll('[data-player-team]').forEach(select => {
+            const name = select.closest('.player-item').querySelector('span').textContent;
+            previousTeams[name] = parseInt(select.value, 10);
+        });
+        const previousHandicaps = {};
+        list.querySelectorAll('[data-player-handicap]').forEach(input => {
+            const name = input.closest('.player-item').querySelector('span').textContent;
+            previousHandicaps[name] = input.value;
+        });
+
+        const teamSize = this.getSelectedTeamSize();
+        const teamCount = Math.ceil(this.game.players.length / teamSize);
+
+        list.innerHTML = this.game.players.map((name, index) => {
+            const team = previousTeams[name] ?? Math.floor(index / teamSize);
+            const teamPicker = teamSize > 1 ? `
+                <select data-player-team="${index}">
+                    ${Array.from({ length: teamCount }, (_, t) => `
+                        <option value="${t}" ${t === team ? 'selected' : ''}>Team ${t + 1}</option>
+                    `).join('')}
+                </select>
+            ` : '';
+
+            return `
+                <div class="player-item">
+                    <span>${this.escapeHtml(name)}</span>
+                    <input type="number"
+                           class="handicap-input"
+                           data-player-handicap="${index}"
+                           value="${this.escapeHtml(previousHandicaps[name] ?? '')}"
+                           placeholder="Handicap"
+                           title="Starting points (negative for a head start)" />
+                    ${teamPicker}
+                    <button class="btn-danger" data-remove-player="${index}">Remove</button>
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Offer the roster's players who aren't in the game yet
+     */
+    populateRosterSelect() {
+        const select = this.elements.rosterSelect;
+        const roster = this.game.roster;
+        if (!select || !roster) return;
+
+        const available = roster.getAll().filter(profile => !this.game.playerIds.includes(profile.id));
+        select.innerHTML = available.map(profile => `
+            <option value="${this.escapeHtml(profile.id)}">${this.escapeHtml(profile.name)}</option>
         `).join('');
+        this.elements.rosterPicker?.classList.toggle('hidden', available.length === 0);
+    }
+
+    /**
+     * Get the roster player chosen in setup
+     * @returns {string|null} Profile ID, or null if none is available
+     */
+    getSelectedRosterPlayer() {
+        return this.elements.rosterSelect?.value || null;
+    }
+
+    /**
+     * Get the game name entered in setup
+     * @returns {string} Name, or empty for none
+     */
+    getGameName() {
+        return this.elements.gameNameInput?.value.trim() || '';
+    }
+
+    /**
+     * Get the starting handicaps entered in setup
+     * @returns {number[]} Starting points per player; blank counts as 0
+     */
+    getSelectedHandicaps() {
+        return this.game.players.map((_, index) => {
+            const input = this.elements.playerList.querySelector(`[data-player-handicap="${index}"]`);
+            const value = input ? input.value.trim() : '';
+            return value === '' ? 0 : Number(value);
+        });
+    }
+
+    /**
+     * Get the team size chosen in setup
+     * @returns {number} Players per team; 1 for individual play
+     */
+    getSelectedTeamSize() {
+        return parseInt(this.elements.teamModeSelect?.value, 10) || 1;
+    }
+
+    /**
+     * Get the teams arranged in setup
+     * @returns {Array<{members: number[]}>} Teams, or an empty list for individual play
+     */
+    getSelectedTeams() {
+        if (this.getSelectedTeamSize() === 1) {
+            return [];
+        }
+
+        const teams = [];
+        this.elements.playerList.querySelectorAll('[data-player-team]').forEach(select => {
+            const team = parseInt(select.value, 10);
+            teams[team] = teams[team] || { members: [] };
+            teams[team].members.push(parseInt(select.dataset.playerTeam, 10));
+        });
+        return teams.filter(Boolean);
     }
 
     /**
@@ -119,9 +445,30 @@ export class UI {
      */
     updateRoundInfo() {
         const info = this.game.getCurrentRoundInfo();
-        this.elements.roundInfo.textContent =
-            `Round ${info.round} of ${info.maxRounds} - ${info.cards} cards each`;
+        const wildIndicator = this.elements.wildIndicator;
+
+        if (this.game.isGameComplete()) {
+            this.elements.roundInfo.textContent = `${info.variantName} - Game complete`;
+            this.elements.currentRound.textContent = info.maxRounds;
+            wildIndicator?.classList.add('hidden');
+            return;
+        }
+
+        const parts = [
+            `Round ${info.round} of ${info.maxRounds}`,
+            `${info.handSize} cards`,
+            `${info.wildRank} wild`
+        ];
+        if (info.dealer) {
+            parts.push(`${info.dealer} deals`);
+        }
+        this.elements.roundInfo.textContent = parts.join(' – ');
         this.elements.currentRound.textContent = info.round;
+
+        if (wildIndicator) {
+            wildIndicator.textContent = `${info.wildLabel} · ${info.wildRank} wild`;
+            wildIndicator.classList.remove('hidden');
+        }
     }
 
     /**
@@ -134,29 +481,161 @@ export class UI {
 
         // Update header
         thead.innerHTML = '<th>Player</th>';
-        for (let i = 1; i <= this.game.maxRounds; i++) {
-            thead.innerHTML += `<th>R${i}</th>`;
-        }
+        this.game.roundCards.forEach((cards, i) => {
+            const wild = this.game.variant.wildLabels[i];
+            const { dealer } = this.game.getRoundInfo(i + 1);
+            const title = `${cards} cards, ${rankName(cards)} wild, ${dealer} deals`;
+            thead.innerHTML += `<th title="${this.escapeHtml(title)}">R${i + 1}<br><small>${this.escapeHtml(wild)}</small></th>`;
+        });
         thead.innerHTML += '<th>Total</th>';
 
-        // Determine winner if game is complete
-        const winner = this.game.getWinner();
+        // Determine winners if game is complete; in team mode every member of a winning team is highlighted
+        const winners = this.game.getWinners() || [];
+        const winnerIndices = this.game.isTeamGame()
+            ? winners.flatMap(winner => this.game.teams[winner.index].members)
+            : winners.map(winner => winner.index);
+        const dealerIndex = this.game.isGameComplete() ? -1 : this.game.getCurrentRoundInfo().dealerIndex;
 
-        // Update body
-        tbody.innerHTML = this.game.players.map((player, playerIndex) => {
+        const renderPlayerRow = playerIndex => {
+            const player = this.game.players[playerIndex];
             const total = this.game.getPlayerTotal(playerIndex);
-            const isWinner = winner && winner.index === playerIndex;
+            const isWinner = winnerIndices.includes(playerIndex);
+
+            const withdrawn = this.game.withdrawnRound[playerIndex];
+            const joined = this.game.joinedRound[playerIndex];
+            const handicap = this.game.handicaps[playerIndex];
+            const adjusted = this.game.getAdjustmentTotal(playerIndex);
+            const rowClasses = [isWinner && 'winner', withdrawn !== null && 'withdrawn'].filter(Boolean);
 
             return `
-                <tr ${isWinner ? 'class="winner"' : ''}>
-                    <td class="player-name">${this.escapeHtml(player)}</td>
-                    ${this.game.scores[playerIndex].map(score =>
-                        `<td>${score !== null ? score : '-'}</td>`
+                <tr ${rowClasses.length ? `class="${rowClasses.join(' ')}"` : ''}>
+                    <td class="player-name">
+                        ${this.escapeHtml(player)}
+                        ${playerIndex === dealerIndex ? '<span class="dealer-badge" title="Deals this round">🃏</span>' : ''}
+                        ${joined > 1 ? `<small>joined R${joined}</small>` : ''}
+                        ${withdrawn !== null ? `<small>left R${withdrawn}</small>` : ''}
+                        ${handicap !== 0 ? `<small>handicap ${handicap > 0 ? '+' : ''}${handicap}</small>` : ''}
+                    </td>
+                    ${this.game.scores[playerIndex].map((score, roundIndex) =>
+                        this.renderScoreCell(playerIndex, roundIndex + 1, score)
                     ).join('')}
-                    <td class="total-col">${total}</td>
+                    <td class="total-col"${adjusted !== 0 ? ` title="${this.game.getCardTotal(playerIndex)} card points, ${adjusted > 0 ? '+' : ''}${adjusted} adjustments"` : ''}>${total}</td>
                 </tr>
             `;
-        }).join('');
+        };
+
+        // Update body
+        if (!this.game.isTeamGame()) {
+            tbody.innerHTML = this.game.players.map((_, playerIndex) => renderPlayerRow(playerIndex)).join('');
+            return;
+        }
+
+        // Team mode: each team's players, then a row adding them up,
+        // charging rounds a withdrawn member misses as the total does
+        const winningTeams = winners.map(winner => winner.index);
+        const charges = this.game.players.map((_, playerIndex) => leftRoundScores(this.game, playerIndex));
+        tbody.innerHTML = this.game.getTeamTotals().map((team, teamIndex) => `
+            ${team.members.map(renderPlayerRow).join('')}
+            <tr class="team-total${winningTeams.includes(teamIndex) ? ' winner' : ''}">
+                <td class="player-name">${this.escapeHtml(team.name)}</td>
+                ${this.game.roundCards.map((_, roundIndex) => {
+                    const played = team.members
+                        .map(member => this.game.scores[member][roundIndex] ?? charges[member][roundIndex])
+                        .filter(score => score !== null);
+                    return `<td>${played.length > 0 ? played.reduce((sum, score) => sum + score, 0) : '-'}</td>`;
+                }).join('')}
+                <td class="total-col">${team.total}</td>
+            </tr>
+        `).join('');
+    }
+
+    /**
+     * Render one score table cell; played rounds can be clicked to edit
+     * @param {number} playerIndex - Player index
+     * @param {number} round - Round number (1-indexed)
+     * @param {number|null} score - Score in the cell
+     * @returns {string} Cell HTML
+     */
+    renderScoreCell(playerIndex, round, score) {
+        const wentOut = this.game.getWentOut(round) === playerIndex;
+        const withdrawn = this.game.withdrawnRound[playerIndex];
+        const catchUp = round < this.game.joinedRound[playerIndex];
+        const editable = round < this.game.currentRound && (withdrawn === null || round < withdrawn);
+        const adjustments = roundAdjustments(this.game, playerIndex, round);
+        const adjustmentNote = adjustments
+            .map(adjustment => `${adjustment.points > 0 ? '+' : ''}${adjustment.points} ${adjustment.reason}`)
+            .join(', ');
+        const classes = [wentOut && 'went-out', catchUp && 'catch-up', adjustments.length && 'adjusted', editable && 'editable'].filter(Boolean);
+        const title = [wentOut && 'Went out', catchUp && 'Catch-up score', adjustmentNote, editable && 'Click to edit'].filter(Boolean).join(' – ');
+        const editAttrs = editable ? ` data-edit-player="${playerIndex}" data-edit-round="${round}"` : '';
+
+        return `<td${classes.length ? ` class="${classes.join(' ')}"` : ''}${title ? ` title="${this.escapeHtml(title)}"` : ''}${editAttrs}>${score !== null ? this.escapeHtml(String(score)) : '-'}${wentOut ? ' 👑' : ''}${adjustments.length ? '<sup>±</sup>' : ''}</td>`;
+    }
+
+    /**
+     * Update the list of corrections made to past rounds
+     */
+    updateEditLog() {
+        const container = this.elements.editLog;
+        if (!container) return;
+
+        if (this.game.edits.length === 0) {
+            container.innerHTML = '';
+            container.classList.add('hidden');
+            return;
+        }
+
+        container.innerHTML = '<h4>Score Corrections</h4>' + this.game.edits.slice().reverse().map(edit => `
+            <div class="edit-log-item">
+                <span>${this.escapeHtml(edit.player)}, round ${this.escapeHtml(String(edit.round))}: ${this.escapeHtml(String(edit.oldScore ?? '-'))} → ${this.escapeHtml(String(edit.newScore))}</span>
+                <span class="history-date">${new Date(edit.timestamp).toLocaleString()}</span>
+            </div>
+        `).join('');
+        container.classList.remove('hidden');
+    }
+
+    /**
+     * Update the list of bonus/penalty adjustments
+     */
+    updateAdjustmentLog() {
+        const container = this.elements.adjustmentLog;
+        if (!container) return;
+
+        if (this.game.adjustments.length === 0) {
+            container.innerHTML = '';
+            container.classList.add('hidden');
+            return;
+        }
+
+        container.innerHTML = '<h4>Adjustments</h4>' + this.game.adjustments.map((adjustment, index) => `
+            <div class="edit-log-item">
+                <span>${this.escapeHtml(adjustment.player)}, round ${adjustment.round}: ${adjustment.points > 0 ? '+' : ''}${adjustment.points} (${this.escapeHtml(adjustment.reason)})</span>
+                <button type="button" class="btn-secondary" data-remove-adjustment="${index}">Remove</button>
+            </div>
+        `).join('');
+        container.classList.remove('hidden');
+    }
+
+    /**
+     * Ask for the details of a bonus/penalty adjustment
+     * @returns {{playerIndex: number, points: number, reason: string}|null} Details, or null if cancelled
+     */
+    promptAdjustment() {
+        const playerList = this.game.players.map((name, i) => `${i + 1}: ${name}`).join('\n');
+        const player = this.prompt(`Adjust which player?\n${playerList}`, '1');
+        if (player === null) return null;
+
+        const points = this.prompt('Points to add (negative for a bonus):', '10');
+        if (points === null) return null;
+
+        const reason = this.prompt(`Reason (e.g. ${ADJUSTMENT_REASONS.join(', ')}):`, ADJUSTMENT_REASONS[0]);
+        if (reason === null) return null;
+
+        return {
+            playerIndex: parseInt(player, 10) - 1,
+            points: Number(points),
+            reason
+        };
     }
 
     /**
@@ -164,49 +643,222 @@ export class UI {
      */
     updateScoreInputs() {
         const container = this.elements.scoreInputs;
+        this.calculatorHands = {};
+        this.clearRoundValidation();
 
         if (this.game.isGameComplete()) {
             container.innerHTML = '<p style="text-align: center; color: #667eea; font-weight: 600;">Game Complete!</p>';
             return;
         }
 
-        container.innerHTML = this.game.players.map((player, index) => {
+        const { wildLabel, dealerIndex } = this.game.getCurrentRoundInfo();
+
+        container.innerHTML = this.game.getActivePlayers().map(index => {
+            const player = this.game.players[index];
             const currentScore = this.game.getScore(index, this.game.currentRound);
+            const isDealer = index === dealerIndex;
             return `
-                <div class="score-item">
-                    <label>${this.escapeHtml(player)}</label>
+                <div class="score-item${isDealer ? ' dealer' : ''}">
+                    <label>
+                        ${this.escapeHtml(player)}
+                        ${isDealer ? '<span class="dealer-badge">🃏 Dealer</span>' : ''}
+                        ${this.game.isTeamGame() ? `<small>${this.escapeHtml(this.game.teams[this.game.getTeamIndex(index)].name)}</small>` : ''}
+                    </label>
                     <input type="number"
                            id="score-${index}"
                            min="0"
                            value="${currentScore !== null ? currentScore : ''}"
                            placeholder="0"
                            data-player-index="${index}" />
+                    <div class="score-message hidden" id="score-msg-${index}"></div>
+                    <label class="went-out-option">
+                        <input type="radio" name="wentOut" value="${index}" data-went-out="${index}" />
+                        👑 Went out
+                    </label>
+                    <button type="button" class="btn-secondary calc-toggle" data-calc-toggle="${index}">🧮 Count hand</button>
+                    <button type="button" class="btn-secondary withdraw-player" data-withdraw-player="${index}">🚪 Leaves game</button>
+                    ${this.renderCalculator(index, wildLabel)}
                 </div>
             `;
         }).join('');
     }
 
+    /**
+     * Render the hand-value calculator for a player
+     * @param {number} index - Player index
+     * @param {string} wildLabel - Wild rank label for the current round
+     * @returns {string} Calculator HTML
+     */
+    renderCalculator(index, wildLabel) {
+        const cardButtons = [...CARD_RANKS, JOKER].map(rank => {
+            const isWild = rank === wildLabel || rank === JOKER;
+            return `<button type="button" class="calc-card${isWild ? ' wild' : ''}" data-calc-card="${rank}" data-player-index="${index}">${rank}</button>`;
+        }).join('');
+
+        return `
+            <div class="hand-calculator hidden" id="calc-${index}">
+                <div class="calc-cards">${cardButtons}</div>
+                <div class="calc-hand" id="calc-hand-${index}">No cards</div>
+                <div class="calc-actions">
+                    <button type="button" class="btn-secondary" data-calc-undo="${index}">Remove last</button>
+                    <button type="button" class="btn-secondary" data-calc-clear="${index}">Clear</button>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Show or hide a player's hand calculator
+     * @param {number} index - Player index
+     */
+    toggleCalculator(index) {
+        document.getElementById(`calc-${index}`)?.classList.toggle('hidden');
+    }
+
+    /**
+     * Add a card to a player's calculator hand
+     * @param {number} index - Player index
+     * @param {string} rank - Card rank label
+     */
+    addCalculatorCard(index, rank) {
+        this.calculatorHands[index] = [...(this.calculatorHands[index] || []), rank];
+        this.updateCalculator(index);
+    }
+
+    /**
+     * Remove the last card from a player's calculator hand
+     * @param {number} index - Player index
+     */
+    removeLastCalculatorCard(index) {
+        this.calculatorHands[index] = (this.calculatorHands[index] || []).slice(0, -1);
+        this.updateCalculator(index);
+    }
+
+    /**
+     * Clear a player's calculator hand
+     * @param {number} index - Player index
+     */
+    clearCalculator(index) {
+        this.calculatorHands[index] = [];
+        this.updateCalculator(index);
+    }
+
+    /**
+     * Show a player's calculator hand and fill their score input with its value
+     * @param {number} index - Player index
+     */
+    updateCalculator(index) {
+        const cards = this.calculatorHands[index] || [];
+        const { wildLabel } = this.game.getCurrentRoundInfo();
+        const total = handValue(cards, wildLabel);
+
+        const handDisplay = document.getElementById(`calc-hand-${index}`);
+        if (handDisplay) {
+            handDisplay.textContent = cards.length > 0 ? `${cards.join(' ')} = ${total}` : 'No cards';
+        }
+
+        const input = document.getElementById(`score-${index}`);
+        if (input) {
+            input.value = cards.length > 0 ? total : '';
+        }
+    }
+
+    /**
+     * Mark a player as having gone out, which always scores 0
+     * @param {number} index - Player index
+     */
+    markWentOut(index) {
+        const input = document.getElementById(`score-${index}`);
+        if (input) {
+            input.value = 0;
+        }
+    }
+
     /**
      * Get scores from input fields
-     * @returns {Object} Object with scores array and allFilled boolean
+     * @returns {Object} Object with scores array, allFilled boolean and wentOut player index
      */
     getScoreInputs() {
         const scores = [];
         let allFilled = true;
+        const wentOutInput = this.elements.scoreInputs.querySelector('input[name="wentOut"]:checked');
+        const wentOut = wentOutInput ? parseInt(wentOutInput.value, 10) : null;
 
         this.game.players.forEach((_, index) => {
+            // Players sitting out the round have no input
             const input = document.getElementById(`score-${index}`);
+            if (!input) {
+                scores.push(null);
+                return;
+            }
+
             const value = input.value.trim();
 
             if (value === '') {
                 allFilled = false;
                 scores.push(null);
             } else {
-                scores.push(parseInt(value, 10));
+                // Number() rather than parseInt() so "7.5" reaches validation instead of becoming 7
+                scores.push(Number(value));
             }
         });
 
-        return { scores, allFilled };
+        return { scores, allFilled, wentOut };
+    }
+
+    /**
+     * Show validation problems next to the offending score inputs
+     * @param {Array<{playerIndex: number|null, message: string}>} errors - Hard errors
+     * @param {Array<{playerIndex: number|null, message: string}>} warnings - Soft warnings
+     */
+    showRoundValidation(errors, warnings) {
+        this.clearRoundValidation();
+
+        const roundLevel = [];
+        const show = (issues, level) => {
+            issues.forEach(({ playerIndex, message }) => {
+                const messageEl = playerIndex !== null ? document.getElementById(`score-msg-${playerIndex}`) : null;
+                if (!messageEl) {
+                    roundLevel.push({ message, level });
+                    return;
+                }
+                messageEl.textContent = message;
+                messageEl.classList.remove('hidden');
+                messageEl.classList.add(level);
+                document.getElementById(`score-${playerIndex}`)?.classList.add(`input-${level}`);
+            });
+        };
+
+        // Warnings first so an error on the same input replaces its warning
+        show(warnings, 'warning');
+        show(errors, 'error');
+
+        const container = this.elements.roundMessages;
+        if (container && roundLevel.length > 0) {
+            container.innerHTML = roundLevel.map(({ message, level }) =>
+                `<div class="score-message ${level}">${this.escapeHtml(message)}</div>`
+            ).join('');
+            container.classList.remove('hidden');
+        }
+    }
+
+    /**
+     * Remove all score validation messages
+     */
+    clearRoundValidation() {
+        this.elements.scoreInputs?.querySelectorAll('.score-message').forEach(el => {
+            el.textContent = '';
+            el.classList.add('hidden');
+            el.classList.remove('error', 'warning');
+        });
+        this.elements.scoreInputs?.querySelectorAll('input[type="number"]').forEach(input => {
+            input.classList.remove('input-error', 'input-warning');
+        });
+
+        if (this.elements.roundMessages) {
+            this.elements.roundMessages.innerHTML = '';
+            this.elements.roundMessages.classList.add('hidden');
+        }
     }
 
     /**
@@ -214,18 +866,43 @@ export class UI {
      */
     clearPlayerInput() {
         this.elements.playerNameInput.value = '';
+        if (this.elements.gameNameInput) {
+            this.elements.gameNameInput.value = '';
+        }
     }
 
     /**
      * Show winner announcement
-     * @param {Object} winner - Winner object from game
+     * @param {Array<Object>} winners - Winners from game (more than one on a shared win)
      */
-    announceWinner(winner) {
+    announceWinners(winners) {
+        const names = winners.map(winner => winner.name);
+        const score = winners[0].score;
+        const message = names.length === 1
+            ? `🏆 ${names[0]} wins with ${score} points!`
+            : `🏆 ${names.slice(0, -1).join(', ')} and ${names[names.length - 1]} share the win with ${score} points!`;
+
         setTimeout(() => {
-            alert(`<� ${winner.name} wins with ${winner.score} points!`);
+            alert(message);
         }, 300);
     }
 
+    /**
+     * Show the match result
+     * @param {Array<Object>} winners - Leading match standings (more than one if level)
+     */
+    announceMatchWinners(winners) {
+        const names = winners.map(winner => winner.name);
+        const message = names.length === 1
+            ? `🏆 ${names[0]} wins the match!`
+            : `🏆 ${names.slice(0, -1).join(', ')} and ${names[names.length - 1]} share the match!`;
+
+        // After the game's own announcement
+        setTimeout(() => {
+            alert(message);
+        }, 600);
+    }
+
     /**
      * Show error message
      * @param {string} message - Error message
@@ -244,14 +921,97 @@ export class UI {
     }
 
     /**
-     * Escape HTML to prevent XSS
+     * Show prompt dialog
+     * @param {string} message - Prompt message
+     * @param {string} [defaultValue] - Pre-filled value
+     * @returns {string|null} Entered text or null if cancelled
+     */
+    prompt(message, defaultValue = '') {
+        return prompt(message, defaultValue);
+    }
+
+    /**
+     * Ask for a passphrase in a password field, so it isn't shown on screen
+     * @param {Object} options
+     * @param {string} options.title - Dialog title
+     * @param {string} options.message - What the passphrase is for
+     * @param {boolean} [options.confirm=false] - Ask for it twice, when setting one
+     * @returns {Promise<string|null>} Passphrase, or null if cancelled
+     */
+    askPassphrase({ title, message, confirm = false }) {
+        if (!this.elements.passphraseModal) {
+            return Promise.resolve(this.prompt(message));
+        }
+
+        this.cancelPassphrase();
+        this.elements.passphraseTitle.textContent = title;
+        this.elements.passphraseText.textContent = message;
+        this.elements.passphraseInput.value = '';
+        this.elements.passphraseConfirmInput.value = '';
+        this.elements.passphraseConfirmInput.classList.toggle('hidden', !confirm);
+        this.elements.passphraseModal.classList.add('active');
+        this.elements.passphraseInput.focus();
+
+        return new Promise(resolve => {
+            this.passphraseRequest = { resolve, confirm };
+        });
+    }
+
+    /**
+     * Accept the passphrase typed into the dialog
+     */
+    submitPassphrase() {
+        if (!this.passphraseRequest) {
+            return;
+        }
+
+        const passphrase = this.elements.passphraseInput.value;
+        if (!passphrase) {
+            this.showError('Please enter a passphrase');
+            return;
+        }
+        if (this.passphraseRequest.confirm && passphrase !== this.elements.passphraseConfirmInput.value) {
+            this.showError('The passphrases do not match');
+            return;
+        }
+
+        this.closePassphrase(passphrase);
+    }
+
+    /**
+     * Close the passphrase dialog without a passphrase
+     */
+    cancelPassphrase() {
+        this.closePassphrase(null);
+    }
+
+    /**
+     * Close the passphrase dialog and answer whoever asked
+     * @param {string|null} passphrase - Passphrase, or null if cancelled
+     */
+    closePassphrase(passphrase) {
+        const request = this.passphraseRequest;
+        this.passphraseRequest = null;
+        if (this.elements.passphraseModal) {
+            this.elements.passphraseModal.classList.remove('active');
+            this.elements.passphraseInput.value = '';
+            this.elements.passphraseConfirmInput.value = '';
+        }
+        request?.resolve(passphrase);
+    }
+
+    /**
+     * Escape HTML to prevent XSS; safe inside quoted attributes as well as element text
      * @param {string} text - Text to escape
      * @returns {string} Escaped text
      */
     escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
+        return String(text ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
     }
 
     /**
@@ -261,6 +1021,120 @@ export class UI {
         this.updateScoreTable();
         this.updateScoreInputs();
         this.updateRoundInfo();
+        this.updateEditLog();
+        this.updateAdjustmentLog();
+        this.updateMatchBoard();
+        this.updateUndoControls();
+        this.elements.tournamentBtn?.classList.toggle('hidden', !this.tournament?.isActive());
+    }
+
+    /**
+     * Show the match standings and offer the next game once this one is done
+     */
+    updateMatchBoard() {
+        const board = this.elements.matchBoard;
+        if (!board) return;
+
+        const match = this.match;
+        if (!match?.isActive()) {
+            board.classList.add('hidden');
+            return;
+        }
+
+        const complete = match.isComplete();
+        const gameNumber = Math.min(match.games.length + (this.game.isGameComplete() ? 0 : 1), match.bestOf);
+        const standings = match.getStandings();
+        const leaders = complete ? match.getWinners().map(winner => winner.name) : [];
+        const target = match.scoring === 'games-won' ? ` · first to ${match.getWinsNeeded()} wins` : '';
+
+        let html = `<div class="match-header">${complete ? 'Match complete' : `Game ${gameNumber}`} · best of ${match.bestOf}${target}</div>`;
+        if (standings.length > 0) {
+            html += '<table class="match-standings"><thead><tr><th>Side</th><th>Wins</th><th>Total</th></tr></thead><tbody>';
+            standings.forEach(entry => {
+                html += `<tr class="${leaders.includes(entry.name) ? 'winner' : ''}">
+                    <td>${this.escapeHtml(entry.name)}</td>
+                    <td>${entry.gamesWon}</td>
+                    <td>${entry.total}</td>
+                </tr>`;
+            });
+            html += '</tbody></table>';
+        }
+
+        board.querySelector('.match-summary').innerHTML = html;
+        board.classList.remove('hidden');
+
+        this.elements.nextGameBtn?.classList.toggle('hidden', complete || !this.game.isGameComplete());
+    }
+
+    /**
+     * Enable/disable Undo and Redo and label them with what they'd change
+     */
+    updateUndoControls() {
+        const controls = [
+            ['undo', 'Undo', this.game.getUndoDescription(), 'Ctrl+Z'],
+            ['redo', 'Redo', this.game.getRedoDescription(), 'Ctrl+Shift+Z']
+        ];
+
+        controls.forEach(([action, verb, description, shortcut]) => {
+            const button = document.querySelector(`[data-action="${action}"]`);
+            if (!button) return;
+
+            button.disabled = description === null;
+            button.title = description ? `${verb} ${description} (${shortcut})` : `Nothing to ${action}`;
+        });
+    }
+
+    /**
+     * Show the current round's tables and the tournament leaderboard
+     */
+    updateTournamentView() {
+        const container = this.elements.tournamentContent;
+        const tournament = this.tournament;
+        if (!container || !tournament?.isActive()) return;
+
+        const round = tournament.getCurrentRound();
+        const roundNumber = tournament.rounds.length;
+
+        let html = `<h3>${tournament.isComplete() ? 'Final standings' : `Round ${roundNumber} of ${tournament.totalRounds}`}</h3>`;
+        html += '<div class="tournament-tables">';
+        round.tables.forEach((table, index) => {
+            let status = 'Not started';
+            if (table.complete) {
+                const winners = scoreTable(table.state).filter(result => result.won).map(result => this.escapeHtml(result.name));
+                status = `Won by ${winners.join(', ')}`;
+            } else if (table.state) {
+                status = `In progress (round ${Math.min(table.state.currentRound, table.state.scores[0].length)})`;
+            }
+
+            html += `<div class="stat-card tournament-table ${table.complete ? 'complete' : ''}">`;
+            html += `<h4 style="color: var(--primary-color);">Table ${index + 1}${tournament.activeTable === index ? ' ▶' : ''}</h4>`;
+            html += `<div>${table.players.map(name => this.escapeHtml(name)).join(', ')}</div>`;
+            html += `<div style="color: var(--text-secondary); font-size: 0.9rem;">${status}</div>`;
+            html += `<button class="btn-primary" data-play-table="${index}">${table.complete ? 'Review' : 'Play'}</button>`;
+            html += '</div>';
+        });
+        html += '</div>';
+
+        html += '<h3>Leaderboard</h3>';
+        html += '<table><thead><tr><th>#</th><th>Player</th><th>Points</th><th>Wins</th><th>Games</th><th>Avg</th></tr></thead><tbody>';
+        tournament.getStandings().forEach(entry => {
+            html += `<tr class="${tournament.isComplete() && entry.rank === 1 ? 'winner' : ''}">
+                <td>${entry.rank}</td>
+                <td>${this.escapeHtml(entry.name)}</td>
+                <td>${entry.points}</td>
+                <td>${entry.wins}</td>
+                <td>${entry.gamesPlayed}</td>
+                <td>${entry.avgScore ?? '-'}</td>
+            </tr>`;
+        });
+        html += '</tbody></table>';
+
+        container.innerHTML = html;
+
+        const nextRoundBtn = this.elements.nextTournamentRoundBtn;
+        if (nextRoundBtn) {
+            nextRoundBtn.disabled = !tournament.isRoundComplete() || roundNumber >= tournament.totalRounds;
+        }
     }
 
     /**
@@ -274,6 +1148,8 @@ export class UI {
         const recentGames = this.statistics.getRecentGames(10);
         const allPlayers = this.statistics.getAllPlayers();
 
+        this.updatePlayerManager();
+
         if (!overall) {
             container.innerHTML = '<p style="text-align: center; color: var(--text-secondary);">No game history yet. Play some games to see statistics!</p>';
             return;
@@ -296,15 +1172,58 @@ export class UI {
                     html += '<div class="stat-card">';
                     html += `<h4 style="margin-bottom: 0.5rem; color: var(--primary-color);">${this.escapeHtml(stats.playerName)}</h4>`;
                     html += `<div class="stat-row"><span class="stat-label">Games Played:</span><span class="stat-value">${stats.totalGames}</span></div>`;
-                    html += `<div class="stat-row"><span class="stat-label">Wins:</span><span class="stat-value">${stats.wins}</span></div>`;
+                    html += `<div class="stat-row"><span class="stat-label">Wins:</span><span class="stat-value">${stats.wins}${stats.sharedWins > 0 ? ` (${stats.sharedWins} shared)` : ''}</span></div>`;
                     html += `<div class="stat-row"><span class="stat-label">Win Rate:</span><span class="stat-value">${stats.winRate}%</span></div>`;
-                    html += `<div class="stat-row"><span class="stat-label">Avg Score:</span><span class="stat-value">${stats.avgScore}</span></div>`;
-                    html += `<div class="stat-row"><span class="stat-label">Best Score:</span><span class="stat-value">${stats.bestScore}</span></div>`;
+                    html += `<div class="stat-row"><span class="stat-label">Avg Score:</span><span class="stat-value">${stats.avgScore ?? '-'}${stats.avgCardPoints !== null && stats.avgCardPoints !== stats.avgScore ? ` (${stats.avgCardPoints} in cards)` : ''}</span></div>`;
+                    html += `<div class="stat-row"><span class="stat-label">Best Score:</span><span class="stat-value">${stats.bestScore ?? '-'}</span></div>`;
+                    if (stats.withdrawals > 0) {
+                        html += `<div class="stat-row"><span class="stat-label">Left Early:</span><span class="stat-value">${stats.withdrawals}</span></div>`;
+                    }
+                    if (stats.teamGames > 0) {
+                        html += `<div class="stat-row"><span class="stat-label">Team Games:</span><span class="stat-value">${stats.teamWins} won of ${stats.teamGames}${stats.contribution !== null ? ` (${stats.contribution}% of team points)` : ''}</span></div>`;
+                    }
+                    if (stats.matchesPlayed > 0) {
+                        html += `<div class="stat-row"><span class="stat-label">Matches:</span><span class="stat-value">${stats.matchWins} won of ${stats.matchesPlayed}</span></div>`;
+                    }
+                    html += `<div class="stat-row"><span class="stat-label">Times Went Out:</span><span class="stat-value">${stats.timesWentOut} (${stats.goOutRate}% of rounds)</span></div>`;
                     html += '</div>';
                 }
             });
         }
 
+        // Team stats
+        const teamStats = this.statistics.getTeamStats();
+        if (teamStats.length > 0) {
+            html += '<h3>Team Statistics</h3>';
+            teamStats.forEach(team => {
+                html += '<div class="stat-card">';
+                html += `<h4 style="margin-bottom: 0.5rem; color: var(--primary-color);">${this.escapeHtml(team.team)}</h4>`;
+                html += `<div class="stat-row"><span class="stat-label">Games Played:</span><span class="stat-value">${team.totalGames}</span></div>`;
+                html += `<div class="stat-row"><span class="stat-label">Wins:</span><span class="stat-value">${team.wins} (${team.winRate}%)</span></div>`;
+                html += `<div class="stat-row"><span class="stat-label">Avg Score:</span><span class="stat-value">${team.avgScore}</span></div>`;
+                html += '</div>';
+            });
+        }
+
+        // Matches
+        const matches = this.statistics.getMatchHistory().slice(0, 10);
+        if (matches.length > 0) {
+            html += '<h3>Recent Matches</h3>';
+            matches.forEach(match => {
+                const date = new Date(match.date);
+                const label = match.winners.length > 1 ? 'Winners' : 'Winner';
+                html += '<div class="history-item">';
+                html += '<div class="history-header">';
+                html += `<span class="history-winner">${label}: ${match.winners.map(w => this.escapeHtml(w.name)).join(', ')}</span>`;
+                html += `<span class="history-date">${date.toLocaleDateString()}</span>`;
+                html += '</div>';
+                html += `<div style="color: var(--text-secondary); font-size: 0.9rem;">Best of ${this.escapeHtml(String(match.bestOf))} (${this.escapeHtml(MATCH_SCORING[match.scoring] || match.scoring)}): ${match.standings.map(entry =>
+                    `${this.escapeHtml(entry.name)} ${this.escapeHtml(String(match.scoring === 'games-won' ? `${entry.gamesWon} won` : entry.total))}`
+                ).join(', ')}</div>`;
+                html += '</div>';
+            });
+        }
+
         // Recent games
         if (recentGames.length > 0) {
             html += '<h3>Recent Games</h3>';
@@ -312,10 +1231,14 @@ export class UI {
                 const date = new Date(game.date);
                 html += '<div class="history-item">';
                 html += '<div class="history-header">';
-                html += `<span class="history-winner">Winner: ${this.escapeHtml(game.winner.name)} (${game.winner.score})</span>`;
+                const winners = this.statistics.getRecordWinners(game);
+                const label = winners.length > 1 ? 'Winners' : 'Winner';
+                html += `<span class="history-winner">${label}: ${winners.map(w => this.escapeHtml(w.name)).join(', ')} (${this.escapeHtml(String(winners[0]?.score ?? '-'))})</span>`;
                 html += `<span class="history-date">${date.toLocaleDateString()}</span>`;
                 html += '</div>';
-                html += `<div style="color: var(--text-secondary); font-size: 0.9rem;">Players: ${game.players.map(p => this.escapeHtml(p)).join(', ')}</div>`;
+                html += `<div style="color: var(--text-secondary); font-size: 0.9rem;">Players: ${game.players.map((p, i) =>
+                    this.escapeHtml(p) + (isWithdrawn(game, i) ? ' (left)' : '')
+                ).join(', ')}</div>`;
                 html += '</div>';
             });
         }
@@ -323,6 +1246,44 @@ export class UI {
         container.innerHTML = html;
     }
 
+    /**
+     * Fill the rename/merge pickers with everyone in history
+     */
+    updatePlayerManager() {
+        const manager = this.elements.playerManager;
+        if (!manager) return;
+
+        const players = this.statistics.getAllPlayers();
+        const undo = this.statistics.getPlayerChangeUndoDescription();
+        manager.classList.toggle('hidden', players.length === 0 && undo === null);
+
+        const options = players.map(name => `<option>${this.escapeHtml(name)}</option>`).join('');
+        [this.elements.renamePlayerSelect, this.elements.mergeFromSelect, this.elements.mergeIntoSelect].forEach(select => {
+            if (select) select.innerHTML = options;
+        });
+        if (this.elements.mergeIntoSelect && players.length > 1) {
+            this.elements.mergeIntoSelect.selectedIndex = 1;
+        }
+        if (this.elements.renamePlayerInput) {
+            this.elements.renamePlayerInput.value = '';
+        }
+
+        const undoBtn = this.elements.undoPlayerChangeBtn;
+        if (undoBtn) {
+            undoBtn.disabled = undo === null;
+            undoBtn.title = undo ? `Undo ${undo}` : 'Nothing to undo';
+        }
+    }
+
+    /**
+     * Get the player chosen in a management picker
+     * @param {string} element - Key of the select in this.elements
+     * @returns {string|null} Player name
+     */
+    getManagedPlayer(element) {
+        return this.elements[element]?.selectedOptions[0]?.textContent || null;
+    }
+
     /**
      * Show import modal
      */
@@ -344,13 +1305,134 @@ export class UI {
         }
     }
 
+    /**
+     * Show the saved-games picker
+     * @param {Array<Object>} saves - Save summaries from Storage.listSaves()
+     */
+    showSavedGames(saves) {
+        if (!this.elements.savedGamesModal) {
+            return;
+        }
+
+        this.elements.savedGamesList.innerHTML = saves.map(save => `
+            <div class="saved-game">
+                <div class="saved-game-info">
+                    <strong>${this.escapeHtml(save.name)}</strong>
+                    <small>${this.escapeHtml(save.players.join(', '))}</small>
+                    <small>Round ${Math.min(save.currentRound, save.maxRounds)} of ${save.maxRounds}${save.updated ? ` · ${new Date(save.updated).toLocaleString()}` : ''}</small>
+                </div>
+                <div class="saved-game-actions">
+                    <button class="btn-primary" data-resume-save="${this.escapeHtml(save.id)}">Resume</button>
+                    <button class="btn-danger" data-delete-save="${this.escapeHtml(save.id)}">Delete</button>
+                </div>
+            </div>
+        `).join('');
+        this.elements.savedGamesModal.classList.add('active');
+    }
+
+    /**
+     * Hide the saved-games picker
+     */
+    hideSavedGames() {
+        this.elements.savedGamesModal?.classList.remove('active');
+    }
+
+    /**
+     * Show the backup and restore modal
+     */
+    showBackupModal() {
+        this.elements.backupModal?.classList.add('active');
+    }
+
+    /**
+     * Hide the backup and restore modal
+     */
+    hideBackupModal() {
+        if (this.elements.backupModal) {
+            this.elements.backupModal.classList.remove('active');
+            if (this.elements.backupFileInput) {
+                this.elements.backupFileInput.value = '';
+            }
+        }
+    }
+
+    /**
+     * Check whether a restore should merge into this device's data
+     * @returns {boolean} True for merge, false to replace everything
+     */
+    isRestoreMerge() {
+        return document.querySelector('input[name="restoreMode"]:checked')?.value === 'merge';
+    }
+
+    /**
+     * Show the recent snapshots to recover from
+     * @param {Array<Object>} snapshots - Snapshot summaries from Storage.listSnapshots()
+     */
+    showRecover(snapshots) {
+        if (!this.elements.recoverModal) {
+            return;
+        }
+
+        const reasons = {
+            cleared: 'Cleared',
+            replaced: 'Replaced by another game',
+            deleted: 'Deleted from saved games'
+        };
+
+        this.elements.recoverList.innerHTML = snapshots.length === 0
+            ? '<p>Nothing to recover yet.</p>'
+            : snapshots.map(snapshot => `
+            <div class="saved-game">
+                <div class="saved-game-info">
+                    <strong>${this.escapeHtml(snapshot.name)}</strong>
+                    <small>${this.escapeHtml(snapshot.players.join(', '))}</small>
+                    <small>Round ${Math.min(snapshot.currentRound, snapshot.maxRounds)} of ${snapshot.maxRounds} · ${reasons[snapshot.reason] || 'Saved'} ${new Date(snapshot.taken).toLocaleString()}</small>
+                </div>
+                <div class="saved-game-actions">
+                    <button class="btn-primary" data-recover-snapshot="${snapshot.id}">Restore</button>
+                </div>
+            </div>
+        `).join('');
+        this.elements.recoverModal.classList.add('active');
+    }
+
+    /**
+     * Hide the recovery screen
+     */
+    hideRecover() {
+        this.elements.recoverModal?.classList.remove('active');
+    }
+
+    /**
+     * Show or clear the storage warning banner
+     * @param {string|null} problem - What's wrong, or null to hide the banner
+     */
+    showStorageProblem(problem) {
+        if (!this.elements.storageWarning) {
+            return;
+        }
+
+        this.elements.storageWarningText.textContent = problem || '';
+        this.elements.storageWarning.classList.toggle('hidden', !problem);
+    }
+
     /**
      * Download JSON file
      * @param {string} data - JSON data
      * @param {string} filename - File name
      */
     downloadJSON(data, filename) {
-        const blob = new Blob([data], { type: 'application/json' });
+        this.downloadFile(data, filename, 'application/json');
+    }
+
+    /**
+     * Download text as a file
+     * @param {string} data - File contents
+     * @param {string} filename - File name
+     * @param {string} type - MIME type
+     */
+    downloadFile(data, filename, type) {
+        const blob = new Blob([data], { type });
         const url = URL.createObjectURL(blob);
         const a = document.createElement('a');
         a.href = url;
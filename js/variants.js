@@ -0,0 +1,98 @@
+/**
+ * variants.js
+ * Round structure definitions for Five Crowns game variants
+ */
+
+const FACE_LABELS = { 11: 'J', 12: 'Q', 13: 'K' };
+
+const RANK_NAMES = {
+    3: 'Threes', 4: 'Fours', 5: 'Fives', 6: 'Sixes', 7: 'Sevens', 8: 'Eights',
+    9: 'Nines', 10: 'Tens', 11: 'Jacks', 12: 'Queens', 13: 'Kings'
+};
+
+/**
+ * Get the rank label for a card count (the wild rank of that round)
+ * @param {number} cards - Cards dealt in the round
+ * @returns {string} Rank label (e.g. '3', '10', 'J')
+ */
+export function rankLabel(cards) {
+    return FACE_LABELS[cards] || String(cards);
+}
+
+/**
+ * Get the plural rank name for a card count (e.g. 7 -> 'Sevens')
+ * @param {number} cards - Cards dealt in the round
+ * @returns {string} Rank name
+ */
+export function rankName(cards) {
+    return RANK_NAMES[cards] || `${cards}s`;
+}
+
+/**
+ * Build a variant definition from an ordered list of card counts
+ * @param {string} id - Variant identifier
+ * @param {string} name - Display name
+ * @param {number[]} roundCards - Cards dealt per round, in play order
+ * @returns {Object} Variant definition
+ */
+export function createVariant(id, name, roundCards) {
+    return {
+        id,
+        name,
+        roundCards: [...roundCards],
+        wildLabels: roundCards.map(rankLabel)
+    };
+}
+
+const STANDARD_ROUNDS = [3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13];
+
+export const DEFAULT_VARIANT_ID = 'standard';
+
+export const VARIANTS = {
+    standard: createVariant('standard', 'Standard (3s to Kings)', STANDARD_ROUNDS),
+    short: createVariant('short', 'Short Game (3s to 7s)', [3, 4, 5, 6, 7]),
+    'kings-first': createVariant('kings-first', 'Kings First (Kings to 3s)', [...STANDARD_ROUNDS].reverse()),
+    double: createVariant('double', 'Double Length (twice through)', [...STANDARD_ROUNDS, ...STANDARD_ROUNDS])
+};
+
+/**
+ * Look up a built-in variant by id
+ * @param {string} id - Variant identifier
+ * @returns {Object} Copy of the variant definition
+ */
+export function getVariant(id = DEFAULT_VARIANT_ID) {
+    const variant = VARIANTS[id];
+    if (!variant) {
+        throw new Error(`Unknown game variant: ${id}`);
+    }
+    return normalizeVariant(variant);
+}
+
+/**
+ * Validate a variant definition and return a clean copy
+ * @param {Object} variant - Variant definition (built-in or custom)
+ * @returns {Object} Validated variant definition
+ */
+export function normalizeVariant(variant) {
+    if (!variant || !Array.isArray(variant.roundCards) || variant.roundCards.length === 0) {
+        throw new Error('Variant must define at least one round');
+    }
+
+    variant.roundCards.forEach(cards => {
+        if (!Number.isInteger(cards) || cards < 3 || cards > 13) {
+            throw new Error(`Invalid card count in variant: ${cards}`);
+        }
+    });
+
+    const wildLabels = Array.isArray(variant.wildLabels) ? variant.wildLabels : variant.roundCards.map(rankLabel);
+    if (wildLabels.length !== variant.roundCards.length) {
+        throw new Error('Variant wild labels must match its rounds');
+    }
+
+    return {
+        id: variant.id || 'custom',
+        name: variant.name || 'Custom',
+        roundCards: [...variant.roundCards],
+        wildLabels: [...wildLabels]
+    };
+}
@@ -0,0 +1,111 @@
+/**
+ * winners.js
+ * Winner determination and tie-breaking rules
+ */
+
+import { isWithdrawn, leftRoundScores } from './lineup.js';
+import { playerTotal } from './adjustments.js';
+
+export const DEFAULT_TIE_BREAKER = 'shared';
+
+export const TIE_BREAKERS = {
+    shared: 'Shared win',
+    'most-go-outs': 'Most times went out',
+    'lowest-final-round': 'Lowest final round score'
+};
+
+/**
+ * Get a player's score in the last round they played
+ * @param {Array<number|null>} playerScores - Scores by round
+ * @returns {number} Final round score
+ */
+function finalRoundScore(playerScores) {
+    const played = playerScores.filter(score => score !== null);
+    return played.length > 0 ? played[played.length - 1] : 0;
+}
+
+/**
+ * Keep only the candidates with the best value for a metric
+ * @param {number[]} candidates - Player indices
+ * @param {Function} metric - Player index -> number
+ * @param {Function} better - (a, b) -> true if a beats b
+ * @returns {number[]} Remaining player indices
+ */
+function keepBest(candidates, metric, better) {
+    const values = candidates.map(metric);
+    const best = values.reduce((a, b) => (better(b, a) ? b : a));
+    return candidates.filter((_, i) => values[i] === best);
+}
+
+/**
+ * Get the sides competing in a game: its teams, or each player on their own
+ * @param {Object} gameState - Game state with players and optional teams
+ * @returns {Array<{name: string, members: number[]}>} Sides with member player indices
+ */
+export function getSides(gameState) {
+    if (Array.isArray(gameState.teams) && gameState.teams.length > 0) {
+        return gameState.teams.map(team => ({ name: team.name, members: [...team.members] }));
+    }
+    return gameState.players.map((name, index) => ({ name, members: [index] }));
+}
+
+/**
+ * Total each side's scores, including handicaps and adjustments
+ * Teams are also charged for the rounds a withdrawn member misses (see leftRoundScores).
+ * @param {Object} gameState - Game state with players, scores and optional teams/handicaps/adjustments/withdrawnRound
+ * @returns {number[]} Total per side, in getSides() order
+ */
+export function sideTotals(gameState) {
+    const isTeamGame = Array.isArray(gameState.teams) && gameState.teams.length > 0;
+    const memberTotal = index => playerTotal(gameState, index) + (isTeamGame
+        ? leftRoundScores(gameState, index).reduce((sum, score) => sum + (score ?? 0), 0)
+        : 0);
+
+    return getSides(gameState).map(side =>
+        side.members.reduce((sum, index) => sum + memberTotal(index), 0)
+    );
+}
+
+/**
+ * Determine the winner(s) of a game, applying its tie-breaker
+ * In team mode the teams compete; their members' scores are added up.
+ * Sides still tied after the tie-breaker share the win; sides whose players all withdrew can't win.
+ * @param {Object} gameState - Game state with players, scores and optional wentOut/tieBreaker/withdrawnRound/teams
+ * @returns {Array<{name: string, score: number, index: number, members?: string[]}>} Winners, lowest index first
+ */
+export function findWinners(gameState) {
+    const sides = getSides(gameState);
+    const totals = sideTotals(gameState);
+    const finishers = sides
+        .map((_, index) => index)
+        .filter(index => !sides[index].members.every(player => isWithdrawn(gameState, player)));
+    const minScore = Math.min(...finishers.map(index => totals[index]));
+    let candidates = finishers.filter(index => totals[index] === minScore);
+
+    const tieBreaker = gameState.tieBreaker || DEFAULT_TIE_BREAKER;
+
+    if (candidates.length > 1 && tieBreaker === 'most-go-outs') {
+        const wentOut = gameState.wentOut || [];
+        candidates = keepBest(
+            candidates,
+            index => wentOut.filter(player => sides[index].members.includes(player)).length,
+            (a, b) => a > b
+        );
+    } else if (candidates.length > 1 && tieBreaker === 'lowest-final-round') {
+        candidates = keepBest(
+            candidates,
+            index => sides[index].members.reduce(
+                (sum, player) => sum + finalRoundScore(gameState.scores[player]), 0
+            ),
+            (a, b) => a < b
+        );
+    }
+
+    const isTeamGame = Array.isArray(gameState.teams) && gameState.teams.length > 0;
+    return candidates.map(index => ({
+        name: sides[index].name,
+        score: minScore,
+        index,
+        ...(isTeamGame && { members: sides[index].members.map(player => gameState.players[player]) })
+    }));
+}
@@ -0,0 +1,53 @@
+/**
+ * adjustments.test.js
+ * Tests for handicaps and bonus/penalty adjustments
+ */
+
+import { describe, it, assert } from './test-framework.js';
+import { cardTotal, adjustmentTotal, playerTotal, roundAdjustments } from '../js/adjustments.js';
+
+describe('Adjustments Module', () => {
+    const gameState = () => ({
+        players: ['Alice', 'Bob'],
+        scores: [[0, 12, null], [8, 0, null]],
+        handicaps: [0, -10],
+        adjustments: [
+            { playerIndex: 0, round: 2, points: 10, reason: 'Misdeal' },
+            { playerIndex: 0, round: 2, points: -5, reason: 'Bonus' },
+            { playerIndex: 1, round: 1, points: 20, reason: 'Reneging' }
+        ]
+    });
+
+    describe('cardTotal()', () => {
+        it('should add up card points and skip unplayed rounds', () => {
+            assert.equal(cardTotal([0, 12, null]), 12);
+            assert.equal(cardTotal([null, null]), 0);
+        });
+    });
+
+    describe('adjustmentTotal()', () => {
+        it('should add the handicap to the player\'s adjustments', () => {
+            assert.equal(adjustmentTotal(gameState(), 0), 5);
+            assert.equal(adjustmentTotal(gameState(), 1), 10);
+        });
+
+        it('should be 0 for games without handicaps or adjustments', () => {
+            assert.equal(adjustmentTotal({ players: ['Alice'], scores: [[5]] }, 0), 0);
+        });
+    });
+
+    describe('playerTotal()', () => {
+        it('should combine card points with adjustments', () => {
+            assert.equal(playerTotal(gameState(), 0), 17);
+            assert.equal(playerTotal(gameState(), 1), 18);
+        });
+    });
+
+    describe('roundAdjustments()', () => {
+        it('should find a player\'s adjustments for one round', () => {
+            const adjustments = roundAdjustments(gameState(), 0, 2);
+            assert.deepEqual(adjustments.map(a => a.reason), ['Misdeal', 'Bonus']);
+            assert.lengthOf(roundAdjustments(gameState(), 0, 1), 0);
+        });
+    });
+});
@@ -0,0 +1,269 @@
+/**
+ * backup.test.js
+ * Tests for full-app backups
+ */
+
+import { describe, it, assert } from './test-framework.js';
+import { createBackup, validateBackup, restoreBackup, describeRestore, BACKUP_FORMAT } from '../js/backup.js';
+import { Storage } from '../js/storage.js';
+import { Game } from '../js/game.js';
+import { Statistics } from '../js/statistics.js';
+import { Roster } from '../js/roster.js';
+import { Match } from '../js/match.js';
+import { Tournament } from '../js/tournament.js';
+
+describe('Backup Module', () => {
+    let sources;
+
+    const beforeEach = () => {
+        localStorage.clear();
+        const roster = new Roster();
+        sources = {
+            game: new Game(roster),
+            statistics: new Statistics(roster),
+            roster,
+            match: new Match(),
+            tournament: new Tournament()
+        };
+    };
+
+    describe('createBackup()', () => {
+        it('should include the game being played with its event log', () => {
+            beforeEach();
+            sources.game.startNewGame(['Alice', 'Bob']);
+            sources.game.submitRound([0, 10], 0);
+
+            const backup = createBackup(sources);
+            assert.equal(backup.format, BACKUP_FORMAT);
+            assert.deepEqual(backup.data.currentGame.players, ['Alice', 'Bob']);
+            assert.lengthOf(backup.data.currentGame.events, 2);
+            assert.lengthOf(backup.data.roster, 2);
+        });
+
+        it('should leave out what is not in progress', () => {
+            beforeEach();
+            const backup = createBackup(sources);
+
+            assert.isNull(backup.data.currentGame);
+            assert.isNull(backup.data.match);
+            assert.isNull(backup.data.tournament);
+            assert.deepEqual(backup.data.history, []);
+        });
+
+        it('should include saved games and history', () => {
+            beforeEach();
+            sources.game.startNewGame(['Alice', 'Bob'], 'short');
+            sources.game.pause();
+            sources.game.startNewGame(['Alice', 'Bob'], 'short');
+            while (!sources.game.isGameComplete()) {
+                sources.game.submitRound([0, 5], 0);
+            }
+            sources.statistics.saveGame(sources.game.exportState());
+
+            const backup = createBackup(sources);
+            assert.lengthOf(backup.data.savedGames, 1);
+            assert.lengthOf(backup.data.history, 1);
+        });
+
+        it('should keep what is in memory even if storage lost it', () => {
+            beforeEach();
+            sources.game.startNewGame(['Alice', 'Bob']);
+            localStorage.clear();
+
+            assert.deepEqual(createBackup(sources).data.currentGame.players, ['Alice', 'Bob']);
+        });
+    });
+
+    // Back up a device with a finished game in history, a saved game and a game in progress
+    const backupOfBusyDevice = () => {
+        beforeEach();
+        sources.game.startNewGame(['Alice', 'Bob'], 'short');
+        while (!sources.game.isGameComplete()) {
+            sources.game.submitRound([0, 5], 0);
+        }
+        sources.statistics.saveGame(sources.game.exportState());
+        sources.game.startNewGame(['Alice', 'Bob']);
+        sources.game.pause();
+        sources.game.startNewGame(['Charlie', 'Dana']);
+        sources.game.submitRound([3, 0], 1);
+
+        const backup = JSON.parse(JSON.stringify(createBackup({ ...sources, settings: { theme: 'dark' } })));
+        beforeEach();
+        return backup;
+    };
+
+    describe('validateBackup()', () => {
+        it('should accept a backup and its settings', () => {
+            const data = validateBackup(backupOfBusyDevice());
+            assert.equal(data.settings.theme, 'dark');
+            assert.lengthOf(data.savedGames, 1);
+        });
+
+        it('should accept backups from before settings were kept', () => {
+            const backup = backupOfBusyDevice();
+            backup.version = 1;
+            delete backup.data.settings;
+
+            assert.isNull(validateBackup(backup).settings.theme);
+        });
+
+        it('should reject files that are not backups', () => {
+            assert.throws(() => validateBackup({ version: '1.0', game: {} }), Error);
+            assert.throws(() => validateBackup({ ...backupOfBusyDevice(), version: 99 }), Error);
+        });
+
+        it('should name the section that is not valid', () => {
+            const backup = backupOfBusyDevice();
+            backup.data.history[0].players = 'Alice';
+
+            try {
+                validateBackup(backup);
+                assert.ok(false, 'Should have thrown');
+            } catch (error) {
+                assert.includes(error.message, 'history');
+            }
+        });
+
+        it('should reject history whose score rows are not one list per player', () => {
+            const backup = backupOfBusyDevice();
+            backup.data.history = [{ players: ['A', 'B'], scores: [5, 6], winners: [] }];
+
+            assert.throws(() => validateBackup(backup), Error);
+
+            backup.data.history = [{ players: ['A', 'B'], scores: [[5, null], [0, 'x']], winners: [] }];
+            assert.throws(() => validateBackup(backup), Error);
+        });
+
+        it('should reject history with broken winners', () => {
+            const backup = backupOfBusyDevice();
+            backup.data.history[0].winners = ['Alice'];
+
+            assert.throws(() => validateBackup(backup), Error);
+        });
+
+        it('should reject match records and winners whose numbers are not numbers', () => {
+            const record = () => ({
+                id: 1,
+                players: ['Alice', 'Bob'],
+                bestOf: 3,
+                scoring: 'games-won',
+                games: [1, 2],
+                standings: [{ name: 'Alice', members: ['Alice'], gamesWon: 2, total: 10, gamesPlayed: 2 }],
+                winners: [{ name: 'Alice', members: ['Alice'] }]
+            });
+            const backup = backupOfBusyDevice();
+            backup.data.matches = [record()];
+            assert.lengthOf(validateBackup(backup).matches, 1, 'A valid record should pass');
+
+            const html = '<img src=x onerror=alert(1)>';
+            [{ bestOf: html }, { scoring: html }, { standings: [{ name: 'Alice', gamesWon: html, total: 0 }] },
+                { standings: [{ name: 'Alice', gamesWon: 0, total: html }] }].forEach(change => {
+                backup.data.matches = [{ ...record(), ...change }];
+                assert.throws(() => validateBackup(backup), Error);
+            });
+
+            const scored = backupOfBusyDevice();
+            scored.data.history[0].winners[0].score = html;
+            assert.throws(() => validateBackup(scored), Error);
+        });
+
+        it('should check the match and tournament in progress', () => {
+            beforeEach();
+            sources.match.start(['Alice', 'Bob'], { bestOf: 3 });
+            sources.match.games.push({ historyId: 1, firstDealer: 0, sides: [{ name: 'Alice', members: ['Alice'], total: 10 }], winners: ['Alice'] });
+            sources.tournament.start(['Alice', 'Bob', 'Charlie']);
+            const backup = JSON.parse(JSON.stringify(createBackup(sources)));
+            assert.ok(validateBackup(backup).tournament, 'A valid backup should pass');
+
+            const brokenMatch = JSON.parse(JSON.stringify(backup));
+            brokenMatch.data.match.games[0].sides = [{ name: 'Alice' }];
+            assert.throws(() => validateBackup(brokenMatch), Error);
+
+            const brokenTournament = JSON.parse(JSON.stringify(backup));
+            brokenTournament.data.tournament.rounds[0].tables = [{ players: 'Alice' }];
+            assert.throws(() => validateBackup(brokenTournament), Error);
+        });
+
+        it('should reject games that replay to scores the score table cannot show', () => {
+            const restored = (scores, currentRound = 2) => ({
+                players: ['Alice', 'Bob'],
+                events: [{
+                    seq: 1,
+                    type: 'GameRestored',
+                    timestamp: new Date().toISOString(),
+                    state: { players: ['Alice', 'Bob'], scores, currentRound }
+                }]
+            });
+            const row = first => [first, ...Array(10).fill(null)];
+
+            const backup = backupOfBusyDevice();
+            backup.data.currentGame = restored([row(5), row(0)]);
+            assert.ok(validateBackup(backup).currentGame, 'Whole-number scores should pass');
+
+            backup.data.currentGame = restored([row('<img src=x onerror=alert(1)>'), row(0)]);
+            assert.throws(() => validateBackup(backup), Error);
+
+            backup.data.currentGame = restored([row(5), row(0)], 99);
+            assert.throws(() => validateBackup(backup), Error, 'The round should be one the game can reach');
+
+            const saved = backupOfBusyDevice();
+            saved.data.savedGames = [{ id: 'g-1', state: restored([row(5.5), row(0)]) }];
+            assert.throws(() => validateBackup(saved), Error);
+        });
+
+        it('should reject games whose log does not replay', () => {
+            const backup = backupOfBusyDevice();
+            backup.data.currentGame.events.push({ seq: 99, type: 'RoundScored', round: 1, scores: [1, 2] });
+
+            assert.throws(() => validateBackup(backup), Error);
+        });
+    });
+
+    describe('restoreBackup()', () => {
+        it('should replace everything on the device', () => {
+            const data = validateBackup(backupOfBusyDevice());
+            sources.game.startNewGame(['Eve', 'Frank']);
+
+            const report = restoreBackup(data, sources);
+            assert.equal(report.currentGame, 'restored');
+            assert.deepEqual(sources.game.players, ['Charlie', 'Dana']);
+            assert.lengthOf(Storage.listSaves(), 1);
+            assert.lengthOf(sources.statistics.history, 1);
+            assert.ok(sources.roster.findByName('Charlie'));
+            assert.notOk(sources.roster.findByName('Eve'), 'Profiles here are replaced');
+            assert.equal(report.theme, 'restored');
+        });
+
+        it('should merge without duplicating what is already here', () => {
+            const backup = backupOfBusyDevice();
+            restoreBackup(validateBackup(backup), sources, true);
+
+            const report = restoreBackup(validateBackup(backup), sources, true);
+            assert.deepEqual(report.games, { added: 0, skipped: 1 });
+            assert.deepEqual(report.savedGames, { added: 0, skipped: 1 });
+            assert.equal(report.currentGame, 'kept');
+            assert.lengthOf(sources.statistics.history, 1);
+            assert.lengthOf(Storage.listSaves(), 1);
+        });
+
+        it('should keep a different game in progress when merging', () => {
+            const data = validateBackup(backupOfBusyDevice());
+            sources.game.startNewGame(['Eve', 'Frank']);
+
+            const report = restoreBackup(data, sources, true);
+            assert.equal(report.currentGame, 'saved');
+            assert.deepEqual(sources.game.players, ['Eve', 'Frank']);
+            assert.lengthOf(Storage.listSaves(), 2, 'The backup\'s game waits in the saved games');
+            assert.equal(report.theme, 'kept');
+        });
+
+        it('should summarize what was restored', () => {
+            const report = restoreBackup(validateBackup(backupOfBusyDevice()), sources, true);
+            const summary = describeRestore(report);
+
+            assert.includes(summary, 'Current game: restored');
+            assert.includes(summary, '1 game added');
+            assert.includes(summary, '0 matches added');
+        });
+    });
+});
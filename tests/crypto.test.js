@@ -0,0 +1,65 @@
+/**
+ * crypto.test.js
+ * Tests for passphrase encryption of exported files
+ */
+
+import { describe, it, assert } from './test-framework.js';
+import { isEncrypted, encryptText, decryptText, ENCRYPTED_FORMAT } from '../js/crypto.js';
+
+describe('Crypto Module', () => {
+    const file = JSON.stringify({ version: '1.0', game: { players: ['Alice', 'Bob'] } });
+
+    it('should get the file back with the right passphrase', async () => {
+        const encrypted = await encryptText(file, 'correct horse');
+
+        assert.ok(isEncrypted(encrypted));
+        assert.equal(await decryptText(encrypted, 'correct horse'), file);
+    });
+
+    it('should not leave names readable in the encrypted file', async () => {
+        const encrypted = await encryptText(file, 'correct horse');
+
+        assert.equal(JSON.parse(encrypted).format, ENCRYPTED_FORMAT);
+        assert.notIncludes(encrypted, 'Alice');
+    });
+
+    it('should tell plain files from encrypted ones', () => {
+        assert.notOk(isEncrypted(file));
+        assert.notOk(isEncrypted('not json'));
+    });
+
+    it('should fail clearly on a wrong passphrase', async () => {
+        const encrypted = await encryptText(file, 'correct horse');
+
+        try {
+            await decryptText(encrypted, 'wrong horse');
+            assert.ok(false, 'Should have thrown');
+        } catch (error) {
+            assert.includes(error.message, 'Wrong passphrase');
+        }
+    });
+
+    it('should fail on a file that was changed', async () => {
+        const encrypted = JSON.parse(await encryptText(file, 'correct horse'));
+        const data = encrypted.data;
+        encrypted.data = (data[0] === 'A' ? 'B' : 'A') + data.slice(1);
+
+        await assert.rejects(decryptText(JSON.stringify(encrypted), 'correct horse'), Error);
+    });
+
+    it('should fail on a file with its fields damaged', async () => {
+        const encrypted = JSON.parse(await encryptText(file, 'correct horse'));
+        delete encrypted.cipher;
+
+        try {
+            await decryptText(JSON.stringify(encrypted), 'correct horse');
+            assert.ok(false, 'Should have thrown');
+        } catch (error) {
+            assert.includes(error.message, 'damaged');
+        }
+    });
+
+    it('should refuse to encrypt without a passphrase', async () => {
+        await assert.rejects(encryptText(file, ''), Error);
+    });
+});
@@ -5,6 +5,9 @@
 
 import { describe, it, assert } from './test-framework.js';
 import { Game } from '../js/game.js';
+import { Roster } from '../js/roster.js';
+import { Storage } from '../js/storage.js';
+import { Persistence } from '../js/persistence.js';
 
 describe('Game Class', () => {
     let game;
@@ -123,6 +126,33 @@ describe('Game Class', () => {
             assert.throws(() => game.startNewGame([]), Error);
             assert.throws(() => game.startNewGame(['Alice']), Error);
         });
+
+        it('should use the standard variant by default', () => {
+            beforeEach();
+            game.startNewGame(['Alice', 'Bob']);
+            assert.equal(game.variant.id, 'standard');
+        });
+
+        it('should accept a variant id', () => {
+            beforeEach();
+            game.startNewGame(['Alice', 'Bob'], 'short');
+
+            assert.equal(game.maxRounds, 5, 'Short game should have 5 rounds');
+            assert.lengthOf(game.scores[0], 5, 'Scores should match variant length');
+        });
+
+        it('should accept a custom variant definition', () => {
+            beforeEach();
+            game.startNewGame(['Alice', 'Bob'], { id: 'house', name: 'House', roundCards: [13, 3] });
+
+            assert.deepEqual(game.roundCards, [13, 3]);
+            assert.deepEqual(game.variant.wildLabels, ['K', '3']);
+        });
+
+        it('should throw for unknown variants', () => {
+            beforeEach();
+            assert.throws(() => game.startNewGame(['Alice', 'Bob'], 'nope'), Error);
+        });
     });
 
     describe('submitRound()', () => {
@@ -187,6 +217,251 @@ describe('Game Class', () => {
         });
     });
 
+    describe('going out', () => {
+        it('should record who went out each round', () => {
+            beforeEach();
+            game.startNewGame(['Alice', 'Bob']);
+
+            game.submitRound([0, 15], 0);
+            game.submitRound([20, 0], 1);
+
+            assert.equal(game.getWentOut(1), 0, 'Alice went out in round 1');
+            assert.equal(game.getWentOut(2), 1, 'Bob went out in round 2');
+            assert.isNull(game.getWentOut(3), 'Round 3 not played yet');
+        });
+
+        it('should allow submitting without a going-out player', () => {
+            beforeEach();
+            game.startNewGame(['Alice', 'Bob']);
+
+            game.submitRound([0, 15]);
+            assert.isNull(game.getWentOut(1));
+        });
+
+        it('should require the going-out player to score 0', () => {
+            beforeEach();
+            game.startNewGame(['Alice', 'Bob']);
+
+            assert.throws(() => game.submitRound([5, 15], 0), Error);
+            assert.equal(game.currentRound, 1, 'Round should not advance');
+        });
+
+        it('should reject an invalid going-out player', () => {
+            beforeEach();
+            game.startNewGame(['Alice', 'Bob']);
+
+            assert.throws(() => game.submitRound([0, 15], 2), Error);
+        });
+
+        it('should clear the going-out player on undo', () => {
+            beforeEach();
+            game.startNewGame(['Alice', 'Bob']);
+            game.submitRound([0, 15], 0);
+
+            game.undoLastRound();
+            assert.isNull(game.getWentOut(1));
+        });
+
+        it('should persist and export the going-out players', () => {
+            beforeEach();
+            game.startNewGame(['Alice', 'Bob']);
+            game.submitRound([10, 0], 1);
+
+            const restored = new Game();
+            restored.loadState();
+            assert.equal(restored.getWentOut(1), 1, 'Should survive save/load');
+
+            const imported = new Game();
+            imported.importFromJSON(game.exportToJSON());
+            assert.equal(imported.getWentOut(1), 1, 'Should survive export/import');
+        });
+
+        it('should reject imports where the going-out player did not score 0', () => {
+            beforeEach();
+            const exportData = {
+                version: '1.0',
+                game: {
+                    players: ['Alice', 'Bob'],
+                    scores: [[10, null, null, null, null, null, null, null, null, null, null],
+                             [15, null, null, null, null, null, null, null, null, null, null]],
+                    wentOut: [0, null, null, null, null, null, null, null, null, null, null],
+                    currentRound: 2
+                }
+            };
+
+            assert.throws(() => game.importFromJSON(JSON.stringify(exportData)), Error);
+        });
+    });
+
+    describe('validateRound()', () => {
+        it('should accept plausible scores', () => {
+            beforeEach();
+            game.startNewGame(['Alice', 'Bob', 'Charlie']);
+
+            const { errors, warnings } = game.validateRound([0, 12, 25], 0);
+            assert.lengthOf(errors, 0);
+            assert.lengthOf(warnings, 0);
+        });
+
+        it('should reject negative and fractional scores', () => {
+            beforeEach();
+            game.startNewGame(['Alice', 'Bob', 'Charlie']);
+
+            const { errors } = game.validateRound([0, -5, 7.5]);
+            assert.lengthOf(errors, 2);
+            assert.equal(errors[0].playerIndex, 1);
+            assert.equal(errors[1].playerIndex, 2);
+        });
+
+        it('should reject missing and non-numeric scores', () => {
+            beforeEach();
+            game.startNewGame(['Alice', 'Bob']);
+
+            const { errors } = game.validateRound([0, NaN]);
+            assert.lengthOf(errors, 1);
+            assert.lengthOf(game.validateRound([0, null]).errors, 1);
+        });
+
+        it('should reject scores below the lowest card', () => {
+            beforeEach();
+            game.startNewGame(['Alice', 'Bob']);
+
+            assert.lengthOf(game.validateRound([0, 2]).errors, 1);
+        });
+
+        it('should reject scores above the maximum for the hand size', () => {
+            beforeEach();
+            game.startNewGame(['Alice', 'Bob']);
+
+            // Round 1: three Jokers is the worst possible hand
+            assert.lengthOf(game.validateRound([0, 150]).errors, 0);
+            assert.lengthOf(game.validateRound([0, 151]).errors, 1);
+        });
+
+        it('should warn when a score needs wilds or Jokers', () => {
+            beforeEach();
+            game.startNewGame(['Alice', 'Bob']);
+
+            // Round 1: three Kings is the highest natural hand
+            const { errors, warnings } = game.validateRound([0, 40]);
+            assert.lengthOf(errors, 0);
+            assert.lengthOf(warnings, 1);
+            assert.equal(warnings[0].playerIndex, 1);
+        });
+
+        it('should warn when nobody scored 0', () => {
+            beforeEach();
+            game.startNewGame(['Alice', 'Bob']);
+
+            const { errors, warnings } = game.validateRound([10, 15]);
+            assert.lengthOf(errors, 0);
+            assert.lengthOf(warnings, 1);
+            assert.isNull(warnings[0].playerIndex, 'Should be a round-level warning');
+        });
+
+        it('should validate against a specific round', () => {
+            beforeEach();
+            game.startNewGame(['Alice', 'Bob']);
+
+            assert.lengthOf(game.validateRound([0, 200], null, 1).errors, 1);
+            assert.lengthOf(game.validateRound([0, 200], null, 11).errors, 0);
+        });
+
+        it('should make submitRound() reject invalid scores', () => {
+            beforeEach();
+            game.startNewGame(['Alice', 'Bob']);
+
+            assert.throws(() => game.submitRound([0, -1]), Error);
+            assert.equal(game.currentRound, 1, 'Round should not advance');
+        });
+    });
+
+    describe('editScore()', () => {
+        it('should correct a score in an earlier round', () => {
+            beforeEach();
+            game.startNewGame(['Alice', 'Bob']);
+            game.submitRound([0, 15], 0);
+            game.submitRound([20, 0], 1);
+            game.submitRound([0, 30], 0);
+
+            game.editScore(1, 1, 12);
+
+            assert.equal(game.getScore(1, 1), 12, 'Round 1 score should be corrected');
+            assert.equal(game.getPlayerTotal(1), 42, 'Total should be recomputed');
+            assert.equal(game.currentRound, 4, 'Later rounds should be untouched');
+        });
+
+        it('should record the edit for review', () => {
+            beforeEach();
+            game.startNewGame(['Alice', 'Bob']);
+            game.submitRound([0, 15], 0);
+
+            const edit = game.editScore(1, 1, 12);
+
+            assert.lengthOf(game.edits, 1);
+            assert.equal(edit.player, 'Bob');
+            assert.equal(edit.round, 1);
+            assert.equal(edit.oldScore, 15);
+            assert.equal(edit.newScore, 12);
+            assert.ok(edit.timestamp, 'Edit should be timestamped');
+        });
+
+        it('should not record an unchanged score', () => {
+            beforeEach();
+            game.startNewGame(['Alice', 'Bob']);
+            game.submitRound([0, 15], 0);
+
+            assert.isNull(game.editScore(1, 1, 15));
+            assert.lengthOf(game.edits, 0);
+        });
+
+        it('should re-validate the corrected score', () => {
+            beforeEach();
+            game.startNewGame(['Alice', 'Bob']);
+            game.submitRound([0, 15], 0);
+
+            assert.throws(() => game.editScore(1, 1, -3), Error);
+            assert.throws(() => game.editScore(0, 1, 5), Error, 'Going-out player must stay at 0');
+            assert.equal(game.getScore(1, 1), 15, 'Score should be unchanged');
+        });
+
+        it('should reject rounds that have not been played', () => {
+            beforeEach();
+            game.startNewGame(['Alice', 'Bob']);
+            game.submitRound([0, 15], 0);
+
+            assert.throws(() => game.editScore(0, 2, 0), Error);
+            assert.throws(() => game.editScore(0, 0, 0), Error);
+        });
+
+        it('should recompute the winner of a finished game', () => {
+            beforeEach();
+            game.startNewGame(['Alice', 'Bob'], 'short');
+            for (let i = 0; i < 5; i++) {
+                game.submitRound([0, 5]);
+            }
+            assert.equal(game.getWinners()[0].name, 'Alice');
+
+            game.editScore(0, 1, 30);
+            assert.equal(game.getWinners()[0].name, 'Bob');
+        });
+
+        it('should persist and export edits', () => {
+            beforeEach();
+            game.startNewGame(['Alice', 'Bob']);
+            game.submitRound([0, 15], 0);
+            game.editScore(1, 1, 12);
+
+            const restored = new Game();
+            restored.loadState();
+            assert.lengthOf(restored.edits, 1, 'Edits should survive save/load');
+
+            const imported = new Game();
+            imported.importFromJSON(game.exportToJSON());
+            assert.lengthOf(imported.edits, 1, 'Edits should survive export/import');
+        });
+    });
+
     describe('undoLastRound()', () => {
         it('should undo the last round', () => {
             beforeEach();
@@ -213,6 +488,176 @@ describe('Game Class', () => {
         });
     });
 
+    describe('undo() / redo()', () => {
+        it('should undo and redo a submitted round', () => {
+            beforeEach();
+            game.startNewGame(['Alice', 'Bob']);
+            game.submitRound([0, 15], 0);
+            game.submitRound([20, 0], 1);
+
+            game.undo();
+            assert.equal(game.currentRound, 2, 'Should be back on round 2');
+            assert.isNull(game.getScore(0, 2));
+            assert.isNull(game.getWentOut(2));
+
+            game.redo();
+            assert.equal(game.currentRound, 3, 'Should be on round 3 again');
+            assert.equal(game.getScore(0, 2), 20);
+            assert.equal(game.getWentOut(2), 1);
+        });
+
+        it('should keep every step undoable, however many there are', () => {
+            beforeEach();
+            game.startNewGame(['Alice', 'Bob']);
+            for (let i = 0; i < 205; i++) {
+                game.addAdjustment(0, 1, 'Penalty');
+            }
+
+            let steps = 0;
+            while (game.canUndo()) {
+                game.undo();
+                steps++;
+            }
+
+            assert.equal(steps, 205);
+            assert.lengthOf(game.adjustments, 0);
+        });
+
+        it('should undo any number of steps', () => {
+            beforeEach();
+            game.startNewGame(['Alice', 'Bob']);
+            for (let i = 0; i < 5; i++) {
+                game.submitRound([0, 10]);
+            }
+
+            while (game.canUndo()) {
+                game.undo();
+            }
+
+            assert.equal(game.currentRound, 1);
+            assert.equal(game.getPlayerTotal(1), 0);
+            assert.lengthOf(game.redoStack, 5);
+        });
+
+        it('should undo a score correction', () => {
+            beforeEach();
+            game.startNewGame(['Alice', 'Bob']);
+            game.submitRound([0, 15], 0);
+            game.editScore(1, 1, 12);
+
+            game.undo();
+            assert.equal(game.getScore(1, 1), 15, 'Score should be restored');
+            assert.lengthOf(game.edits, 0, 'Edit should be removed from the log');
+
+            game.redo();
+            assert.equal(game.getScore(1, 1), 12);
+            assert.lengthOf(game.edits, 1);
+        });
+
+        it('should undo adding and removing players', () => {
+            beforeEach();
+            game.addPlayer('Alice');
+            game.addPlayer('Bob');
+            game.addPlayer('Charlie');
+            game.removePlayer(1);
+
+            game.undo();
+            assert.deepEqual(game.players, ['Alice', 'Bob', 'Charlie'], 'Bob should be back in place');
+
+            game.undo();
+            assert.deepEqual(game.players, ['Alice', 'Bob']);
+
+            game.redo();
+            game.redo();
+            assert.deepEqual(game.players, ['Alice', 'Charlie']);
+        });
+
+        it('should undo clearing a round with undoLastRound()', () => {
+            beforeEach();
+            game.startNewGame(['Alice', 'Bob']);
+            game.submitRound([0, 15], 0);
+            game.undoLastRound();
+
+            game.undo();
+            assert.equal(game.currentRound, 2);
+            assert.equal(game.getScore(1, 1), 15);
+            assert.equal(game.getWentOut(1), 0);
+        });
+
+        it('should undo an import', () => {
+            beforeEach();
+            game.startNewGame(['Alice', 'Bob']);
+            game.submitRound([0, 15], 0);
+
+            const other = new Game();
+            other.startNewGame(['Xavier', 'Yolanda', 'Zed'], 'short');
+            const json = other.exportToJSON();
+
+            game.importFromJSON(json);
+            assert.deepEqual(game.players, ['Xavier', 'Yolanda', 'Zed']);
+
+            game.undo();
+            assert.deepEqual(game.players, ['Alice', 'Bob'], 'Players should be restored');
+            assert.equal(game.variant.id, 'standard', 'Variant should be restored');
+            assert.equal(game.getScore(1, 1), 15);
+        });
+
+        it('should clear redo after a new change', () => {
+            beforeEach();
+            game.startNewGame(['Alice', 'Bob']);
+            game.submitRound([0, 15]);
+            game.undo();
+
+            game.submitRound([0, 5]);
+            assert.notOk(game.canRedo(), 'Redo should be cleared');
+        });
+
+        it('should throw when there is nothing to undo or redo', () => {
+            beforeEach();
+            game.startNewGame(['Alice', 'Bob']);
+
+            assert.throws(() => game.undo(), Error);
+            assert.throws(() => game.redo(), Error);
+        });
+
+        it('should describe the next undo and redo', () => {
+            beforeEach();
+            game.startNewGame(['Alice', 'Bob']);
+            assert.isNull(game.getUndoDescription());
+
+            game.submitRound([0, 15]);
+            assert.equal(game.getUndoDescription(), 'round 1 scores');
+
+            game.undo();
+            assert.equal(game.getRedoDescription(), 'round 1 scores');
+        });
+
+        it('should persist the undo and redo stacks', () => {
+            beforeEach();
+            game.startNewGame(['Alice', 'Bob']);
+            game.submitRound([0, 15]);
+            game.submitRound([0, 25]);
+            game.undo();
+
+            const restored = new Game();
+            restored.loadState();
+            assert.lengthOf(restored.undoStack, 1);
+            assert.lengthOf(restored.redoStack, 1);
+
+            restored.redo();
+            assert.equal(restored.getScore(1, 2), 25, 'Redo should work after reload');
+        });
+
+        it('should start a new game with empty stacks', () => {
+            beforeEach();
+            game.startNewGame(['Alice', 'Bob']);
+            game.submitRound([0, 15]);
+
+            game.startNewGame(['Alice', 'Bob']);
+            assert.notOk(game.canUndo());
+        });
+    });
+
     describe('getPlayerTotal()', () => {
         it('should calculate player total score', () => {
             beforeEach();
@@ -240,7 +685,7 @@ describe('Game Class', () => {
         });
     });
 
-    describe('getWinner()', () => {
+    describe('getWinners()', () => {
         it('should determine winner when game is complete', () => {
             beforeEach();
             game.startNewGame(['Alice', 'Bob', 'Charlie']);
@@ -250,12 +695,13 @@ describe('Game Class', () => {
                 game.submitRound([5, 10, 15]); // Alice wins with lowest score
             }
 
-            const winner = game.getWinner();
+            const winners = game.getWinners();
 
-            assert.ok(winner, 'Winner should be defined');
-            assert.equal(winner.name, 'Alice', 'Alice should win');
-            assert.equal(winner.score, 55, 'Winner score should be 55');
-            assert.equal(winner.index, 0, 'Winner index should be 0');
+            assert.ok(winners, 'Winners should be defined');
+            assert.lengthOf(winners, 1, 'Should have a single winner');
+            assert.equal(winners[0].name, 'Alice', 'Alice should win');
+            assert.equal(winners[0].score, 55, 'Winner score should be 55');
+            assert.equal(winners[0].index, 0, 'Winner index should be 0');
         });
 
         it('should return null if game is not complete', () => {
@@ -264,8 +710,56 @@ describe('Game Class', () => {
 
             game.submitRound([10, 15]);
 
-            const winner = game.getWinner();
-            assert.isNull(winner, 'Winner should be null before game completes');
+            const winners = game.getWinners();
+            assert.isNull(winners, 'Winners should be null before game completes');
+        });
+
+        it('should share the win on a tie by default', () => {
+            beforeEach();
+            game.startNewGame(['Alice', 'Bob', 'Charlie'], 'short');
+
+            game.submitRound([0, 5, 10], 0);
+            game.submitRound([5, 0, 10], 1);
+            game.submitRound([0, 5, 10], 0);
+            game.submitRound([5, 0, 10], 1);
+            game.submitRound([0, 0, 10], 0);
+
+            const winners = game.getWinners();
+            assert.deepEqual(winners.map(w => w.name), ['Alice', 'Bob']);
+        });
+
+        it('should apply the configured tie-breaker', () => {
+            beforeEach();
+            game.startNewGame(['Alice', 'Bob'], 'short', { tieBreaker: 'most-go-outs' });
+
+            game.submitRound([0, 5], 0);
+            game.submitRound([0, 5], 0);
+            game.submitRound([10, 0], 1);
+            game.submitRound([0, 0], 0);
+            game.submitRound([0, 0], 1);
+
+            // Both on 10; Alice went out 3 times to Bob's 2
+            const winners = game.getWinners();
+            assert.lengthOf(winners, 1);
+            assert.equal(winners[0].name, 'Alice');
+        });
+
+        it('should throw for unknown tie-breakers', () => {
+            beforeEach();
+            assert.throws(() => game.startNewGame(['Alice', 'Bob'], 'standard', { tieBreaker: 'coin-flip' }), Error);
+        });
+
+        it('should persist the tie-breaker', () => {
+            beforeEach();
+            game.startNewGame(['Alice', 'Bob'], 'standard', { tieBreaker: 'lowest-final-round' });
+
+            const restored = new Game();
+            restored.loadState();
+            assert.equal(restored.tieBreaker, 'lowest-final-round');
+
+            const imported = new Game();
+            imported.importFromJSON(game.exportToJSON());
+            assert.equal(imported.tieBreaker, 'lowest-final-round');
         });
     });
 
@@ -325,15 +819,87 @@ describe('Game Class', () => {
             assert.throws(() => game.importFromJSON(JSON.stringify(invalidData)), Error);
         });
 
-        it('should throw error for too few players', () => {
+        it('should import the saved variant', () => {
             beforeEach();
-            const invalidData = {
+            game.startNewGame(['Alice', 'Bob'], 'kings-first');
+            game.submitRound([10, 0]);
+            const json = game.exportToJSON();
+
+            const other = new Game();
+            other.importFromJSON(json);
+
+            assert.equal(other.variant.id, 'kings-first');
+            assert.equal(other.getCurrentRoundInfo().cards, 12, 'Round 2 of kings first deals 12');
+        });
+
+        it('should derive the variant from roundCards in older exports', () => {
+            beforeEach();
+            const exportData = {
                 version: '1.0',
-                exportDate: new Date().toISOString(),
                 game: {
-                    players: ['Alice'], // Only 1 player
-                    scores: [[10, null, null, null, null, null, null, null, null, null, null]],
-                    currentRound: 1
+                    players: ['Alice', 'Bob'],
+                    scores: [[10, null, null], [0, null, null]],
+                    currentRound: 2,
+                    roundCards: [3, 4, 5]
+                }
+            };
+
+            game.importFromJSON(JSON.stringify(exportData));
+            assert.equal(game.maxRounds, 3);
+        });
+
+        it('should reject scores that do not match the variant', () => {
+            beforeEach();
+            const exportData = {
+                version: '1.0',
+                game: {
+                    players: ['Alice', 'Bob'],
+                    scores: [[10, null], [0, null]],
+                    currentRound: 2,
+                    variant: { id: 'short', name: 'Short', roundCards: [3, 4, 5, 6, 7] }
+                }
+            };
+
+            assert.throws(() => game.importFromJSON(JSON.stringify(exportData)), Error);
+        });
+
+        it('should reject scores that are not whole numbers', () => {
+            beforeEach();
+            const row = first => [first, null, null, null, null, null, null, null, null, null, null];
+            const exportData = score => ({
+                version: '1.0',
+                game: { players: ['Alice', 'Bob'], scores: [row(score), row(0)], currentRound: 2 }
+            });
+
+            assert.throws(() => game.importFromJSON(JSON.stringify(exportData('<img src=x onerror=alert(1)>'))), Error);
+            assert.throws(() => game.importFromJSON(JSON.stringify(exportData({ points: 5 }))), Error);
+            assert.notOk(game.isStarted(), 'Nothing should be imported');
+        });
+
+        it('should reject a round the game cannot reach', () => {
+            beforeEach();
+            const exportData = {
+                version: '1.0',
+                game: {
+                    players: ['Alice', 'Bob'],
+                    scores: [[10, null, null], [0, null, null]],
+                    currentRound: 99,
+                    roundCards: [3, 4, 5]
+                }
+            };
+
+            assert.throws(() => game.importFromJSON(JSON.stringify(exportData)), Error);
+        });
+
+        it('should throw error for too few players', () => {
+            beforeEach();
+            const invalidData = {
+                version: '1.0',
+                exportDate: new Date().toISOString(),
+                game: {
+                    players: ['Alice'], // Only 1 player
+                    scores: [[10, null, null, null, null, null, null, null, null, null, null]],
+                    currentRound: 1
                 }
             };
 
@@ -386,5 +952,831 @@ describe('Game Class', () => {
             assert.equal(info.round, 3, 'Round should be 3');
             assert.equal(info.cards, 5, 'Cards should be 5');
         });
+
+        it('should follow the variant round structure', () => {
+            beforeEach();
+            game.startNewGame(['Alice', 'Bob'], 'kings-first');
+
+            const info = game.getCurrentRoundInfo();
+
+            assert.equal(info.cards, 13, 'Kings first opens with 13 cards');
+            assert.equal(info.wildLabel, 'K');
+            assert.equal(info.maxRounds, 11);
+        });
+    });
+
+    describe('getRoundInfo()', () => {
+        it('should include the wild rank and hand size', () => {
+            beforeEach();
+            game.startNewGame(['Alice', 'Bob', 'Charlie']);
+
+            const info = game.getRoundInfo(5);
+
+            assert.equal(info.handSize, 7);
+            assert.equal(info.wildLabel, '7');
+            assert.equal(info.wildRank, 'Sevens');
+        });
+
+        it('should name face-card wilds', () => {
+            beforeEach();
+            game.startNewGame(['Alice', 'Bob']);
+
+            assert.equal(game.getRoundInfo(1).wildRank, 'Threes');
+            assert.equal(game.getRoundInfo(11).wildRank, 'Kings');
+        });
+
+        it('should rotate the dealer each round', () => {
+            beforeEach();
+            game.startNewGame(['Alice', 'Bob', 'Charlie']);
+
+            assert.equal(game.getRoundInfo(1).dealer, 'Alice');
+            assert.equal(game.getRoundInfo(2).dealer, 'Bob');
+            assert.equal(game.getRoundInfo(4).dealer, 'Alice');
+        });
+
+        it('should start the rotation from the chosen first dealer', () => {
+            beforeEach();
+            game.startNewGame(['Alice', 'Bob', 'Charlie'], 'standard', { firstDealer: 2 });
+
+            assert.equal(game.getRoundInfo(1).dealer, 'Charlie');
+            assert.equal(game.getRoundInfo(2).dealer, 'Alice');
+            assert.equal(game.getRoundInfo(3).dealer, 'Bob');
+        });
+
+        it('should report the current round through getCurrentRoundInfo()', () => {
+            beforeEach();
+            game.startNewGame(['Alice', 'Bob']);
+            game.submitRound([0, 10]);
+
+            const info = game.getCurrentRoundInfo();
+            assert.equal(info.wildRank, 'Fours');
+            assert.equal(info.dealer, 'Bob');
+        });
+
+        it('should return empty metadata past the last round', () => {
+            beforeEach();
+            game.startNewGame(['Alice', 'Bob'], 'short');
+
+            const info = game.getRoundInfo(6);
+            assert.isUndefined(info.cards);
+            assert.isNull(info.wildRank);
+            assert.isNull(info.dealer);
+        });
+    });
+
+    describe('saveState() / loadState()', () => {
+        it('should persist the variant', () => {
+            beforeEach();
+            game.startNewGame(['Alice', 'Bob'], 'short');
+
+            const restored = new Game();
+            assert.ok(restored.loadState(), 'State should load');
+            assert.equal(restored.variant.id, 'short');
+            assert.equal(restored.maxRounds, 5);
+        });
+
+        it('should fall back to the standard variant for older saves', () => {
+            beforeEach();
+            localStorage.setItem('fiveCrownsGame', JSON.stringify({
+                players: ['Alice', 'Bob'],
+                scores: [new Array(11).fill(null), new Array(11).fill(null)],
+                currentRound: 1
+            }));
+
+            assert.ok(game.loadState());
+            assert.equal(game.variant.id, 'standard');
+        });
+
+        it('should rebuild the game from the saved event log', () => {
+            beforeEach();
+            game.startNewGame(['Alice', 'Bob'], 'short');
+            game.submitRound([0, 10], 0);
+            game.submitRound([5, 0], 1);
+            game.editScore(1, 1, 12);
+            game.undo();
+
+            const restored = new Game();
+            assert.ok(restored.loadState());
+            assert.deepEqual(restored.snapshot(), game.snapshot());
+            assert.equal(restored.events.length, game.events.length);
+            assert.ok(restored.canRedo(), 'Redo should survive a reload');
+        });
+
+        it('should start an event log for saves made before the log existed', () => {
+            beforeEach();
+            localStorage.setItem('fiveCrownsGame', JSON.stringify({
+                players: ['Alice', 'Bob'],
+                scores: [[5, ...new Array(10).fill(null)], [0, ...new Array(10).fill(null)]],
+                currentRound: 2
+            }));
+
+            assert.ok(game.loadState());
+            assert.equal(game.events.length, 1);
+            assert.equal(game.events[0].type, 'GameRestored');
+            assert.equal(game.getScore(0, 1), 5);
+            assert.notOk(game.canUndo(), 'Restored state should not be undoable');
+        });
+    });
+
+    describe('event log', () => {
+        it('should record a timestamped event for every change', () => {
+            beforeEach();
+            game.startNewGame(['Alice', 'Bob']);
+            game.submitRound([0, 10], 0);
+            game.editScore(1, 1, 8);
+            game.undo();
+            game.redo();
+
+            assert.deepEqual(
+                game.events.map(event => event.type),
+                ['GameStarted', 'RoundScored', 'ScoreCorrected', 'ChangeUndone', 'ChangeRedone']
+            );
+            assert.deepEqual(game.events.map(event => event.seq), [1, 2, 3, 4, 5]);
+            game.events.forEach(event => {
+                assert.ok(!isNaN(Date.parse(event.timestamp)), 'Event should have a timestamp');
+            });
+        });
+
+        it('should replay to the same state', () => {
+            beforeEach();
+            game.startNewGame(['Alice', 'Bob'], 'short');
+            game.submitRound([0, 10], 0);
+            game.submitRound([4, 0], 1);
+            game.undoLastRound();
+            game.editScore(1, 1, 3);
+
+            const replayed = Game.fromEvents(game.events);
+            assert.deepEqual(replayed.snapshot(), game.snapshot());
+            assert.equal(replayed.getUndoDescription(), game.getUndoDescription());
+        });
+
+        it('should start a new log for a new game', () => {
+            beforeEach();
+            game.startNewGame(['Alice', 'Bob']);
+            game.submitRound([0, 10]);
+            game.startNewGame(['Carol', 'Dave']);
+
+            assert.equal(game.events.length, 1);
+            assert.equal(game.events[0].type, 'GameStarted');
+        });
+
+        it('should record linking to a history record', () => {
+            beforeEach();
+            game.startNewGame(['Alice', 'Bob']);
+            game.linkHistory(42);
+
+            assert.equal(game.historyId, 42);
+            assert.equal(game.events[game.events.length - 1].type, 'GameRecorded');
+            assert.equal(Game.fromEvents(game.events).historyId, 42);
+        });
+
+        it('should include the log in exports', () => {
+            beforeEach();
+            game.startNewGame(['Alice', 'Bob']);
+            game.submitRound([0, 10]);
+
+            const data = JSON.parse(game.exportToJSON());
+            assert.equal(data.game.events.length, 2);
+        });
+
+        it('should reject imported logs that do not match the scores', () => {
+            beforeEach();
+            game.startNewGame(['Alice', 'Bob']);
+            game.submitRound([0, 10]);
+            const data = JSON.parse(game.exportToJSON());
+            data.game.scores[1][0] = 20;
+
+            assert.throws(() => game.importFromJSON(JSON.stringify(data)), Error, 'Should reject a tampered log');
+        });
+    });
+
+    describe('dealer rotation', () => {
+        it('should draw a random first dealer and record it', () => {
+            beforeEach();
+            game.startNewGame(['Alice', 'Bob', 'Charlie'], 'standard', { firstDealer: 'random' });
+
+            assert.ok(game.firstDealer >= 0 && game.firstDealer < 3, 'Dealer should be one of the players');
+            assert.equal(game.events[0].firstDealer, game.firstDealer);
+            assert.equal(Game.fromEvents(game.events).firstDealer, game.firstDealer);
+        });
+
+        it('should reject an invalid first dealer', () => {
+            beforeEach();
+            assert.throws(() => game.startNewGame(['Alice', 'Bob'], 'standard', { firstDealer: 2 }), Error);
+            assert.throws(() => game.startNewGame(['Alice', 'Bob'], 'standard', { firstDealer: 'Bob' }), Error);
+        });
+
+        it('should follow the current round through undo and redo', () => {
+            beforeEach();
+            game.startNewGame(['Alice', 'Bob'], 'standard', { firstDealer: 1 });
+            game.submitRound([0, 10]);
+            assert.equal(game.getCurrentRoundInfo().dealer, 'Alice');
+
+            game.undo();
+            assert.equal(game.getCurrentRoundInfo().dealer, 'Bob');
+
+            game.redo();
+            assert.equal(game.getCurrentRoundInfo().dealer, 'Alice');
+        });
+
+        it('should not change when a past score is edited', () => {
+            beforeEach();
+            game.startNewGame(['Alice', 'Bob', 'Charlie'], 'standard', { firstDealer: 1 });
+            game.submitRound([0, 10, 5]);
+            game.editScore(1, 1, 4);
+
+            assert.equal(game.getCurrentRoundInfo().dealer, 'Charlie');
+        });
+
+        it('should persist across reloads', () => {
+            beforeEach();
+            game.startNewGame(['Alice', 'Bob', 'Charlie'], 'standard', { firstDealer: 2 });
+
+            const restored = new Game();
+            restored.loadState();
+            assert.equal(restored.getCurrentRoundInfo().dealer, 'Charlie');
+        });
+
+        it('should round-trip through export and import', () => {
+            beforeEach();
+            game.startNewGame(['Alice', 'Bob', 'Charlie'], 'standard', { firstDealer: 1 });
+            const json = game.exportToJSON();
+
+            const imported = new Game();
+            imported.importFromJSON(json);
+            assert.equal(imported.getCurrentRoundInfo().dealer, 'Bob');
+
+            imported.undo();
+            assert.equal(imported.firstDealer, 0, 'Undoing the import should restore the old dealer');
+        });
+
+        it('should default to the first player for older exports', () => {
+            beforeEach();
+            game.startNewGame(['Alice', 'Bob'], 'standard', { firstDealer: 1 });
+            const data = JSON.parse(game.exportToJSON());
+            delete data.game.firstDealer;
+            delete data.game.events;
+
+            game.importFromJSON(JSON.stringify(data));
+            assert.equal(game.getCurrentRoundInfo().dealer, 'Alice');
+        });
+
+        it('should reject imports with an out-of-range first dealer', () => {
+            beforeEach();
+            game.startNewGame(['Alice', 'Bob']);
+            const data = JSON.parse(game.exportToJSON());
+            data.game.firstDealer = 5;
+
+            assert.throws(() => game.importFromJSON(JSON.stringify(data)), Error);
+        });
+    });
+
+    describe('late joiners and withdrawals', () => {
+        const playTwoRounds = () => {
+            game.startNewGame(['Alice', 'Bob', 'Charlie'], 'short');
+            game.submitRound([0, 10, 20]);
+            game.submitRound([8, 0, 6]);
+        };
+
+        it('should add a late joiner with catch-up scores', () => {
+            beforeEach();
+            playTwoRounds();
+            game.addPlayer('Dana', { catchUp: 'highest-total' });
+
+            assert.equal(game.players[3], 'Dana');
+            assert.equal(game.joinedRound[3], 3);
+            assert.deepEqual(game.scores[3], [20, 6, null, null, null], 'Dana should match Charlie\'s total');
+            assert.ok(game.isActive(3));
+            assert.notOk(game.isActive(3, 2));
+        });
+
+        it('should use the round-average rule when asked', () => {
+            beforeEach();
+            playTwoRounds();
+            game.addPlayer('Dana', { catchUp: 'round-average' });
+
+            assert.deepEqual(game.scores[3].slice(0, 2), [10, 5]);
+        });
+
+        it('should reject unknown catch-up rules', () => {
+            beforeEach();
+            playTwoRounds();
+            assert.throws(() => game.addPlayer('Dana', { catchUp: 'bogus' }), Error);
+        });
+
+        it('should score the late joiner from their join round on', () => {
+            beforeEach();
+            playTwoRounds();
+            game.addPlayer('Dana');
+            game.submitRound([0, 5, 5, 10]);
+
+            assert.equal(game.getScore(3, 3), 10);
+            assert.equal(game.getPlayerTotal(3), 36);
+        });
+
+        it('should undo a late join', () => {
+            beforeEach();
+            playTwoRounds();
+            game.addPlayer('Dana');
+            game.undo();
+
+            assert.lengthOf(game.players, 3);
+            assert.lengthOf(game.scores, 3);
+            assert.lengthOf(game.joinedRound, 3);
+        });
+
+        it('should not clear rounds played before a late join', () => {
+            beforeEach();
+            playTwoRounds();
+            game.addPlayer('Dana');
+            assert.throws(() => game.undoLastRound(), Error);
+        });
+
+        it('should mark a withdrawn player and keep their rounds', () => {
+            beforeEach();
+            playTwoRounds();
+            game.removePlayer(1);
+
+            assert.lengthOf(game.players, 3, 'Withdrawn players stay on the scoreboard');
+            assert.equal(game.withdrawnRound[1], 3);
+            assert.equal(game.getPlayerTotal(1), 10);
+            assert.notOk(game.isActive(1));
+            assert.deepEqual(game.getActivePlayers(), [0, 2]);
+        });
+
+        it('should not need scores from withdrawn players', () => {
+            beforeEach();
+            playTwoRounds();
+            game.removePlayer(1);
+            game.submitRound([0, null, 12]);
+
+            assert.isNull(game.getScore(1, 3));
+            assert.equal(game.getScore(2, 3), 12);
+        });
+
+        it('should not let withdrawn players go out', () => {
+            beforeEach();
+            playTwoRounds();
+            game.removePlayer(1);
+            const { errors } = game.validateRound([5, 0, 12], 1);
+            assert.ok(errors.length > 0, 'Going out should be rejected');
+        });
+
+        it('should keep at least two players in the game', () => {
+            beforeEach();
+            playTwoRounds();
+            game.removePlayer(1);
+            assert.throws(() => game.removePlayer(2), Error);
+            assert.throws(() => game.removePlayer(1), Error, 'Cannot leave twice');
+        });
+
+        it('should not allow editing rounds after a player left', () => {
+            beforeEach();
+            playTwoRounds();
+            game.removePlayer(1);
+            game.submitRound([0, null, 12]);
+
+            assert.ok(game.validateEdit(1, 3, 5).errors.length > 0);
+            assert.equal(game.validateEdit(1, 2, 5).errors.length, 0);
+        });
+
+        it('should exclude withdrawn players from the winners', () => {
+            beforeEach();
+            game.startNewGame(['Alice', 'Bob', 'Charlie'], 'short');
+            game.submitRound([10, 0, 20]);
+            game.removePlayer(1);
+            game.submitRound([0, null, 6]);
+            game.submitRound([0, null, 6]);
+            game.submitRound([0, null, 6]);
+            game.submitRound([0, null, 6]);
+
+            const winners = game.getWinners();
+            assert.deepEqual(winners.map(w => w.name), ['Alice']);
+        });
+
+        it('should skip players who are out of the round when dealing', () => {
+            beforeEach();
+            playTwoRounds();
+            game.removePlayer(0);
+
+            // Round 3 would be Charlie's deal either way; round 4 passes over Alice to Bob
+            assert.equal(game.getRoundInfo(3).dealer, 'Charlie');
+            assert.equal(game.getRoundInfo(4).dealer, 'Bob');
+            assert.equal(game.getRoundInfo(1).dealer, 'Alice', 'Past deals should not change');
+        });
+
+        it('should bring a late joiner into the deal', () => {
+            beforeEach();
+            playTwoRounds();
+            game.addPlayer('Dana');
+
+            assert.equal(game.getRoundInfo(3).dealer, 'Charlie');
+            assert.equal(game.getRoundInfo(4).dealer, 'Dana');
+            assert.equal(game.getRoundInfo(5).dealer, 'Alice');
+        });
+
+        it('should round-trip through reload, export and import', () => {
+            beforeEach();
+            playTwoRounds();
+            game.addPlayer('Dana');
+            game.removePlayer(1);
+
+            const restored = new Game();
+            restored.loadState();
+            assert.deepEqual(restored.joinedRound, [1, 1, 1, 3]);
+            assert.deepEqual(restored.withdrawnRound, [null, 3, null, null]);
+
+            const imported = new Game();
+            imported.importFromJSON(game.exportToJSON());
+            assert.deepEqual(imported.joinedRound, [1, 1, 1, 3]);
+            assert.deepEqual(imported.withdrawnRound, [null, 3, null, null]);
+        });
+
+        it('should reject imports with malformed lineup data', () => {
+            beforeEach();
+            playTwoRounds();
+            const data = JSON.parse(game.exportToJSON());
+            data.game.withdrawnRound = [null, 'soon', null];
+
+            assert.throws(() => game.importFromJSON(JSON.stringify(data)), Error);
+        });
+    });
+
+    describe('team mode', () => {
+        const startTeamGame = () => {
+            game.startNewGame(['Alice', 'Bob', 'Charlie', 'Dana'], 'short', {
+                teams: [{ members: [0, 2] }, { members: [1, 3] }]
+            });
+        };
+
+        it('should name teams after their players', () => {
+            beforeEach();
+            startTeamGame();
+
+            assert.ok(game.isTeamGame());
+            assert.deepEqual(game.teams.map(team => team.name), ['Alice & Charlie', 'Bob & Dana']);
+            assert.equal(game.getTeamIndex(3), 1);
+        });
+
+        it('should keep individual play without teams', () => {
+            beforeEach();
+            game.startNewGame(['Alice', 'Bob']);
+            assert.notOk(game.isTeamGame());
+            assert.deepEqual(game.getTeamTotals(), []);
+        });
+
+        it('should reject incomplete or overlapping teams', () => {
+            beforeEach();
+            const players = ['Alice', 'Bob', 'Charlie', 'Dana'];
+            assert.throws(() => game.startNewGame(players, 'short', { teams: [{ members: [0, 1, 2, 3] }] }), Error);
+            assert.throws(() => game.startNewGame(players, 'short', { teams: [{ members: [0, 1] }, { members: [2] }] }), Error);
+            assert.throws(() => game.startNewGame(players, 'short', { teams: [{ members: [0, 1] }, { members: [1, 2, 3] }] }), Error);
+        });
+
+        it('should still take scores per player and total them by team', () => {
+            beforeEach();
+            startTeamGame();
+            game.submitRound([0, 5, 10, 20]);
+
+            assert.equal(game.getPlayerTotal(2), 10);
+            assert.deepEqual(game.getTeamTotals().map(team => team.total), [10, 25]);
+        });
+
+        it('should name the winning team', () => {
+            beforeEach();
+            startTeamGame();
+            for (let round = 0; round < 5; round++) {
+                game.submitRound([0, 5, 10, 20]);
+            }
+
+            const winners = game.getWinners();
+            assert.lengthOf(winners, 1);
+            assert.equal(winners[0].name, 'Alice & Charlie');
+            assert.deepEqual(winners[0].members, ['Alice', 'Charlie']);
+        });
+
+        it('should put late joiners on a team', () => {
+            beforeEach();
+            startTeamGame();
+            game.submitRound([0, 5, 10, 20]);
+
+            assert.throws(() => game.addPlayer('Eve'), Error, 'A team must be chosen');
+            game.addPlayer('Eve', { team: 1 });
+            assert.deepEqual(game.teams[1].members, [1, 3, 4]);
+
+            game.undo();
+            assert.deepEqual(game.teams[1].members, [1, 3]);
+        });
+
+        it('should keep at least two teams in the game', () => {
+            beforeEach();
+            startTeamGame();
+            game.removePlayer(0);
+            assert.throws(() => game.removePlayer(2), Error);
+        });
+
+        it('should round-trip teams through reload, export and import', () => {
+            beforeEach();
+            startTeamGame();
+
+            const restored = new Game();
+            restored.loadState();
+            assert.deepEqual(restored.teams, game.teams);
+
+            const imported = new Game();
+            imported.importFromJSON(game.exportToJSON());
+            assert.deepEqual(imported.teams, game.teams);
+        });
+    });
+
+    describe('handicaps and adjustments', () => {
+        it('should start everyone at 0 without handicaps', () => {
+            beforeEach();
+            game.startNewGame(['Alice', 'Bob']);
+            assert.deepEqual(game.handicaps, [0, 0]);
+        });
+
+        it('should add handicaps to totals but not to scores', () => {
+            beforeEach();
+            game.startNewGame(['Alice', 'Bob'], 'standard', { handicaps: [0, -10] });
+            game.submitRound([0, 15]);
+
+            assert.equal(game.getScore(1, 1), 15, 'Card points stay as entered');
+            assert.equal(game.getCardTotal(1), 15);
+            assert.equal(game.getAdjustmentTotal(1), -10);
+            assert.equal(game.getPlayerTotal(1), 5);
+        });
+
+        it('should reject handicaps that do not fit the players', () => {
+            beforeEach();
+            assert.throws(() => game.startNewGame(['Alice', 'Bob'], 'standard', { handicaps: [5] }), Error);
+            assert.throws(() => game.startNewGame(['Alice', 'Bob'], 'standard', { handicaps: [5, 2.5] }), Error);
+        });
+
+        it('should attach an adjustment and its reason to a round', () => {
+            beforeEach();
+            game.startNewGame(['Alice', 'Bob']);
+            game.submitRound([0, 15]);
+            const adjustment = game.addAdjustment(0, 10, 'Misdeal', 1);
+
+            assert.equal(adjustment.round, 1);
+            assert.equal(adjustment.reason, 'Misdeal');
+            assert.equal(game.getScore(0, 1), 0);
+            assert.equal(game.getPlayerTotal(0), 10);
+        });
+
+        it('should default adjustments to the round being played', () => {
+            beforeEach();
+            game.startNewGame(['Alice', 'Bob']);
+            game.submitRound([0, 15]);
+            assert.equal(game.addAdjustment(1, -5, 'Bonus').round, 2);
+        });
+
+        it('should reject bad adjustments', () => {
+            beforeEach();
+            game.startNewGame(['Alice', 'Bob']);
+            assert.throws(() => game.addAdjustment(0, 0, 'Misdeal'), Error, 'Zero points');
+            assert.throws(() => game.addAdjustment(0, 5, '  '), Error, 'No reason');
+            assert.throws(() => game.addAdjustment(5, 5, 'Misdeal'), Error, 'Unknown player');
+            assert.throws(() => game.addAdjustment(0, 5, 'Misdeal', 3), Error, 'Future round');
+        });
+
+        it('should undo and remove adjustments', () => {
+            beforeEach();
+            game.startNewGame(['Alice', 'Bob']);
+            game.addAdjustment(0, 10, 'Reneging');
+            game.addAdjustment(1, 5, 'Misdeal');
+
+            game.undo();
+            assert.lengthOf(game.adjustments, 1);
+
+            game.removeAdjustment(0);
+            assert.equal(game.getPlayerTotal(0), 0);
+
+            game.undo();
+            assert.equal(game.adjustments[0].reason, 'Reneging');
+        });
+
+        it('should count adjustments when picking winners', () => {
+            beforeEach();
+            game.startNewGame(['Alice', 'Bob'], 'short', { handicaps: [0, -20] });
+            for (let round = 0; round < 5; round++) {
+                game.submitRound([0, 3]);
+            }
+
+            assert.equal(game.getWinners()[0].name, 'Bob');
+        });
+
+        it('should round-trip through reload, export and import', () => {
+            beforeEach();
+            game.startNewGame(['Alice', 'Bob'], 'standard', { handicaps: [5, 0] });
+            game.addAdjustment(1, 10, 'Misdeal');
+
+            const restored = new Game();
+            restored.loadState();
+            assert.deepEqual(restored.handicaps, [5, 0]);
+            assert.equal(restored.getPlayerTotal(1), 10);
+
+            const imported = new Game();
+            imported.importFromJSON(game.exportToJSON());
+            assert.equal(imported.adjustments[0].reason, 'Misdeal');
+            assert.equal(imported.getPlayerTotal(0), 5);
+        });
+
+        it('should give late joiners no handicap', () => {
+            beforeEach();
+            game.startNewGame(['Alice', 'Bob'], 'standard', { handicaps: [5, 0] });
+            game.submitRound([0, 10]);
+            game.addPlayer('Charlie');
+
+            assert.deepEqual(game.handicaps, [5, 0, 0]);
+        });
+    });
+
+    describe('player roster', () => {
+        let roster;
+
+        const rosterGame = () => {
+            localStorage.clear();
+            roster = new Roster();
+            game = new Game(roster);
+        };
+
+        it('should leave players without IDs when there is no roster', () => {
+            beforeEach();
+            game.addPlayer('Alice');
+            assert.deepEqual(game.playerIds, [null]);
+        });
+
+        it('should create profiles for new names and reuse known ones', () => {
+            rosterGame();
+            const bob = roster.add('Bob');
+            game.addPlayer('Alice');
+            game.addPlayer('bob');
+
+            assert.deepEqual(game.players, ['Alice', 'Bob'], 'Known names take the profile\'s spelling');
+            assert.equal(game.playerIds[1], bob.id);
+            assert.equal(roster.findByName('Alice').id, game.playerIds[0]);
+        });
+
+        it('should add a player picked from the roster', () => {
+            rosterGame();
+            const dana = roster.add('Dana');
+            game.addPlayer('', { playerId: dana.id });
+
+            assert.deepEqual(game.players, ['Dana']);
+            assert.throws(() => game.addPlayer('', { playerId: dana.id }), Error);
+            assert.throws(() => game.addPlayer('', { playerId: 'missing' }), Error);
+        });
+
+        it('should keep IDs in step through removal, undo and late joins', () => {
+            rosterGame();
+            game.addPlayer('Alice');
+            game.addPlayer('Bob');
+            game.addPlayer('Charlie');
+            const ids = [...game.playerIds];
+
+            game.removePlayer(1);
+            assert.deepEqual(game.playerIds, [ids[0], ids[2]]);
+            game.undo();
+            assert.deepEqual(game.playerIds, ids);
+
+            game.startNewGame(game.players);
+            assert.deepEqual(game.playerIds, ids, 'Starting keeps the lineup\'s profiles');
+
+            game.submitRound([0, 10, 20]);
+            game.addPlayer('Dana');
+            assert.lengthOf(game.playerIds, 4);
+            assert.equal(game.playerIds[3], roster.findByName('Dana').id);
+        });
+
+        it('should survive reload and export', () => {
+            rosterGame();
+            game.startNewGame(['Alice', 'Bob']);
+            const ids = [...game.playerIds];
+
+            const restored = new Game(roster);
+            restored.loadState();
+            assert.deepEqual(restored.playerIds, ids);
+            assert.deepEqual(game.exportState().playerIds, ids);
+        });
+
+        it('should match imported players to local profiles by name', () => {
+            rosterGame();
+            const alice = roster.add('Alice');
+            const other = new Game();
+            other.startNewGame(['Alice', 'Bob']);
+            game.importFromJSON(other.exportToJSON());
+
+            assert.equal(game.playerIds[0], alice.id);
+            assert.equal(game.playerIds[1], roster.findByName('Bob').id);
+        });
+    });
+
+    describe('saved games', () => {
+        it('should give each game an ID and an optional name', () => {
+            beforeEach();
+            game.startNewGame(['Alice', 'Bob'], undefined, { name: '  Friday night ' });
+
+            assert.ok(game.gameId, 'Game should have an ID');
+            assert.equal(game.name, 'Friday night');
+            assert.equal(game.getSaveSummary().name, 'Friday night');
+        });
+
+        it('should name unnamed games after their players', () => {
+            beforeEach();
+            game.startNewGame(['Alice', 'Bob']);
+            game.submitRound([0, 10], 0);
+
+            const summary = game.getSaveSummary();
+            assert.equal(summary.name, 'Alice, Bob');
+            assert.equal(summary.currentRound, 2);
+            assert.isNotNull(summary.updated);
+        });
+
+        it('should pause a game into the saved games and clear the board', () => {
+            beforeEach();
+            game.startNewGame(['Alice', 'Bob']);
+            const id = game.gameId;
+            game.pause();
+
+            assert.deepEqual(game.players, [], 'Board should be clear');
+            assert.deepEqual(Storage.listSaves().map(save => save.id), [id]);
+            assert.throws(() => game.pause(), Error, 'Nothing left to pause');
+        });
+
+        it('should resume any paused game where it was left', () => {
+            beforeEach();
+            game.startNewGame(['Alice', 'Bob']);
+            game.submitRound([0, 10], 0);
+            const first = game.gameId;
+            game.pause();
+
+            game.startNewGame(['Charlie', 'Dana', 'Eve']);
+            game.pause();
+
+            game.resume(first);
+            assert.deepEqual(game.players, ['Alice', 'Bob']);
+            assert.equal(game.currentRound, 2);
+            assert.ok(game.canUndo(), 'Undo history should come back too');
+            assert.lengthOf(Storage.listSaves(), 1);
+
+            const reloaded = new Game();
+            assert.ok(reloaded.loadState(), 'Resumed game should be the active save');
+            assert.equal(reloaded.gameId, first);
+        });
+
+        it('should keep the game open if it cannot be saved aside', () => {
+            beforeEach();
+            game.startNewGame(['Alice', 'Bob']);
+            const setItem = localStorage.setItem;
+            localStorage.setItem = () => {
+                throw new Error('Storage is full');
+            };
+
+            try {
+                assert.throws(() => game.pause(), Error);
+            } finally {
+                localStorage.setItem = setItem;
+                Persistence.detach();
+            }
+            assert.deepEqual(game.players, ['Alice', 'Bob'], 'Game should still be on the board');
+        });
+
+        it('should leave another tab\'s saved game alone during setup', () => {
+            beforeEach();
+            const other = new Game();
+            other.startNewGame(['Alice', 'Bob']);
+
+            game.addPlayer('Charlie');
+            assert.ok(Storage.hasSavedGame(), 'Setup should not clear storage');
+        });
+
+        it('should reject unknown saved games', () => {
+            beforeEach();
+            assert.throws(() => game.resume('g-unknown'), Error);
+        });
+    });
+
+    describe('recovering games', () => {
+        it('should restore a finished game cleared for a new one', () => {
+            beforeEach();
+            game.startNewGame(['Alice', 'Bob']);
+            game.submitRound([0, 10], 0);
+            const id = game.gameId;
+            game.reset();
+
+            const [snapshot] = Storage.listSnapshots();
+            game.recover(snapshot.id);
+            assert.equal(game.gameId, id);
+            assert.equal(game.currentRound, 2);
+            assert.equal(game.getScore(1, 1), 10);
+            assert.ok(Storage.hasSavedGame(), 'Recovered game should be the active save');
+        });
+
+        it('should reject unknown snapshots', () => {
+            beforeEach();
+            assert.throws(() => game.recover(-1), Error);
+        });
     });
 });
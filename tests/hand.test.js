@@ -0,0 +1,78 @@
+/**
+ * hand.test.js
+ * Tests for hand-value card counting
+ */
+
+import { describe, it, assert } from './test-framework.js';
+import { cardValue, handValue, maxHandValue, maxNaturalHandValue, JOKER, WILD_VALUE, JOKER_VALUE } from '../js/hand.js';
+
+describe('Hand Module', () => {
+    describe('cardValue()', () => {
+        it('should score number cards at face value', () => {
+            assert.equal(cardValue('3', 'K'), 3);
+            assert.equal(cardValue('10', 'K'), 10);
+        });
+
+        it('should score face cards as 11, 12 and 13', () => {
+            assert.equal(cardValue('J', '3'), 11);
+            assert.equal(cardValue('Q', '3'), 12);
+            assert.equal(cardValue('K', '3'), 13);
+        });
+
+        it('should score the round wild rank as 20', () => {
+            assert.equal(cardValue('7', '7'), WILD_VALUE);
+            assert.equal(cardValue('K', 'K'), WILD_VALUE);
+        });
+
+        it('should score Jokers as 50', () => {
+            assert.equal(cardValue(JOKER, '3'), JOKER_VALUE);
+        });
+
+        it('should throw for unknown ranks', () => {
+            assert.throws(() => cardValue('A', '3'), Error);
+            assert.throws(() => cardValue('2', '3'), Error);
+        });
+    });
+
+    describe('handValue()', () => {
+        it('should total an empty hand as 0', () => {
+            assert.equal(handValue([], '3'), 0);
+        });
+
+        it('should sum mixed cards with the round wild applied', () => {
+            // Round 5: sevens wild
+            assert.equal(handValue(['3', '7', 'K', JOKER], '7'), 3 + 20 + 13 + 50);
+        });
+
+        it('should treat the same card differently in another round', () => {
+            assert.equal(handValue(['7', '7'], '8'), 14);
+            assert.equal(handValue(['7', '7'], '7'), 40);
+        });
+    });
+
+    describe('maxNaturalHandValue()', () => {
+        it('should fill the hand with the highest non-wild ranks', () => {
+            assert.equal(maxNaturalHandValue(3, '3'), 39, 'Three Kings');
+            assert.equal(maxNaturalHandValue(3, 'K'), 36, 'Three Queens when Kings are wild');
+        });
+
+        it('should run out of copies of a rank', () => {
+            // Ten Kings, then Queens
+            assert.equal(maxNaturalHandValue(12, '3'), 10 * 13 + 2 * 12);
+        });
+    });
+
+    describe('maxHandValue()', () => {
+        it('should count Jokers first', () => {
+            assert.equal(maxHandValue(3, '3'), 150);
+        });
+
+        it('should count wilds after the six Jokers', () => {
+            assert.equal(maxHandValue(8, '8'), 6 * 50 + 2 * 20);
+        });
+
+        it('should count naturals after Jokers and wilds', () => {
+            assert.equal(maxHandValue(17, '3'), 6 * 50 + 10 * 20 + 13);
+        });
+    });
+});
@@ -0,0 +1,101 @@
+/**
+ * lineup.test.js
+ * Tests for late joiners, withdrawals and catch-up rules
+ */
+
+import { describe, it, assert } from './test-framework.js';
+import { CATCH_UP_RULES, DEFAULT_CATCH_UP, catchUpScores, isActiveInRound, isWithdrawn, leftRoundScores } from '../js/lineup.js';
+
+describe('Lineup Module', () => {
+    // Three rounds played, two to go
+    const gameState = (extra = {}) => ({
+        players: ['Alice', 'Bob', 'Charlie'],
+        scores: [
+            [0, 10, 4, null, null],
+            [9, 0, 20, null, null],
+            [12, 6, 0, null, null]
+        ],
+        ...extra
+    });
+
+    describe('CATCH_UP_RULES', () => {
+        it('should include the default rule', () => {
+            assert.ok(CATCH_UP_RULES[DEFAULT_CATCH_UP], 'Default rule should exist');
+        });
+    });
+
+    describe('isActiveInRound()', () => {
+        it('should treat everyone as active without lineup data', () => {
+            assert.ok(isActiveInRound(gameState(), 0, 1));
+            assert.ok(isActiveInRound(gameState(), 2, 5));
+        });
+
+        it('should start late joiners at their join round', () => {
+            const state = gameState({ joinedRound: [1, 1, 3] });
+            assert.notOk(isActiveInRound(state, 2, 2));
+            assert.ok(isActiveInRound(state, 2, 3));
+        });
+
+        it('should stop withdrawn players at the round they left', () => {
+            const state = gameState({ withdrawnRound: [null, 3, null] });
+            assert.ok(isActiveInRound(state, 1, 2));
+            assert.notOk(isActiveInRound(state, 1, 3));
+            assert.ok(isWithdrawn(state, 1));
+            assert.notOk(isWithdrawn(state, 0));
+        });
+    });
+
+    describe('catchUpScores()', () => {
+        it('should copy the leader\'s rounds for highest-total', () => {
+            // Bob leads on 29
+            const scores = catchUpScores(gameState(), 'highest-total', 4);
+            assert.deepEqual(scores, [9, 0, 20, null, null]);
+        });
+
+        it('should ignore withdrawn players for highest-total', () => {
+            const state = gameState({ withdrawnRound: [null, 3, null] });
+            // Bob left; Charlie leads the rest on 18
+            const scores = catchUpScores(state, 'highest-total', 4);
+            assert.deepEqual(scores, [12, 6, 0, null, null]);
+        });
+
+        it('should average each missed round for round-average', () => {
+            const scores = catchUpScores(gameState(), 'round-average', 4);
+            assert.deepEqual(scores, [7, 5, 8, null, null]);
+        });
+
+        it('should only average players who played the round', () => {
+            const state = gameState({ withdrawnRound: [null, 3, null] });
+            state.scores[1][2] = null;
+            const scores = catchUpScores(state, 'round-average', 4);
+            assert.equal(scores[2], 2, 'Round 3 should average Alice and Charlie only');
+        });
+
+        it('should give nothing when joining before round 2', () => {
+            const scores = catchUpScores(gameState(), 'highest-total', 1);
+            assert.deepEqual(scores, [null, null, null, null, null]);
+        });
+
+        it('should throw for unknown rules', () => {
+            assert.throws(() => catchUpScores(gameState(), 'bogus', 2), Error);
+        });
+    });
+
+    describe('leftRoundScores()', () => {
+        it('should charge the average of each played round after leaving', () => {
+            const state = gameState({ withdrawnRound: [null, 3, null] });
+            state.scores[1][2] = null;
+            assert.deepEqual(leftRoundScores(state, 1), [null, null, 2, null, null]);
+        });
+
+        it('should charge nothing for a round nobody has played', () => {
+            const state = gameState({ withdrawnRound: [null, 2, null] });
+            state.scores = state.scores.map(row => [row[0], null, null, null, null]);
+            assert.deepEqual(leftRoundScores(state, 1), [null, null, null, null, null]);
+        });
+
+        it('should charge nothing to players still in the game', () => {
+            assert.deepEqual(leftRoundScores(gameState(), 0), [null, null, null, null, null]);
+        });
+    });
+});
@@ -0,0 +1,220 @@
+/**
+ * match.test.js
+ * Tests for best-of-N matches
+ */
+
+import { describe, it, assert } from './test-framework.js';
+import { Match, MATCH_SCORING, DEFAULT_MATCH_SCORING } from '../js/match.js';
+import { Game } from '../js/game.js';
+
+describe('Match Class', () => {
+    let match;
+    let game;
+
+    const beforeEach = () => {
+        localStorage.clear();
+        match = new Match();
+        game = new Game();
+    };
+
+    // Play out the current short game; `winner` goes out every round, everyone else scores 5
+    const playGame = (winner) => {
+        while (!game.isGameComplete()) {
+            game.submitRound(game.players.map((_, index) => index === winner ? 0 : 5), winner);
+        }
+        match.recordGame(game.exportState(), Date.now() + match.games.length);
+    };
+
+    const startMatch = (options = {}) => {
+        match.start(['Alice', 'Bob', 'Charlie'], {
+            bestOf: 3,
+            gameOptions: { variant: 'short', firstDealer: 0 },
+            ...options
+        });
+        match.startNextGame(game);
+    };
+
+    describe('MATCH_SCORING', () => {
+        it('should include the default rule', () => {
+            assert.ok(MATCH_SCORING[DEFAULT_MATCH_SCORING], 'Default rule should exist');
+        });
+    });
+
+    describe('start()', () => {
+        it('should start inactive until a match begins', () => {
+            beforeEach();
+            assert.notOk(match.isActive());
+            assert.notOk(match.isComplete());
+        });
+
+        it('should reject bad match settings', () => {
+            beforeEach();
+            assert.throws(() => match.start(['Alice'], { bestOf: 3 }), Error);
+            assert.throws(() => match.start(['Alice', 'Bob'], { bestOf: 0 }), Error);
+            assert.throws(() => match.start(['Alice', 'Bob'], { bestOf: 3, scoring: 'bogus' }), Error);
+        });
+
+        it('should start the first game with the match settings', () => {
+            beforeEach();
+            startMatch();
+            assert.ok(match.isActive());
+            assert.deepEqual(game.players, ['Alice', 'Bob', 'Charlie']);
+            assert.equal(game.variant.id, 'short');
+            assert.equal(game.firstDealer, 0);
+        });
+    });
+
+    describe('startNextGame()', () => {
+        it('should rotate the first dealer each game', () => {
+            beforeEach();
+            startMatch();
+            playGame(1);
+            match.startNextGame(game);
+
+            assert.equal(game.firstDealer, 1);
+            assert.equal(game.currentRound, 1, 'Next game should start fresh');
+        });
+
+        it('should keep rotating from a random first draw', () => {
+            beforeEach();
+            startMatch({ gameOptions: { variant: 'short', firstDealer: 'random' } });
+            const drawn = game.firstDealer;
+            playGame(0);
+            match.startNextGame(game);
+
+            assert.equal(game.firstDealer, (drawn + 1) % 3);
+        });
+
+        it('should refuse once the match is over', () => {
+            beforeEach();
+            startMatch();
+            playGame(0);
+            match.startNextGame(game);
+            playGame(0);
+
+            assert.throws(() => match.startNextGame(game), Error);
+        });
+    });
+
+    describe('games-won scoring', () => {
+        it('should end as soon as a side cannot be caught', () => {
+            beforeEach();
+            startMatch();
+            playGame(0);
+            assert.notOk(match.isComplete());
+
+            match.startNextGame(game);
+            playGame(0);
+            assert.ok(match.isComplete(), 'Two wins decide a best of 3');
+            assert.equal(match.getWinners()[0].name, 'Alice');
+        });
+
+        it('should rank sides on games won', () => {
+            beforeEach();
+            startMatch();
+            playGame(1);
+            match.startNextGame(game);
+            playGame(0);
+
+            const standings = match.getStandings();
+            assert.equal(standings[0].gamesWon, 1);
+            assert.equal(standings[2].name, 'Charlie');
+            assert.isNull(match.getWinners(), 'Match is not over yet');
+        });
+    });
+
+    describe('cumulative scoring', () => {
+        it('should play every game and pick the lowest combined total', () => {
+            beforeEach();
+            startMatch({ scoring: 'cumulative' });
+            playGame(1);
+            match.startNextGame(game);
+            playGame(1);
+            assert.notOk(match.isComplete(), 'Cumulative matches play all games');
+
+            match.startNextGame(game);
+            playGame(2);
+            assert.ok(match.isComplete());
+
+            const winners = match.getWinners();
+            assert.lengthOf(winners, 1);
+            assert.equal(winners[0].name, 'Bob');
+            assert.equal(winners[0].total, 25);
+        });
+    });
+
+    describe('team matches', () => {
+        it('should score teams as the match sides', () => {
+            beforeEach();
+            match.start(['Alice', 'Bob', 'Charlie', 'Dana'], {
+                bestOf: 3,
+                gameOptions: {
+                    variant: 'short',
+                    firstDealer: 0,
+                    teams: [
+                        { name: 'Reds', members: [0, 2] },
+                        { name: 'Blues', members: [1, 3] }
+                    ]
+                }
+            });
+            match.startNextGame(game);
+            playGame(1);
+
+            const standings = match.getStandings();
+            assert.equal(standings[0].name, 'Blues');
+            assert.deepEqual(standings[0].members, ['Bob', 'Dana']);
+        });
+    });
+
+    describe('updateGame()', () => {
+        it('should refresh a corrected game', () => {
+            beforeEach();
+            startMatch();
+            playGame(0);
+            const historyId = match.games[0].historyId;
+
+            game.editScore(1, 5, 30);
+            assert.ok(match.updateGame(historyId, game.exportState()));
+            assert.equal(match.getStandings().find(entry => entry.name === 'Bob').total, 50);
+            assert.notOk(match.updateGame(-1, game.exportState()), 'Unknown games are ignored');
+        });
+    });
+
+    describe('toRecord()', () => {
+        it('should list the games and winners', () => {
+            beforeEach();
+            startMatch();
+            playGame(2);
+            match.startNextGame(game);
+            playGame(2);
+
+            const record = match.toRecord();
+            assert.lengthOf(record.games, 2);
+            assert.deepEqual(record.winners, [{ name: 'Charlie', members: ['Charlie'] }]);
+        });
+    });
+
+    describe('saveState() / loadState()', () => {
+        it('should survive a reload', () => {
+            beforeEach();
+            startMatch({ scoring: 'cumulative' });
+            playGame(1);
+
+            const restored = new Match();
+            assert.ok(restored.loadState());
+            assert.equal(restored.bestOf, 3);
+            assert.equal(restored.scoring, 'cumulative');
+            assert.lengthOf(restored.games, 1);
+            assert.equal(restored.getNextFirstDealer(), 1);
+        });
+
+        it('should forget the match on reset', () => {
+            beforeEach();
+            startMatch();
+            match.reset();
+
+            assert.notOk(match.isActive());
+            assert.notOk(new Match().loadState());
+        });
+    });
+});
@@ -0,0 +1,313 @@
+/**
+ * persistence.test.js
+ * Tests for storage adapters and the cached store in front of them
+ */
+
+import { describe, it, assert } from './test-framework.js';
+import { MemoryAdapter, LocalStorageAdapter, IndexedDBAdapter } from '../js/adapters.js';
+import { Persistence, LEGACY_IMPORTED_KEY, isQuotaError, describeWriteError } from '../js/persistence.js';
+import { Storage } from '../js/storage.js';
+import { Statistics } from '../js/statistics.js';
+import { Game } from '../js/game.js';
+
+describe('Persistence Module', () => {
+    const beforeEach = () => {
+        Persistence.detach();
+        localStorage.clear();
+    };
+
+    // Exercise an adapter through its whole interface
+    const checkAdapter = async (adapter) => {
+        assert.isNull(await adapter.get('fiveCrownsTest'));
+
+        await adapter.set('fiveCrownsTest', 'one');
+        await adapter.set('fiveCrownsTest', 'two');
+        assert.equal(await adapter.get('fiveCrownsTest'), 'two');
+        assert.includes(await adapter.keys(), 'fiveCrownsTest');
+
+        await adapter.remove('fiveCrownsTest');
+        assert.isNull(await adapter.get('fiveCrownsTest'));
+    };
+
+    describe('adapters', () => {
+        it('should store values in memory', async () => {
+            await checkAdapter(new MemoryAdapter());
+        });
+
+        it('should store values in localStorage', async () => {
+            beforeEach();
+            await checkAdapter(new LocalStorageAdapter());
+        });
+
+        it('should store values in IndexedDB where the browser has it', async () => {
+            if (typeof indexedDB === 'undefined') {
+                return;
+            }
+
+            const adapter = await new IndexedDBAdapter('fiveCrownsTest').open();
+            await checkAdapter(adapter);
+            adapter.db.close();
+            indexedDB.deleteDatabase('fiveCrownsTest');
+        });
+    });
+
+    describe('before init()', () => {
+        it('should read and write localStorage directly', () => {
+            beforeEach();
+            Persistence.setItem('fiveCrownsTest', 'value');
+            assert.equal(localStorage.getItem('fiveCrownsTest'), 'value');
+        });
+    });
+
+    describe('with an adapter', () => {
+        it('should answer reads from what the adapter held', async () => {
+            beforeEach();
+            const adapter = new MemoryAdapter();
+            await adapter.set('fiveCrownsTest', 'stored');
+
+            await Persistence.init(adapter);
+            assert.equal(Persistence.getItem('fiveCrownsTest'), 'stored');
+            assert.isNull(Persistence.getItem('fiveCrownsMissing'));
+            Persistence.detach();
+        });
+
+        it('should see writes at once and reach the adapter in order', async () => {
+            beforeEach();
+            const adapter = new MemoryAdapter();
+            await Persistence.init(adapter);
+
+            Persistence.setItem('fiveCrownsTest', 'one');
+            Persistence.setItem('fiveCrownsTest', 'two');
+            Persistence.setItem('fiveCrownsGone', 'x');
+            Persistence.removeItem('fiveCrownsGone');
+            assert.equal(Persistence.getItem('fiveCrownsTest'), 'two', 'Reads see writes immediately');
+
+            await Persistence.flush();
+            assert.equal(await adapter.get('fiveCrownsTest'), 'two');
+            assert.isNull(await adapter.get('fiveCrownsGone'));
+            assert.isNull(localStorage.getItem('fiveCrownsTest'), 'localStorage is not touched');
+            Persistence.detach();
+        });
+
+        it('should keep going after a failed write', async () => {
+            beforeEach();
+            const adapter = new MemoryAdapter();
+            await Persistence.init(adapter);
+            const set = adapter.set.bind(adapter);
+            adapter.set = async (key, value) => {
+                if (key === 'fiveCrownsBad') {
+                    throw new Error('Disk full');
+                }
+                return set(key, value);
+            };
+
+            Persistence.setItem('fiveCrownsBad', 'x');
+            Persistence.setItem('fiveCrownsGood', 'y');
+            await Persistence.flush();
+            assert.equal(await adapter.get('fiveCrownsGood'), 'y');
+            Persistence.detach();
+        });
+
+        it('should back Storage and Statistics', async () => {
+            beforeEach();
+            const adapter = new MemoryAdapter();
+            await Persistence.init(adapter);
+
+            Storage.save({ players: ['Alice'], events: [{ seq: 1, type: 'GameStarted' }] });
+            assert.ok(Storage.hasSavedGame());
+            assert.deepEqual(new Statistics().history, []);
+
+            await Persistence.flush();
+            assert.isNotNull(await adapter.get('fiveCrownsGame'));
+            Persistence.detach();
+        });
+    });
+
+    describe('moving localStorage data', () => {
+        it('should copy the app\'s keys over once and clear them from localStorage', async () => {
+            beforeEach();
+            localStorage.setItem('fiveCrownsHistory', '[]');
+            localStorage.setItem('theme', 'dark');
+            localStorage.setItem('otherApp', 'x');
+            const adapter = new MemoryAdapter();
+
+            await Persistence.init(adapter, localStorage);
+            assert.equal(Persistence.getItem('fiveCrownsHistory'), '[]');
+            assert.equal(await adapter.get('fiveCrownsHistory'), '[]');
+            assert.isNotNull(await adapter.get(LEGACY_IMPORTED_KEY));
+            assert.isNull(localStorage.getItem('fiveCrownsHistory'));
+            assert.equal(await adapter.get('theme'), 'dark', 'The theme is the app\'s too');
+            assert.equal(localStorage.getItem('otherApp'), 'x', 'Other keys stay put');
+            Persistence.detach();
+        });
+
+        it('should not copy again once moved', async () => {
+            beforeEach();
+            const adapter = new MemoryAdapter();
+            await Persistence.init(adapter, localStorage);
+            Persistence.detach();
+
+            localStorage.setItem('fiveCrownsHistory', '"stale"');
+            await Persistence.init(adapter, localStorage);
+            assert.isNull(Persistence.getItem('fiveCrownsHistory'));
+            Persistence.detach();
+        });
+
+        it('should leave localStorage alone if the copy fails', async () => {
+            beforeEach();
+            localStorage.setItem('fiveCrownsHistory', '[]');
+            const adapter = new MemoryAdapter();
+            adapter.set = async () => {
+                throw new Error('Disk full');
+            };
+
+            await assert.rejects(Persistence.init(adapter, localStorage), Error);
+            assert.equal(localStorage.getItem('fiveCrownsHistory'), '[]');
+            assert.isNull(Persistence.adapter, 'Still on localStorage');
+        });
+    });
+
+    describe('storage problems', () => {
+        const quotaError = () => Object.assign(new Error('The quota has been exceeded.'), { name: 'QuotaExceededError' });
+
+        it('should recognise quota errors', () => {
+            assert.ok(isQuotaError(quotaError()));
+            assert.notOk(isQuotaError(new Error('Other')));
+            assert.includes(describeWriteError(quotaError()), 'Storage is full');
+        });
+
+        it('should report failed writes and clear them once a write succeeds', async () => {
+            beforeEach();
+            const adapter = new MemoryAdapter();
+            await Persistence.init(adapter);
+            const problems = [];
+            Persistence.onProblemChange(problem => problems.push(problem));
+
+            const set = adapter.set.bind(adapter);
+            adapter.set = async () => {
+                throw quotaError();
+            };
+            Persistence.setItem('fiveCrownsGame', 'x');
+            await Persistence.flush();
+            assert.includes(Persistence.getProblem(), 'Storage is full');
+
+            adapter.set = set;
+            Persistence.setItem('fiveCrownsGame', 'y');
+            await Persistence.flush();
+            assert.isNull(Persistence.getProblem());
+            assert.lengthOf(problems, 2);
+            assert.isNull(problems[1]);
+            Persistence.detach();
+        });
+
+        it('should report localStorage refusing a write', () => {
+            beforeEach();
+            const setItem = localStorage.setItem;
+            localStorage.setItem = () => {
+                throw quotaError();
+            };
+
+            try {
+                assert.notOk(Storage.save({ players: ['Alice'] }), 'Save should report failure');
+                assert.includes(Persistence.getProblem(), 'Storage is full');
+            } finally {
+                localStorage.setItem = setItem;
+                Persistence.detach();
+            }
+        });
+
+        it('should pass a health check on working storage', async () => {
+            beforeEach();
+            await Persistence.init(new LocalStorageAdapter());
+
+            assert.isNull(await Persistence.checkHealth());
+            assert.isNull(localStorage.getItem('fiveCrownsProbe'), 'Probe is cleaned up');
+            Persistence.detach();
+        });
+
+        it('should warn when saved data only lasts as long as the page', async () => {
+            beforeEach();
+            await Persistence.init(new MemoryAdapter());
+
+            assert.isNotNull(await Persistence.checkHealth());
+            assert.isNotNull(Persistence.getProblem());
+            Persistence.detach();
+        });
+
+        it('should fail the health check when storage rejects writes', async () => {
+            beforeEach();
+            const adapter = new MemoryAdapter();
+            adapter.set = async () => {
+                throw new Error('Private browsing');
+            };
+            await Persistence.init(adapter);
+
+            assert.includes(await Persistence.checkHealth(), 'Private browsing');
+            Persistence.detach();
+        });
+    });
+
+    describe('other tabs', () => {
+        it('should tell other tabs about writes', async () => {
+            beforeEach();
+            await Persistence.init(new MemoryAdapter());
+            const sent = [];
+            Persistence.channel = { postMessage: message => sent.push(message), close: () => {} };
+
+            Persistence.setItem('fiveCrownsGame', 'x');
+            Persistence.removeItem('fiveCrownsMatch');
+            assert.deepEqual(sent, [
+                { key: 'fiveCrownsGame', value: 'x' },
+                { key: 'fiveCrownsMatch', value: null }
+            ]);
+            Persistence.detach();
+        });
+
+        it('should pick up another tab\'s writes and tell listeners', async () => {
+            beforeEach();
+            await Persistence.init(new MemoryAdapter());
+            const keys = [];
+            Persistence.onRemoteChange(key => keys.push(key));
+
+            Persistence.receive('fiveCrownsGame', 'from another tab');
+            assert.equal(Persistence.getItem('fiveCrownsGame'), 'from another tab');
+            Persistence.receive('fiveCrownsGame', null);
+            assert.isNull(Persistence.getItem('fiveCrownsGame'));
+            assert.deepEqual(keys, ['fiveCrownsGame', 'fiveCrownsGame']);
+            Persistence.detach();
+        });
+
+        it('should let a tab opening mid-game find the game open in another tab', async () => {
+            beforeEach();
+            // The first tab is in the middle of a game
+            const playing = new Game();
+            playing.startNewGame(['Alice', 'Bob']);
+            playing.submitRound([0, 10], 0);
+
+            // A second tab, sharing the same channel
+            const otherTab = { ...Persistence, queryHandlers: new Map(), answers: new Map() };
+            otherTab.onQuery('gameOpen', gameId => playing.isStarted() && playing.gameId === gameId);
+            Persistence.channel = { postMessage: message => otherTab.handleMessage(message), close: () => {} };
+            otherTab.channel = { postMessage: message => Persistence.handleMessage(message) };
+
+            const loading = new Game();
+            assert.ok(loading.loadState());
+            assert.ok(await Persistence.ask('gameOpen', loading.gameId), 'The playing tab should say it has the game');
+            assert.ok(Storage.hasSavedGame(), 'The game should still be in storage');
+            assert.lengthOf(Storage.listSaves(), 0, 'Nothing should be set aside');
+
+            // A tab playing some other game doesn't have this one
+            assert.notOk(await Persistence.ask('gameOpen', 'another-game', 10));
+            Persistence.detach();
+        });
+
+        it('should hear no answer when no other tab has the game', async () => {
+            beforeEach();
+            Persistence.channel = { postMessage: () => {}, close: () => {} };
+
+            assert.notOk(await Persistence.ask('gameOpen', 'g-1', 10));
+            Persistence.detach();
+            assert.notOk(await Persistence.ask('gameOpen'), 'Without a channel nobody can answer');
+        });
+    });
+});
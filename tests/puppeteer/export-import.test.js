@@ -270,6 +270,40 @@ async function testHistoryExportImport(page) {
   return true;
 }
 
+/**
+ * Test: The storage warning's backup button downloads in one click, without the encryption prompt
+ */
+async function testStorageWarningBackup(page) {
+  console.log('Testing storage warning backup download...');
+
+  await page.goto(TEST_URL);
+  await page.waitForSelector('[data-action="download-backup-now"]');
+
+  const result = await page.evaluate(async () => {
+    const ui = window.fiveCrownsApp.ui;
+    let prompts = 0;
+    let downloaded = null;
+    ui.confirm = () => { prompts++; return false; };
+    ui.askPassphrase = async () => { prompts++; return null; };
+    ui.downloadJSON = (data, filename) => { downloaded = filename; };
+
+    document.getElementById('storageWarning').classList.remove('hidden');
+    document.querySelector('[data-action="download-backup-now"]').click();
+    await new Promise(resolve => setTimeout(resolve, 100));
+    return { prompts, downloaded };
+  });
+
+  if (result.prompts !== 0) {
+    throw new Error('The banner backup should not ask about encryption');
+  }
+  if (!result.downloaded || !result.downloaded.startsWith('five-crowns-backup-')) {
+    throw new Error('The banner backup should download straight away');
+  }
+
+  console.log('✓ Storage warning backup test passed');
+  return true;
+}
+
 /**
  * Run all export/import tests
  */
@@ -313,6 +347,14 @@ async function runExportImportTests(browser) {
     results.errors.push({ test: 'testHistoryExportImport', error: error.message });
   }
 
+  try {
+    await testStorageWarningBackup(page);
+    results.passed++;
+  } catch (error) {
+    results.failed++;
+    results.errors.push({ test: 'testStorageWarningBackup', error: error.message });
+  }
+
   await page.close();
   return results;
 }
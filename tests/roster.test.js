@@ -0,0 +1,100 @@
+/**
+ * roster.test.js
+ * Tests for player profiles and history migration
+ */
+
+import { describe, it, assert } from './test-framework.js';
+import { Roster } from '../js/roster.js';
+
+describe('Roster Class', () => {
+    let roster;
+
+    const beforeEach = () => {
+        localStorage.clear();
+        roster = new Roster();
+    };
+
+    describe('add()', () => {
+        it('should create a profile with a stable ID', () => {
+            beforeEach();
+            const profile = roster.add('  Alice ');
+
+            assert.equal(profile.name, 'Alice');
+            assert.ok(profile.id, 'Profile should have an ID');
+            assert.deepEqual(roster.get(profile.id), profile);
+        });
+
+        it('should reject empty and duplicate names, ignoring case', () => {
+            beforeEach();
+            roster.add('Alice');
+
+            assert.throws(() => roster.add('   '), Error);
+            assert.throws(() => roster.add('alice'), Error);
+        });
+
+        it('should give every profile a different ID', () => {
+            beforeEach();
+            const ids = ['Alice', 'Bob', 'Charlie', 'Dana'].map(name => roster.add(name).id);
+            assert.equal(new Set(ids).size, 4);
+        });
+    });
+
+    describe('ensure() / resolve()', () => {
+        it('should reuse an existing profile for the same name', () => {
+            beforeEach();
+            const alice = roster.add('Alice');
+
+            assert.equal(roster.ensure('ALICE').id, alice.id);
+            assert.lengthOf(roster.getAll(), 1);
+        });
+
+        it('should find profiles by ID or name', () => {
+            beforeEach();
+            const bob = roster.add('Bob');
+
+            assert.equal(roster.resolve(bob.id), bob);
+            assert.equal(roster.resolve('bob'), bob);
+            assert.isNull(roster.resolve('Nobody'));
+        });
+    });
+
+    describe('migrateHistory()', () => {
+        it('should map name-only records to profiles', () => {
+            beforeEach();
+            const history = [
+                { players: ['Alice', 'Bob'], scores: [[0], [5]] },
+                { players: ['Bob', 'Charlie'], scores: [[0], [5]] }
+            ];
+
+            assert.ok(roster.migrateHistory(history));
+            assert.lengthOf(roster.getAll(), 3);
+            assert.equal(history[0].playerIds[1], history[1].playerIds[0], 'Bob should get one profile');
+        });
+
+        it('should leave records that already have profiles alone', () => {
+            beforeEach();
+            const alice = roster.add('Alice');
+            const history = [{ players: ['Ally'], playerIds: [alice.id], scores: [[0]] }];
+
+            assert.notOk(roster.migrateHistory(history));
+            assert.equal(history[0].playerIds[0], alice.id, 'A record keeps its profile whatever its name');
+        });
+
+        it('should replace IDs this roster does not know', () => {
+            beforeEach();
+            const history = [{ players: ['Alice'], playerIds: ['elsewhere-1'], scores: [[0]] }];
+
+            assert.ok(roster.migrateHistory(history));
+            assert.equal(roster.get(history[0].playerIds[0]).name, 'Alice');
+        });
+    });
+
+    describe('persistence', () => {
+        it('should keep profiles across reloads', () => {
+            beforeEach();
+            const alice = roster.add('Alice');
+
+            assert.equal(new Roster().get(alice.id).name, 'Alice');
+        });
+    });
+});
@@ -0,0 +1,210 @@
+/**
+ * schema.test.js
+ * Tests for versioned storage and data migrations
+ */
+
+import { describe, it, assert } from './test-framework.js';
+import {
+    MIGRATIONS,
+    UNREADABLE_KEY,
+    currentVersion,
+    migrate,
+    migrateLegacyGame,
+    migrateLegacyHistory,
+    readStored,
+    writeStored,
+    getUnreadable,
+    unwrap
+} from '../js/schema.js';
+import { Game } from '../js/game.js';
+import { Statistics } from '../js/statistics.js';
+
+describe('Schema Module', () => {
+    const beforeEach = () => {
+        localStorage.clear();
+    };
+
+    // The in-memory game state kept by scorer.html
+    const scorerState = () => ({
+        players: ['Alice', 'Bob'],
+        scores: [[0, 10, null, null, null, null, null, null, null, null, null], [15, 0, null, null, null, null, null, null, null, null, null]],
+        currentRound: 3
+    });
+
+    describe('envelopes', () => {
+        it('should write data with the key\'s current version', () => {
+            beforeEach();
+            writeStored('fiveCrownsRoster', []);
+
+            const stored = JSON.parse(localStorage.getItem('fiveCrownsRoster'));
+            assert.equal(stored.version, currentVersion('fiveCrownsRoster'));
+            assert.deepEqual(stored.data, []);
+        });
+
+        it('should treat data without an envelope as version 0', () => {
+            assert.deepEqual(unwrap([1, 2]), { data: [1, 2], version: 0 });
+            assert.deepEqual(unwrap({ version: 1, data: 'x' }), { data: 'x', version: 1 });
+        });
+
+        it('should give every persisted key at least one version', () => {
+            Object.keys(MIGRATIONS).forEach(key => {
+                assert.ok(currentVersion(key) >= 1, `${key} should be versioned`);
+            });
+        });
+    });
+
+    describe('fiveCrownsGame 0 → 1', () => {
+        it('should start an event log for the scorer.html format', () => {
+            const migrated = migrateLegacyGame(scorerState());
+
+            assert.lengthOf(migrated.events, 1);
+            assert.equal(migrated.events[0].type, 'GameRestored');
+            assert.deepEqual(migrated.events[0].state.scores, scorerState().scores);
+            assert.equal(migrated.currentRound, 3);
+        });
+
+        it('should pad short score rows to the legacy 11 rounds', () => {
+            const migrated = migrateLegacyGame({ players: ['Alice', 'Bob'], scores: [[5], []], currentRound: 2 });
+
+            assert.lengthOf(migrated.scores[0], 11);
+            assert.equal(migrated.scores[0][0], 5);
+            assert.isNull(migrated.scores[1][0]);
+        });
+
+        it('should leave games that already have an event log alone', () => {
+            const state = { players: ['Alice'], events: [{ seq: 1, type: 'GameStarted' }] };
+            assert.equal(migrateLegacyGame(state), state);
+        });
+
+        it('should reject data that is not a game', () => {
+            assert.throws(() => migrateLegacyGame('nonsense'), Error);
+            assert.throws(() => migrateLegacyGame({ scores: [] }), Error);
+        });
+
+        it('should let a game pick up a scorer.html save', () => {
+            beforeEach();
+            localStorage.setItem('fiveCrownsGame', JSON.stringify(scorerState()));
+
+            const game = new Game();
+            assert.ok(game.loadState());
+            assert.equal(game.currentRound, 3);
+            assert.equal(game.getScore(1, 1), 15);
+            assert.equal(unwrap(JSON.parse(localStorage.getItem('fiveCrownsGame'))).version, 1, 'Upgraded data is saved back');
+        });
+    });
+
+    describe('fiveCrownsSavedGames 0 → 1', () => {
+        it('should upgrade the game inside each save', () => {
+            const migrated = migrate('fiveCrownsSavedGames', [{ id: 'g-1', name: 'Old', state: scorerState() }], 0);
+            assert.equal(migrated[0].name, 'Old');
+            assert.equal(migrated[0].state.events[0].type, 'GameRestored');
+        });
+    });
+
+    describe('fiveCrownsHistory 0 → 1', () => {
+        it('should turn a single winner into a winners list', () => {
+            const [record] = migrateLegacyHistory([{
+                id: 1,
+                date: '2024-03-01T12:00:00.000Z',
+                players: ['Alice', 'Bob'],
+                scores: [[0], [10]],
+                winner: { name: 'Alice', score: 0, index: 0 }
+            }]);
+
+            assert.deepEqual(record.winners, [{ name: 'Alice', score: 0, index: 0 }]);
+            assert.isUndefined(record.winner);
+            assert.equal(record.timestamp, Date.parse('2024-03-01T12:00:00.000Z'));
+        });
+
+        it('should keep records that already list their winners', () => {
+            const winners = [{ name: 'Bob', score: 0, index: 1 }];
+            const [record] = migrateLegacyHistory([{ players: ['Alice', 'Bob'], winners, timestamp: 5 }]);
+
+            assert.deepEqual(record.winners, winners);
+            assert.equal(record.timestamp, 5);
+        });
+
+        it('should upgrade history when statistics load it', () => {
+            beforeEach();
+            localStorage.setItem('fiveCrownsHistory', JSON.stringify([{
+                id: 1,
+                date: new Date().toISOString(),
+                players: ['Alice', 'Bob'],
+                scores: [[0], [10]],
+                winner: { name: 'Alice', score: 0, index: 0 }
+            }]));
+
+            const stats = new Statistics();
+            assert.equal(stats.getPlayerStats('Alice').wins, 1);
+        });
+    });
+
+    describe('unchanged shapes 0 → 1', () => {
+        it('should adopt matches, tournaments and the roster as they are', () => {
+            assert.deepEqual(migrate('fiveCrownsMatches', [{ id: 1 }], 0), [{ id: 1 }]);
+            assert.deepEqual(migrate('fiveCrownsMatch', { id: 1 }, 0), { id: 1 });
+            assert.deepEqual(migrate('fiveCrownsTournament', { id: 1 }, 0), { id: 1 });
+            assert.deepEqual(migrate('fiveCrownsRoster', [], 0), []);
+        });
+
+        it('should reject data of the wrong shape', () => {
+            assert.throws(() => migrate('fiveCrownsMatch', [], 0), Error);
+            assert.throws(() => migrate('fiveCrownsRoster', {}, 0), Error);
+        });
+    });
+
+    describe('readStored()', () => {
+        it('should return the fallback for missing keys', () => {
+            beforeEach();
+            assert.deepEqual(readStored('fiveCrownsRoster', []), []);
+        });
+
+        it('should keep unreadable JSON instead of discarding it', () => {
+            beforeEach();
+            localStorage.setItem('fiveCrownsHistory', '{not json');
+
+            assert.deepEqual(readStored('fiveCrownsHistory', []), []);
+            const [entry] = getUnreadable();
+            assert.equal(entry.key, 'fiveCrownsHistory');
+            assert.equal(entry.raw, '{not json');
+            assert.equal(localStorage.getItem('fiveCrownsHistory'), '{not json', 'Original is left in place');
+        });
+
+        it('should keep data saved by a newer version', () => {
+            beforeEach();
+            const raw = JSON.stringify({ version: 99, data: [] });
+            localStorage.setItem('fiveCrownsRoster', raw);
+
+            assert.isNull(readStored('fiveCrownsRoster', null));
+            assert.equal(getUnreadable()[0].raw, raw);
+        });
+
+        it('should keep one copy however often the data is read', () => {
+            beforeEach();
+            localStorage.setItem('fiveCrownsMatch', '"oops"');
+            readStored('fiveCrownsMatch', null);
+            readStored('fiveCrownsMatch', null);
+
+            assert.lengthOf(JSON.parse(localStorage.getItem(UNREADABLE_KEY)).data, 1);
+        });
+
+        it('should version the unreadable copies, taking in ones kept before', () => {
+            beforeEach();
+            localStorage.setItem(UNREADABLE_KEY, JSON.stringify([{ key: 'fiveCrownsMatch', raw: 'x', reason: 'old' }]));
+
+            assert.lengthOf(getUnreadable(), 1);
+            assert.equal(JSON.parse(localStorage.getItem(UNREADABLE_KEY)).version, currentVersion(UNREADABLE_KEY));
+        });
+
+        it('should take in the theme saved as a bare word', () => {
+            beforeEach();
+            localStorage.setItem('theme', 'dark');
+
+            assert.equal(readStored('theme', 'light'), 'dark');
+            assert.deepEqual(JSON.parse(localStorage.getItem('theme')), { version: currentVersion('theme'), data: 'dark' });
+
+            localStorage.setItem('theme', 'purple');
+            assert.equal(readStored('theme', 'light'), 'light', 'Unknown themes fall back');
+        });
+    });
+});
@@ -5,6 +5,7 @@
 
 import { describe, it, assert } from './test-framework.js';
 import { Statistics } from '../js/statistics.js';
+import { Roster } from '../js/roster.js';
 
 describe('Statistics Class', () => {
     let stats;
@@ -68,8 +69,9 @@ describe('Statistics Class', () => {
 
             const record = stats.saveGame(gameState);
 
-            assert.equal(record.winner.name, 'Bob', 'Winner should be Bob');
-            assert.ok(record.winner.score, 'Winner should have score');
+            assert.lengthOf(record.winners, 1, 'Should have one winner');
+            assert.equal(record.winners[0].name, 'Bob', 'Winner should be Bob');
+            assert.ok(record.winners[0].score, 'Winner should have score');
         });
 
         it('should limit history to 50 games', () => {
@@ -180,6 +182,170 @@ describe('Statistics Class', () => {
         });
     });
 
+    describe('shared wins', () => {
+        it('should record every co-winner', () => {
+            beforeEach();
+            stats.clearHistory();
+
+            const record = stats.saveGame({
+                players: ['Alice', 'Bob', 'Charlie'],
+                scores: [[0, 10], [10, 0], [5, 20]],
+                currentRound: 3
+            });
+
+            assert.deepEqual(record.winners.map(w => w.name), ['Alice', 'Bob']);
+        });
+
+        it('should count a shared win for each co-winner', () => {
+            beforeEach();
+            stats.clearHistory();
+
+            stats.saveGame({
+                players: ['Alice', 'Bob'],
+                scores: [[0, 10], [10, 0]],
+                currentRound: 3
+            });
+
+            const aliceStats = stats.getPlayerStats('Alice');
+            const bobStats = stats.getPlayerStats('Bob');
+
+            assert.equal(aliceStats.wins, 1);
+            assert.equal(aliceStats.sharedWins, 1);
+            assert.equal(bobStats.wins, 1);
+            assert.equal(bobStats.losses, 0);
+        });
+
+        it('should apply the game tie-breaker', () => {
+            beforeEach();
+            stats.clearHistory();
+
+            const record = stats.saveGame({
+                players: ['Alice', 'Bob'],
+                scores: [[0, 10], [10, 0]],
+                currentRound: 3,
+                tieBreaker: 'lowest-final-round'
+            });
+
+            assert.deepEqual(record.winners.map(w => w.name), ['Bob']);
+        });
+
+        it('should read old records with a single winner object', () => {
+            beforeEach();
+            stats.clearHistory();
+
+            stats.history.push({
+                id: 1,
+                players: ['Alice', 'Bob'],
+                scores: [[0, 5], [5, 10]],
+                winner: { name: 'Alice', score: 5, index: 0 }
+            });
+
+            assert.deepEqual(stats.getRecordWinners(stats.history[0]).map(w => w.name), ['Alice']);
+            assert.equal(stats.getPlayerStats('Alice').wins, 1);
+            assert.equal(stats.getPlayerStats('Alice').sharedWins, 0);
+            assert.equal(stats.getPlayerStats('Bob').wins, 0);
+        });
+
+        it('should import records with a winners list', () => {
+            beforeEach();
+            stats.clearHistory();
+
+            const result = stats.importHistory(JSON.stringify([{
+                id: 42,
+                timestamp: 42,
+                players: ['Alice', 'Bob'],
+                scores: [[0, 10], [10, 0]],
+                winners: [{ name: 'Alice', score: 10, index: 0 }, { name: 'Bob', score: 10, index: 1 }]
+            }]));
+
+            assert.ok(result, 'Import should succeed');
+            assert.equal(stats.getPlayerStats('Bob').wins, 1);
+        });
+    });
+
+    describe('updateGame()', () => {
+        it('should recompute a saved game after a correction', () => {
+            beforeEach();
+            stats.clearHistory();
+
+            const gameState = {
+                players: ['Alice', 'Bob'],
+                scores: [[0, 5], [5, 10]],
+                currentRound: 3
+            };
+            const record = stats.saveGame(gameState);
+            assert.equal(record.winners[0].name, 'Alice');
+
+            const updated = stats.updateGame(record.id, {
+                ...gameState,
+                scores: [[0, 50], [5, 10]],
+                edits: [{ player: 'Alice', round: 2, oldScore: 5, newScore: 50 }]
+            });
+
+            assert.equal(updated.winners[0].name, 'Bob', 'Winner should follow the correction');
+            assert.lengthOf(updated.edits, 1);
+            assert.equal(stats.getPlayerStats('Bob').wins, 1);
+        });
+
+        it('should keep the game\'s event log', () => {
+            beforeEach();
+            stats.clearHistory();
+
+            const gameState = {
+                players: ['Alice', 'Bob'],
+                scores: [[0], [5]],
+                events: [{ seq: 1, type: 'GameStarted' }]
+            };
+            const record = stats.saveGame(gameState);
+            assert.lengthOf(record.events, 1);
+
+            const updated = stats.updateGame(record.id, {
+                ...gameState,
+                events: [...gameState.events, { seq: 2, type: 'ScoreCorrected' }]
+            });
+            assert.lengthOf(updated.events, 2);
+        });
+
+        it('should return null for unknown games', () => {
+            beforeEach();
+            assert.isNull(stats.updateGame(-1, { players: [], scores: [] }));
+        });
+    });
+
+    describe('going out statistics', () => {
+        it('should count times went out and go-out rate', () => {
+            beforeEach();
+            stats.clearHistory();
+
+            const gameState = createMockGameState(['Alice', 'Bob']);
+            gameState.wentOut = [0, 0, 1, null, 0, 1, 1, 0, 0, 1, 0];
+            stats.saveGame(gameState);
+
+            const aliceStats = stats.getPlayerStats('Alice');
+            const bobStats = stats.getPlayerStats('Bob');
+
+            assert.equal(aliceStats.timesWentOut, 6);
+            assert.equal(bobStats.timesWentOut, 4);
+            assert.equal(aliceStats.goOutRate, 54.5, 'Alice went out in 6 of 11 rounds');
+        });
+
+        it('should treat records without going-out data as zero', () => {
+            beforeEach();
+            stats.clearHistory();
+
+            stats.history.push({
+                id: 1,
+                players: ['Alice', 'Bob'],
+                scores: [[0, 5], [5, 0]],
+                winner: { name: 'Alice', score: 5, index: 0 }
+            });
+
+            const aliceStats = stats.getPlayerStats('Alice');
+            assert.equal(aliceStats.timesWentOut, 0);
+            assert.equal(aliceStats.goOutRate, 0);
+        });
+    });
+
     describe('getAllPlayers()', () => {
         it('should return unique player names', () => {
             beforeEach();
@@ -384,4 +550,357 @@ describe('Statistics Class', () => {
             assert.lengthOf(stats.history, 0, 'History should be empty');
         });
     });
+
+    describe('late joiners and withdrawals', () => {
+        it('should count withdrawals and keep their totals out of the scores', () => {
+            beforeEach();
+            stats.clearHistory();
+
+            stats.saveGame({
+                players: ['Alice', 'Bob', 'Charlie'],
+                scores: [[0, 10], [5, null], [20, 0]],
+                withdrawnRound: [null, 2, null]
+            });
+            stats.saveGame({
+                players: ['Alice', 'Bob'],
+                scores: [[10, 10], [0, 30]]
+            });
+
+            const bobStats = stats.getPlayerStats('Bob');
+            assert.equal(bobStats.totalGames, 2);
+            assert.equal(bobStats.withdrawals, 1);
+            assert.equal(bobStats.avgScore, 30, 'Only the finished game counts');
+            assert.equal(stats.getHistory()[1].winners[0].name, 'Alice', 'Bob could not win after leaving');
+        });
+
+        it('should report no scores when every game was left early', () => {
+            beforeEach();
+            stats.clearHistory();
+
+            stats.saveGame({
+                players: ['Alice', 'Bob', 'Charlie'],
+                scores: [[0, 10], [5, null], [20, 0]],
+                withdrawnRound: [null, 2, null]
+            });
+
+            const bobStats = stats.getPlayerStats('Bob');
+            assert.isNull(bobStats.avgScore);
+            assert.isNull(bobStats.bestScore);
+        });
+
+        it('should not count catch-up rounds as played', () => {
+            beforeEach();
+            stats.clearHistory();
+
+            stats.saveGame({
+                players: ['Alice', 'Bob', 'Dana'],
+                scores: [[0, 10, 5], [5, 0, 0], [5, 5, 0]],
+                wentOut: [0, 1, 2],
+                joinedRound: [1, 1, 3]
+            });
+
+            const danaStats = stats.getPlayerStats('Dana');
+            assert.equal(danaStats.goOutRate, 100, 'Dana went out in the only round played after joining');
+        });
+    });
+
+    describe('team games', () => {
+        const teamGame = () => ({
+            players: ['Alice', 'Bob', 'Charlie', 'Dana'],
+            scores: [[0, 10], [5, 5], [10, 0], [20, 10]],
+            teams: [
+                { name: 'Reds', members: [0, 2] },
+                { name: 'Blues', members: [1, 3] }
+            ]
+        });
+
+        it('should record the winning team', () => {
+            beforeEach();
+            stats.clearHistory();
+
+            const record = stats.saveGame(teamGame());
+            assert.equal(record.winners[0].name, 'Reds');
+            assert.lengthOf(record.teams, 2);
+        });
+
+        it('should credit every member of the winning team', () => {
+            beforeEach();
+            stats.clearHistory();
+            stats.saveGame(teamGame());
+
+            assert.equal(stats.getPlayerStats('Alice').wins, 1);
+            assert.equal(stats.getPlayerStats('Charlie').wins, 1);
+            assert.equal(stats.getPlayerStats('Bob').wins, 0);
+        });
+
+        it('should track individual contributions to the team', () => {
+            beforeEach();
+            stats.clearHistory();
+            stats.saveGame(teamGame());
+
+            const alice = stats.getPlayerStats('Alice');
+            assert.equal(alice.teamGames, 1);
+            assert.equal(alice.teamWins, 1);
+            assert.equal(alice.contribution, 50, 'Alice scored 10 of the Reds\' 20');
+            assert.equal(stats.getPlayerStats('Dana').contribution, 75);
+        });
+
+        it('should group team results by members, whatever the team was called', () => {
+            beforeEach();
+            stats.clearHistory();
+            stats.saveGame(teamGame());
+            stats.saveGame({
+                ...teamGame(),
+                teams: [
+                    { name: 'Charlie & Alice', members: [2, 0] },
+                    { name: 'Bob & Dana', members: [1, 3] }
+                ]
+            });
+
+            const teams = stats.getTeamStats();
+            assert.lengthOf(teams, 2);
+            assert.equal(teams[0].team, 'Alice & Charlie');
+            assert.equal(teams[0].totalGames, 2);
+            assert.equal(teams[0].wins, 2);
+            assert.equal(teams[0].avgScore, 20);
+        });
+
+        it('should leave individual games out of team stats', () => {
+            beforeEach();
+            stats.clearHistory();
+            stats.saveGame({ players: ['Alice', 'Bob'], scores: [[0], [5]] });
+
+            assert.deepEqual(stats.getTeamStats(), []);
+            assert.equal(stats.getPlayerStats('Alice').teamGames, 0);
+            assert.isNull(stats.getPlayerStats('Alice').contribution);
+        });
+    });
+
+    describe('handicaps and adjustments', () => {
+        it('should report adjusted totals and raw card points separately', () => {
+            beforeEach();
+            stats.clearHistory();
+
+            const record = stats.saveGame({
+                players: ['Alice', 'Bob'],
+                scores: [[0, 10], [5, 5]],
+                handicaps: [0, -10],
+                adjustments: [{ player: 'Alice', playerIndex: 0, round: 2, points: 5, reason: 'Misdeal' }]
+            });
+
+            assert.equal(record.winners[0].name, 'Bob', 'Bob wins on 0 after the handicap');
+            assert.lengthOf(record.adjustments, 1);
+
+            const alice = stats.getPlayerStats('Alice');
+            assert.equal(alice.avgScore, 15);
+            assert.equal(alice.avgCardPoints, 10);
+            assert.equal(stats.getPlayerStats('Bob').avgScore, 0);
+        });
+    });
+
+    describe('matches', () => {
+        const matchRecord = (games) => ({
+            id: 1,
+            players: ['Alice', 'Bob', 'Charlie'],
+            bestOf: 3,
+            scoring: 'games-won',
+            games,
+            standings: [
+                { name: 'Alice', members: ['Alice'], gamesWon: 2, total: 40, gamesPlayed: 2 },
+                { name: 'Bob', members: ['Bob'], gamesWon: 0, total: 70, gamesPlayed: 2 },
+                { name: 'Charlie', members: ['Charlie'], gamesWon: 0, total: 90, gamesPlayed: 2 }
+            ],
+            winners: [{ name: 'Alice', members: ['Alice'] }]
+        });
+
+        it('should save matches and tag their games', () => {
+            beforeEach();
+            stats.clearHistory();
+
+            const game = stats.saveGame({ players: ['Alice', 'Bob', 'Charlie'], scores: [[0], [5], [9]] });
+            const match = stats.saveMatch(matchRecord([game.id]));
+
+            assert.isDefined(match.date);
+            assert.lengthOf(stats.getMatchHistory(), 1);
+            assert.equal(stats.getHistory()[0].matchId, 1);
+        });
+
+        it('should replace a match saved again after a correction', () => {
+            beforeEach();
+            stats.clearHistory();
+
+            stats.saveMatch(matchRecord([]));
+            stats.saveMatch({ ...matchRecord([]), winners: [{ name: 'Bob', members: ['Bob'] }] });
+
+            assert.lengthOf(stats.getMatchHistory(), 1);
+            assert.equal(stats.getMatchHistory()[0].winners[0].name, 'Bob');
+        });
+
+        it('should count match wins per player', () => {
+            beforeEach();
+            stats.clearHistory();
+            stats.saveGame({ players: ['Alice', 'Bob', 'Charlie'], scores: [[0], [5], [9]] });
+            stats.saveMatch(matchRecord([]));
+
+            assert.equal(stats.getPlayerStats('Alice').matchesPlayed, 1);
+            assert.equal(stats.getPlayerStats('Alice').matchWins, 1);
+            assert.equal(stats.getPlayerStats('Bob').matchWins, 0);
+        });
+
+        it('should clear matches with the history', () => {
+            beforeEach();
+            stats.saveMatch(matchRecord([]));
+            stats.clearHistory();
+
+            assert.lengthOf(stats.getMatchHistory(), 0);
+            assert.lengthOf(new Statistics().getMatchHistory(), 0, 'Cleared matches should stay cleared');
+        });
+    });
+
+    describe('player roster', () => {
+        it('should map name-only history to profiles on load', () => {
+            beforeEach();
+            stats.saveGame({ players: ['Alice', 'Bob'], scores: [[0], [5]] });
+            stats.saveGame({ players: ['Bob', 'Charlie'], scores: [[0], [5]] });
+
+            const roster = new Roster();
+            const withRoster = new Statistics(roster);
+
+            assert.lengthOf(roster.getAll(), 3);
+            const bob = roster.findByName('Bob');
+            assert.ok(withRoster.getHistory().every(record => record.playerIds.includes(bob.id)));
+            assert.ok(new Statistics().getHistory()[0].playerIds, 'Migrated IDs should be saved');
+        });
+
+        it('should key player stats by profile rather than the name in each record', () => {
+            beforeEach();
+            const roster = new Roster();
+            const mike = roster.add('Michael');
+            const withRoster = new Statistics(roster);
+
+            withRoster.saveGame({ players: ['Michael', 'Ann'], playerIds: [mike.id, null], scores: [[0], [5]] });
+            withRoster.saveGame({ players: ['Mike', 'Ann'], playerIds: [mike.id, null], scores: [[9], [5]] });
+
+            const byId = withRoster.getPlayerStats(mike.id);
+            assert.equal(byId.playerName, 'Michael');
+            assert.equal(byId.playerId, mike.id);
+            assert.equal(byId.totalGames, 2);
+            assert.equal(byId.wins, 1);
+            assert.equal(withRoster.getPlayerStats('Michael').totalGames, 2, 'Names resolve to the profile');
+            assert.deepEqual(withRoster.getAllPlayers(), ['Ann', 'Michael']);
+        });
+    });
+
+    describe('renaming and merging players', () => {
+        const teamGame = () => ({
+            players: ['Mike', 'Ann', 'Bo', 'Cy'],
+            scores: [[0], [5], [10], [10]],
+            teams: [{ name: 'Reds', members: [0, 1] }, { name: 'Blues', members: [2, 3] }]
+        });
+
+        it('should rename a player in every record, including winners', () => {
+            beforeEach();
+            stats.clearHistory();
+            stats.saveGame({ players: ['Mike', 'Ann'], scores: [[0], [5]] });
+            stats.saveGame(teamGame());
+            stats.saveGame({ players: ['Ann', 'Bo'], scores: [[0], [5]] });
+
+            assert.equal(stats.previewPlayerChange('Mike').games, 2);
+            assert.equal(stats.renamePlayer('Mike', 'Michael'), 2);
+
+            assert.notIncludes(stats.getAllPlayers(), 'Mike');
+            const michael = stats.getPlayerStats('Michael');
+            assert.equal(michael.totalGames, 2);
+            assert.equal(michael.wins, 2, 'Individual and team wins should follow the new name');
+            assert.deepEqual(stats.getHistory()[1].winners[0].members, ['Michael', 'Ann']);
+        });
+
+        it('should not rename onto a name that is already used', () => {
+            beforeEach();
+            stats.clearHistory();
+            stats.saveGame({ players: ['Mike', 'Ann'], scores: [[0], [5]] });
+
+            assert.throws(() => stats.renamePlayer('Mike', 'Ann'), Error);
+            assert.throws(() => stats.renamePlayer('Mike', '  '), Error);
+        });
+
+        it('should merge two spellings into one player', () => {
+            beforeEach();
+            stats.clearHistory();
+            stats.saveGame({ players: ['Mike', 'Ann'], scores: [[0], [5]] });
+            stats.saveGame({ players: ['Michael', 'Bo'], scores: [[9], [5]] });
+
+            assert.equal(stats.previewPlayerChange('Mike', 'Michael').conflicts, 0);
+            stats.mergePlayers('Mike', 'Michael');
+
+            assert.deepEqual(stats.getAllPlayers(), ['Ann', 'Bo', 'Michael']);
+            assert.equal(stats.getPlayerStats('Michael').totalGames, 2);
+            assert.equal(stats.getPlayerStats('Michael').wins, 1);
+        });
+
+        it('should refuse to merge players who played together', () => {
+            beforeEach();
+            stats.clearHistory();
+            stats.saveGame({ players: ['Mike', 'Michael'], scores: [[0], [5]] });
+
+            assert.equal(stats.previewPlayerChange('Mike', 'Michael').conflicts, 1);
+            assert.throws(() => stats.mergePlayers('Mike', 'Michael'), Error);
+        });
+
+        it('should undo the last change', () => {
+            beforeEach();
+            stats.clearHistory();
+            stats.saveGame({ players: ['Mike', 'Ann'], scores: [[0], [5]] });
+            stats.renamePlayer('Mike', 'Michael');
+
+            assert.equal(stats.getPlayerChangeUndoDescription(), 'renaming Mike to Michael');
+            stats.undoPlayerChange();
+
+            assert.deepEqual(stats.getAllPlayers(), ['Ann', 'Mike']);
+            assert.isNull(stats.getPlayerChangeUndoDescription());
+            assert.throws(() => stats.undoPlayerChange(), Error);
+        });
+
+        it('should rename players in match records', () => {
+            beforeEach();
+            stats.clearHistory();
+            const game = stats.saveGame({ players: ['Mike', 'Ann'], scores: [[0], [5]] });
+            stats.saveMatch({
+                id: 1,
+                players: ['Mike', 'Ann'],
+                bestOf: 1,
+                scoring: 'games-won',
+                games: [game.id],
+                standings: [{ name: 'Mike', members: ['Mike'], gamesWon: 1, total: 0, gamesPlayed: 1 }],
+                winners: [{ name: 'Mike', members: ['Mike'] }]
+            });
+
+            assert.equal(stats.previewPlayerChange('Mike').matches, 1);
+            stats.renamePlayer('Mike', 'Michael');
+
+            assert.deepEqual(stats.getMatchHistory()[0].players, ['Michael', 'Ann']);
+            assert.equal(stats.getPlayerStats('Michael').matchWins, 1);
+        });
+
+        it('should rename and merge roster profiles', () => {
+            beforeEach();
+            const roster = new Roster();
+            const withRoster = new Statistics(roster);
+            withRoster.saveGame({ players: ['Mike', 'Ann'], scores: [[0], [5]] });
+            withRoster.saveGame({ players: ['Michael', 'Bo'], scores: [[9], [5]] });
+            const mike = roster.findByName('Mike');
+
+            withRoster.renamePlayer(mike.id, 'Mikey');
+            assert.equal(roster.get(mike.id).name, 'Mikey');
+
+            withRoster.mergePlayers('Mikey', 'Michael');
+            assert.isNull(roster.get(mike.id), 'The merged profile should be gone');
+            const michael = roster.findByName('Michael');
+            assert.ok(withRoster.getHistory().every(record => !record.players.includes('Mikey')));
+            assert.equal(withRoster.getPlayerStats(michael.id).totalGames, 2);
+
+            withRoster.undoPlayerChange();
+            assert.equal(roster.get(mike.id).name, 'Mikey', 'Undo should bring the profile back');
+        });
+    });
 });
@@ -4,7 +4,8 @@
  */
 
 import { describe, it, assert } from './test-framework.js';
-import { Storage } from '../js/storage.js';
+import { Storage, MAX_SNAPSHOTS } from '../js/storage.js';
+import { currentVersion } from '../js/schema.js';
 
 describe('Storage Module', () => {
     // Clear localStorage before each test
@@ -27,7 +28,8 @@ describe('Storage Module', () => {
             assert.isNotNull(saved, 'Data should be in localStorage');
 
             const parsed = JSON.parse(saved);
-            assert.deepEqual(parsed, gameState, 'Saved data should match input');
+            assert.equal(parsed.version, currentVersion('fiveCrownsGame'), 'Saved data should be versioned');
+            assert.deepEqual(parsed.data, gameState, 'Saved data should match input');
         });
 
         it('should handle empty game state', () => {
@@ -49,7 +51,7 @@ describe('Storage Module', () => {
             Storage.save(gameState2);
 
             const saved = JSON.parse(localStorage.getItem('fiveCrownsGame'));
-            assert.deepEqual(saved, gameState2, 'Should overwrite previous data');
+            assert.deepEqual(saved.data, gameState2, 'Should overwrite previous data');
         });
     });
 
@@ -61,7 +63,10 @@ describe('Storage Module', () => {
                 currentRound: 2
             };
 
-            localStorage.setItem('fiveCrownsGame', JSON.stringify(gameState));
+            localStorage.setItem('fiveCrownsGame', JSON.stringify({
+                version: currentVersion('fiveCrownsGame'),
+                data: gameState
+            }));
 
             const loaded = Storage.load();
             assert.deepEqual(loaded, gameState, 'Loaded data should match saved data');
@@ -118,6 +123,167 @@ describe('Storage Module', () => {
             assert.notOk(Storage.hasSavedGame(), 'Should return false after clear');
         });
     });
+
+    describe('saved games', () => {
+        const save = (id, updated) => ({
+            id,
+            name: `Game ${id}`,
+            updated,
+            players: ['Alice', 'Bob'],
+            currentRound: 3,
+            maxRounds: 11,
+            state: { players: ['Alice', 'Bob'], currentRound: 3 }
+        });
+
+        it('should list parked games newest first without their state', () => {
+            localStorage.clear();
+            Storage.park(save('g-1', '2024-01-01T10:00:00.000Z'));
+            Storage.park(save('g-2', '2024-02-01T10:00:00.000Z'));
+
+            const saves = Storage.listSaves();
+            assert.deepEqual(saves.map(entry => entry.id), ['g-2', 'g-1']);
+            assert.isUndefined(saves[0].state, 'Summaries should leave the state out');
+        });
+
+        it('should replace a save parked again under the same ID', () => {
+            localStorage.clear();
+            Storage.park(save('g-1', '2024-01-01T10:00:00.000Z'));
+            Storage.park({ ...save('g-1', '2024-01-02T10:00:00.000Z'), name: 'Renamed' });
+
+            const saves = Storage.listSaves();
+            assert.lengthOf(saves, 1);
+            assert.equal(saves[0].name, 'Renamed');
+        });
+
+        it('should hand back the state and drop the save when unparked', () => {
+            localStorage.clear();
+            Storage.park(save('g-1', '2024-01-01T10:00:00.000Z'));
+
+            assert.deepEqual(Storage.unpark('g-1'), { players: ['Alice', 'Bob'], currentRound: 3 });
+            assert.lengthOf(Storage.listSaves(), 0);
+            assert.isNull(Storage.unpark('g-1'), 'Unknown saves should return null');
+        });
+
+        it('should delete a save', () => {
+            localStorage.clear();
+            Storage.park(save('g-1', '2024-01-01T10:00:00.000Z'));
+            Storage.park(save('g-2', '2024-01-02T10:00:00.000Z'));
+            Storage.deleteSave('g-1');
+
+            assert.deepEqual(Storage.listSaves().map(entry => entry.id), ['g-2']);
+        });
+
+        it('should keep saved games apart from the game being played', () => {
+            localStorage.clear();
+            Storage.park(save('g-1', '2024-01-01T10:00:00.000Z'));
+
+            assert.notOk(Storage.hasSavedGame(), 'Parked games are not the active game');
+        });
+    });
+
+    describe('snapshots', () => {
+        const state = (gameId, events = 1) => ({
+            gameId,
+            players: ['Alice', 'Bob'],
+            currentRound: 2,
+            events: Array.from({ length: events }, (_, index) => ({ seq: index + 1 }))
+        });
+
+        it('should keep a cleared game', () => {
+            localStorage.clear();
+            Storage.save(state('g-1'));
+            Storage.clear();
+
+            const [snapshot] = Storage.listSnapshots();
+            assert.equal(snapshot.reason, 'cleared');
+            assert.equal(snapshot.name, 'Alice, Bob');
+            assert.isDefined(snapshot.taken);
+            assert.isUndefined(snapshot.state, 'Summaries should leave the state out');
+            assert.deepEqual(Storage.getSnapshot(snapshot.id), state('g-1'));
+        });
+
+        it('should keep a game replaced by another', () => {
+            localStorage.clear();
+            Storage.save(state('g-1'));
+            Storage.save(state('g-1', 2));
+            assert.lengthOf(Storage.listSnapshots(), 0, 'Saving the same game is not a replacement');
+
+            Storage.save(state('g-2'));
+            const [snapshot] = Storage.listSnapshots();
+            assert.equal(snapshot.reason, 'replaced');
+            assert.lengthOf(Storage.getSnapshot(snapshot.id).events, 2);
+        });
+
+        it('should not read the stored game back while saving the same game', () => {
+            localStorage.clear();
+            Storage.save(state('g-1'));
+
+            const load = Storage.load;
+            let reads = 0;
+            Storage.load = function () {
+                reads++;
+                return load.call(this);
+            };
+            try {
+                Storage.save(state('g-1', 2));
+                Storage.save(state('g-1', 3));
+            } finally {
+                Storage.load = load;
+            }
+
+            assert.equal(reads, 0);
+            assert.lengthOf(Storage.load().events, 3);
+        });
+
+        it('should not keep a replaced game when asked not to', () => {
+            localStorage.clear();
+            Storage.save(state('g-1'));
+            Storage.save(state('g-2'), { snapshot: false });
+
+            assert.lengthOf(Storage.listSnapshots(), 0);
+            assert.equal(Storage.load().gameId, 'g-2');
+
+            Storage.save(state('g-3'));
+            assert.equal(Storage.getSnapshot(Storage.listSnapshots()[0].id).gameId, 'g-2', 'Only that save skips it');
+        });
+
+        it('should keep a deleted saved game', () => {
+            localStorage.clear();
+            Storage.park({ id: 'g-1', name: 'Friday', state: state('g-1') });
+            Storage.deleteSave('g-1');
+
+            assert.equal(Storage.listSnapshots()[0].reason, 'deleted');
+        });
+
+        it('should not snapshot a game that was only put aside', () => {
+            localStorage.clear();
+            Storage.save(state('g-1'));
+            Storage.park({ id: 'g-1', name: 'Friday', state: state('g-1') });
+            Storage.clear();
+
+            assert.lengthOf(Storage.listSnapshots(), 0);
+        });
+
+        it('should keep only the most recent snapshots, newest first', () => {
+            localStorage.clear();
+            for (let i = 1; i <= MAX_SNAPSHOTS + 2; i++) {
+                Storage.takeSnapshot(state(`g-${i}`), 'cleared');
+            }
+
+            const snapshots = Storage.listSnapshots();
+            assert.lengthOf(snapshots, MAX_SNAPSHOTS);
+            assert.equal(Storage.getSnapshot(snapshots[0].id).gameId, `g-${MAX_SNAPSHOTS + 2}`);
+            assert.isNull(Storage.getSnapshot(-1), 'Unknown snapshots should return null');
+        });
+
+        it('should not repeat a snapshot of the same game at the same point', () => {
+            localStorage.clear();
+            Storage.takeSnapshot(state('g-1'), 'cleared');
+            Storage.takeSnapshot(state('g-1'), 'deleted');
+
+            assert.lengthOf(Storage.listSnapshots(), 1);
+        });
+    });
 });
 
 // Helper to run before each test
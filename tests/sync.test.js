@@ -0,0 +1,81 @@
+/**
+ * sync.test.js
+ * Tests for keeping a game in step across tabs
+ */
+
+import { describe, it, assert } from './test-framework.js';
+import { compareLogs, GameSync } from '../js/sync.js';
+
+describe('Sync Module', () => {
+    // A log of `count` events; `branch` makes events past `from` differ from the main line
+    const log = (count, branch = '', from = 0) => Array.from({ length: count }, (_, index) => ({
+        seq: index + 1,
+        type: 'RoundScored',
+        timestamp: index >= from && branch ? `${branch}-${index}` : `t-${index}`
+    }));
+
+    describe('compareLogs()', () => {
+        it('should spot identical logs', () => {
+            assert.equal(compareLogs(log(3), log(3)), 'same');
+        });
+
+        it('should tell which tab is ahead', () => {
+            assert.equal(compareLogs(log(2), log(4)), 'behind');
+            assert.equal(compareLogs(log(4), log(2)), 'ahead');
+        });
+
+        it('should spot logs that went separate ways', () => {
+            assert.equal(compareLogs(log(3, 'a', 2), log(3, 'b', 2)), 'diverged');
+            assert.equal(compareLogs(log(3, 'a', 2), log(4, 'b', 2)), 'diverged');
+        });
+    });
+
+    describe('GameSync', () => {
+        it('should take another tab\'s new rounds', () => {
+            const sync = new GameSync(log(2));
+            assert.equal(sync.receive(log(2), log(3)), 'adopt');
+        });
+
+        it('should ignore a save it already has', () => {
+            const sync = new GameSync(log(2));
+            assert.equal(sync.receive(log(3), log(3)), 'none');
+        });
+
+        it('should save again over an older copy', () => {
+            const sync = new GameSync(log(2));
+            assert.equal(sync.receive(log(4), log(3)), 'rewrite');
+        });
+
+        it('should take another tab\'s game when nothing changed here', () => {
+            const sync = new GameSync(log(3));
+            assert.equal(sync.receive(log(3), log(5, 'other', 0)), 'adopt');
+        });
+
+        it('should report a conflict when both tabs changed the game', () => {
+            const sync = new GameSync(log(2));
+            assert.equal(sync.receive(log(3, 'here', 2), log(3, 'there', 2)), 'conflict');
+        });
+
+        it('should not ask twice about a version already turned down', () => {
+            const sync = new GameSync(log(2));
+            const here = log(3, 'here', 2);
+            const there = log(3, 'there', 2);
+            sync.receive(here, there);
+
+            assert.equal(sync.receive(here, there), 'none');
+        });
+
+        it('should ask again when the other tab carries on', () => {
+            const sync = new GameSync(log(2));
+            sync.receive(log(3, 'here', 2), log(3, 'there', 2));
+
+            assert.equal(sync.receive(log(3, 'here', 2), log(4, 'there', 2)), 'conflict');
+        });
+
+        it('should follow another tab clearing the game unless there are changes here', () => {
+            assert.equal(new GameSync(log(3)).receive(log(3), null), 'adopt');
+            assert.equal(new GameSync(log(2)).receive(log(3), null), 'none');
+            assert.equal(new GameSync([]).receive([], null), 'none');
+        });
+    });
+});
@@ -9,6 +9,19 @@ import { test } from './test-framework.js';
 import './storage.test.js';
 import './game.test.js';
 import './statistics.test.js';
+import './variants.test.js';
+import './hand.test.js';
+import './winners.test.js';
+import './lineup.test.js';
+import './adjustments.test.js';
+import './match.test.js';
+import './tournament.test.js';
+import './roster.test.js';
+import './schema.test.js';
+import './persistence.test.js';
+import './backup.test.js';
+import './sync.test.js';
+import './crypto.test.js';
 
 // Run all tests when loaded
 (async () => {
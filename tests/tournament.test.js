@@ -0,0 +1,260 @@
+/**
+ * tournament.test.js
+ * Tests for multi-table tournaments and Swiss pairing
+ */
+
+import { describe, it, assert } from './test-framework.js';
+import { Tournament, planTables, seatPlayers, scoreTable } from '../js/tournament.js';
+import { Game } from '../js/game.js';
+import { Storage } from '../js/storage.js';
+
+describe('Tournament Module', () => {
+    let tournament;
+    let game;
+
+    const beforeEach = () => {
+        localStorage.clear();
+        tournament = new Tournament();
+        game = new Game();
+    };
+
+    const roster = count => Array.from({ length: count }, (_, index) => `P${index + 1}`);
+
+    // Play a table of the current round to the end; seat `winner` goes out every round,
+    // and everyone else scores 5 more per seat further down the table
+    const playTable = (index, winner = 0) => {
+        tournament.playTable(game, index);
+        while (!game.isGameComplete()) {
+            game.submitRound(game.players.map((_, seat) => seat === winner ? 0 : seat * 5), winner);
+        }
+        tournament.saveTable(game);
+    };
+
+    const playRound = () => {
+        tournament.getCurrentRound().tables.forEach((_, index) => playTable(index));
+    };
+
+    describe('planTables()', () => {
+        it('should split 20 players into tables of the preferred size', () => {
+            assert.deepEqual(planTables(20, 4), [4, 4, 4, 4, 4]);
+        });
+
+        it('should spread uneven rosters across tables', () => {
+            assert.deepEqual(planTables(10, 4), [4, 3, 3]);
+            assert.deepEqual(planTables(11, 7), [6, 5]);
+        });
+
+        it('should keep every table between 3 and 7 players', () => {
+            for (let count = 3; count <= 30; count++) {
+                [3, 4, 5, 6, 7].forEach(size => {
+                    const sizes = planTables(count, size);
+                    assert.equal(sizes.reduce((sum, n) => sum + n, 0), count, `${count} players should all be seated`);
+                    assert.ok(sizes.every(n => n >= 3 && n <= 7), `${count} players at tables of ${size}: ${sizes}`);
+                });
+            }
+        });
+
+        it('should reject rosters too small for a table', () => {
+            assert.throws(() => planTables(2, 4), Error);
+        });
+    });
+
+    describe('seatPlayers()', () => {
+        it('should seat players in rank order without history', () => {
+            const tables = seatPlayers(roster(8), [4, 4]);
+            assert.deepEqual(tables, [['P1', 'P2', 'P3', 'P4'], ['P5', 'P6', 'P7', 'P8']]);
+        });
+
+        it('should avoid rematches when a close-ranked player is available', () => {
+            const meetings = new Map([['P1\u0000P2', 1]]);
+            const tables = seatPlayers(roster(6), [3, 3], meetings);
+            assert.deepEqual(tables[0], ['P1', 'P3', 'P4']);
+            assert.deepEqual(tables[1], ['P2', 'P5', 'P6']);
+        });
+    });
+
+    describe('scoreTable()', () => {
+        it('should give a point per tablemate beaten and half for a tie', () => {
+            const results = scoreTable({
+                players: ['Alice', 'Bob', 'Charlie'],
+                scores: [[0], [10], [10]]
+            });
+            assert.deepEqual(results.map(result => result.points), [2, 0.5, 0.5]);
+            assert.ok(results[0].won);
+        });
+
+        it('should place players who left behind everyone else', () => {
+            const results = scoreTable({
+                players: ['Alice', 'Bob', 'Charlie'],
+                scores: [[20], [0], [30]],
+                withdrawnRound: [null, 2, null]
+            });
+            assert.deepEqual(results.map(result => result.points), [2, 0, 1]);
+        });
+    });
+
+    describe('start()', () => {
+        it('should seat round 1 in roster order', () => {
+            beforeEach();
+            tournament.start(roster(10), { tableSize: 4, rounds: 2 });
+
+            const tables = tournament.getCurrentRound().tables;
+            assert.lengthOf(tables, 3);
+            assert.deepEqual(tables[0].players, ['P1', 'P2', 'P3', 'P4']);
+            assert.ok(tournament.isActive());
+        });
+
+        it('should reject bad settings', () => {
+            beforeEach();
+            assert.throws(() => tournament.start(roster(10), { tableSize: 8 }), Error);
+            assert.throws(() => tournament.start(roster(10), { rounds: 0 }), Error);
+            assert.throws(() => tournament.start(['A', 'B', 'A']), Error);
+        });
+    });
+
+    describe('playing tables', () => {
+        it('should start a table\'s game with its players and the tournament variant', () => {
+            beforeEach();
+            tournament.start(roster(8), { tableSize: 4, gameOptions: { variant: 'short' } });
+            tournament.playTable(game, 1);
+
+            assert.deepEqual(game.players, ['P5', 'P6', 'P7', 'P8']);
+            assert.equal(game.variant.id, 'short');
+            assert.equal(tournament.activeTable, 1);
+        });
+
+        it('should resume a table where it was left', () => {
+            beforeEach();
+            tournament.start(roster(8), { tableSize: 4, gameOptions: { variant: 'short' } });
+            tournament.playTable(game, 0);
+            game.submitRound([0, 5, 5, 5], 0);
+            tournament.saveTable(game);
+
+            tournament.playTable(game, 1);
+            tournament.playTable(game, 0);
+            assert.equal(game.currentRound, 2);
+            assert.deepEqual(game.players, ['P1', 'P2', 'P3', 'P4']);
+        });
+
+        it('should not keep snapshots of tables swapped out', () => {
+            beforeEach();
+            tournament.start(roster(8), { tableSize: 4, gameOptions: { variant: 'short' } });
+            tournament.playTable(game, 0);
+            game.submitRound([0, 5, 5, 5], 0);
+            tournament.saveTable(game);
+            tournament.playTable(game, 1);
+            game.submitRound([0, 5, 5, 5], 0);
+            tournament.saveTable(game);
+            tournament.playTable(game, 0);
+
+            assert.lengthOf(Storage.listSnapshots(), 0, 'Each game is kept in its table');
+        });
+
+        it('should not seat the next round until every table is done', () => {
+            beforeEach();
+            tournament.start(roster(8), { tableSize: 4, rounds: 2, gameOptions: { variant: 'short' } });
+            playTable(0);
+
+            assert.notOk(tournament.isRoundComplete());
+            assert.throws(() => tournament.seatNextRound(), Error);
+        });
+    });
+
+    describe('standings and Swiss re-seating', () => {
+        it('should rank players on points from finished tables', () => {
+            beforeEach();
+            tournament.start(roster(8), { tableSize: 4, rounds: 2, gameOptions: { variant: 'short' } });
+            playRound();
+
+            const standings = tournament.getStandings();
+            assert.equal(standings[0].points, 3);
+            assert.equal(standings[0].wins, 1);
+            assert.deepEqual(standings.slice(0, 2).map(entry => entry.name).sort(), ['P1', 'P5']);
+            assert.equal(standings[7].points, 0);
+        });
+
+        it('should seat the leaders together in the next round', () => {
+            beforeEach();
+            tournament.start(roster(8), { tableSize: 4, rounds: 2, gameOptions: { variant: 'short' } });
+            playRound();
+            tournament.seatNextRound();
+
+            const top = tournament.getCurrentRound().tables[0].players;
+            assert.includes(top, 'P1');
+            assert.includes(top, 'P5');
+            assert.isNull(tournament.activeTable);
+        });
+
+        it('should finish after the last round', () => {
+            beforeEach();
+            tournament.start(roster(6), { tableSize: 3, rounds: 2, gameOptions: { variant: 'short' } });
+            playRound();
+            assert.notOk(tournament.isComplete());
+
+            tournament.seatNextRound();
+            playRound();
+            assert.ok(tournament.isComplete());
+            assert.throws(() => tournament.seatNextRound(), Error);
+            assert.equal(tournament.getStandings()[0].gamesPlayed, 2);
+        });
+    });
+
+    describe('exports', () => {
+        it('should export the leaderboard as JSON', () => {
+            beforeEach();
+            tournament.start(roster(6), { tableSize: 3, rounds: 1, gameOptions: { variant: 'short' } });
+            playRound();
+
+            const exported = JSON.parse(tournament.exportToJSON());
+            assert.lengthOf(exported.leaderboard, 6);
+            assert.ok(exported.tournament.complete);
+            assert.lengthOf(exported.tournament.rounds[0].tables, 2);
+            assert.isNotNull(exported.tournament.rounds[0].tables[0].results);
+        });
+
+        it('should export the leaderboard as CSV and quote awkward names', () => {
+            beforeEach();
+            tournament.start(['Smith, Jo', 'Bob', 'Cy "Ace" Lee']);
+
+            const lines = tournament.exportToCSV().trim().split('\n');
+            assert.equal(lines[0], 'Rank,Player,Points,Wins,Games,Total Score,Average Score');
+            assert.lengthOf(lines, 4);
+            assert.ok(lines.some(line => line.includes('"Smith, Jo"')));
+            assert.ok(lines.some(line => line.includes('"Cy ""Ace"" Lee"')));
+        });
+
+        it('should keep names that look like formulas as text in the CSV', () => {
+            beforeEach();
+            tournament.start(['=HYPERLINK("x")', '+Bob', '-Cy', '@Dee']);
+
+            const lines = tournament.exportToCSV().trim().split('\n');
+            assert.ok(lines.some(line => line.includes('"\'=HYPERLINK(""x"")"')));
+            assert.ok(lines.some(line => line.includes(",'+Bob,")));
+            assert.ok(lines.some(line => line.includes(",'-Cy,")));
+            assert.ok(lines.some(line => line.includes(",'@Dee,")));
+        });
+    });
+
+    describe('saveState() / loadState()', () => {
+        it('should survive a reload', () => {
+            beforeEach();
+            tournament.start(roster(8), { tableSize: 4, rounds: 2, gameOptions: { variant: 'short' } });
+            playTable(1);
+
+            const restored = new Tournament();
+            assert.ok(restored.loadState());
+            assert.equal(restored.totalRounds, 2);
+            assert.ok(restored.getCurrentRound().tables[1].complete);
+            assert.equal(restored.activeTable, 1);
+        });
+
+        it('should forget the tournament on reset', () => {
+            beforeEach();
+            tournament.start(roster(8));
+            tournament.reset();
+
+            assert.notOk(tournament.isActive());
+            assert.notOk(new Tournament().loadState());
+        });
+    });
+});
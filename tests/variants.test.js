@@ -0,0 +1,91 @@
+/**
+ * variants.test.js
+ * Tests for game variant definitions
+ */
+
+import { describe, it, assert } from './test-framework.js';
+import { VARIANTS, getVariant, normalizeVariant, createVariant, rankLabel, rankName } from '../js/variants.js';
+
+describe('Variants Module', () => {
+    describe('rankLabel()', () => {
+        it('should label number cards by value', () => {
+            assert.equal(rankLabel(3), '3');
+            assert.equal(rankLabel(10), '10');
+        });
+
+        it('should label face cards by letter', () => {
+            assert.equal(rankLabel(11), 'J');
+            assert.equal(rankLabel(12), 'Q');
+            assert.equal(rankLabel(13), 'K');
+        });
+    });
+
+    describe('rankName()', () => {
+        it('should give plural rank names', () => {
+            assert.equal(rankName(3), 'Threes');
+            assert.equal(rankName(6), 'Sixes');
+            assert.equal(rankName(13), 'Kings');
+        });
+    });
+
+    describe('built-in variants', () => {
+        it('should define the standard game as 3s to Kings', () => {
+            assert.deepEqual(VARIANTS.standard.roundCards, [3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13]);
+            assert.deepEqual(VARIANTS.standard.wildLabels, ['3', '4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K']);
+        });
+
+        it('should define the short game as rounds 3 to 7', () => {
+            assert.deepEqual(VARIANTS.short.roundCards, [3, 4, 5, 6, 7]);
+        });
+
+        it('should define kings first as the reversed standard game', () => {
+            assert.equal(VARIANTS['kings-first'].roundCards[0], 13);
+            assert.equal(VARIANTS['kings-first'].wildLabels[0], 'K');
+            assert.lengthOf(VARIANTS['kings-first'].roundCards, 11);
+        });
+
+        it('should define the double game with 22 rounds', () => {
+            assert.lengthOf(VARIANTS.double.roundCards, 22);
+        });
+    });
+
+    describe('getVariant()', () => {
+        it('should default to the standard variant', () => {
+            assert.equal(getVariant().id, 'standard');
+        });
+
+        it('should return a copy', () => {
+            const variant = getVariant('short');
+            variant.roundCards.push(8);
+            assert.lengthOf(VARIANTS.short.roundCards, 5, 'Built-in should be untouched');
+        });
+
+        it('should throw for unknown variants', () => {
+            assert.throws(() => getVariant('nope'), Error);
+        });
+    });
+
+    describe('normalizeVariant()', () => {
+        it('should derive wild labels when missing', () => {
+            const variant = normalizeVariant({ id: 'house', name: 'House', roundCards: [5, 11] });
+            assert.deepEqual(variant.wildLabels, ['5', 'J']);
+        });
+
+        it('should reject empty or invalid round structures', () => {
+            assert.throws(() => normalizeVariant({ roundCards: [] }), Error);
+            assert.throws(() => normalizeVariant({ roundCards: [2, 3] }), Error);
+            assert.throws(() => normalizeVariant({ roundCards: [3, 14] }), Error);
+            assert.throws(() => normalizeVariant(null), Error);
+        });
+
+        it('should reject mismatched wild labels', () => {
+            assert.throws(() => normalizeVariant({ roundCards: [3, 4], wildLabels: ['3'] }), Error);
+        });
+
+        it('should accept variants built with createVariant()', () => {
+            const variant = normalizeVariant(createVariant('pair', 'Pair', [7, 7]));
+            assert.equal(variant.id, 'pair');
+            assert.deepEqual(variant.wildLabels, ['7', '7']);
+        });
+    });
+});
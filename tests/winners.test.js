@@ -0,0 +1,153 @@
+/**
+ * winners.test.js
+ * Tests for winner determination and tie-breakers
+ */
+
+import { describe, it, assert } from './test-framework.js';
+import { findWinners, getSides, sideTotals } from '../js/winners.js';
+
+describe('Winners Module', () => {
+    const tiedGame = (extra = {}) => ({
+        players: ['Alice', 'Bob', 'Charlie'],
+        // Alice and Bob tie on 15; Charlie is out of it
+        scores: [[0, 5, 10], [10, 5, 0], [20, 20, 20]],
+        wentOut: [0, null, 1],
+        ...extra
+    });
+
+    describe('findWinners()', () => {
+        it('should find the single lowest total', () => {
+            const winners = findWinners({
+                players: ['Alice', 'Bob'],
+                scores: [[10, null], [5, null]]
+            });
+
+            assert.lengthOf(winners, 1);
+            assert.equal(winners[0].name, 'Bob');
+            assert.equal(winners[0].score, 5);
+            assert.equal(winners[0].index, 1);
+        });
+
+        it('should share the win by default', () => {
+            const winners = findWinners(tiedGame());
+            assert.deepEqual(winners.map(w => w.index), [0, 1]);
+        });
+
+        it('should break ties by most go-outs', () => {
+            const winners = findWinners(tiedGame({ tieBreaker: 'most-go-outs', wentOut: [0, 0, 1] }));
+            assert.deepEqual(winners.map(w => w.name), ['Alice']);
+        });
+
+        it('should still share when go-outs are level', () => {
+            const winners = findWinners(tiedGame({ tieBreaker: 'most-go-outs' }));
+            assert.lengthOf(winners, 2);
+        });
+
+        it('should break ties by lowest final round', () => {
+            const winners = findWinners(tiedGame({ tieBreaker: 'lowest-final-round' }));
+            assert.deepEqual(winners.map(w => w.name), ['Bob']);
+        });
+
+        it('should handle records without going-out data', () => {
+            const winners = findWinners(tiedGame({ tieBreaker: 'most-go-outs', wentOut: undefined }));
+            assert.lengthOf(winners, 2);
+        });
+
+        it('should leave out players who withdrew', () => {
+            const winners = findWinners({
+                players: ['Alice', 'Bob', 'Charlie'],
+                // Charlie left after round 1 with the lowest total
+                scores: [[10, 5], [5, 20], [0, null]],
+                withdrawnRound: [null, null, 2]
+            });
+
+            assert.deepEqual(winners.map(w => w.name), ['Alice']);
+            assert.equal(winners[0].score, 15);
+        });
+    });
+
+    describe('team mode', () => {
+        const teamGame = (extra = {}) => ({
+            players: ['Alice', 'Bob', 'Charlie', 'Dana'],
+            scores: [[0, 10], [5, 5], [10, 0], [20, 10]],
+            teams: [
+                { name: 'Reds', members: [0, 2] },
+                { name: 'Blues', members: [1, 3] }
+            ],
+            ...extra
+        });
+
+        it('should treat each player as a side outside team mode', () => {
+            const sides = getSides({ players: ['Alice', 'Bob'], scores: [[], []] });
+            assert.deepEqual(sides, [{ name: 'Alice', members: [0] }, { name: 'Bob', members: [1] }]);
+        });
+
+        it('should add up team totals', () => {
+            assert.deepEqual(sideTotals(teamGame()), [20, 40]);
+        });
+
+        it('should charge a team the round average for each round a withdrawn member misses', () => {
+            const totals = sideTotals(teamGame({
+                // Alice leaves after round 1; round 3 hasn't been played
+                scores: [[0, null, null], [5, 5, null], [10, 0, null], [20, 10, null]],
+                withdrawnRound: [2, null, null, null]
+            }));
+            // Reds: Alice 0 + Charlie 10 + round 2's average of 5; round 3 adds nothing
+            assert.deepEqual(totals, [15, 40]);
+        });
+
+        it('should not charge withdrawn players outside team mode', () => {
+            const totals = sideTotals({
+                players: ['Alice', 'Bob'],
+                scores: [[0, null, null], [5, 5, null]],
+                withdrawnRound: [2, null]
+            });
+            assert.deepEqual(totals, [0, 10]);
+        });
+
+        it('should pick the team with the lowest total', () => {
+            const winners = findWinners(teamGame());
+            assert.lengthOf(winners, 1);
+            assert.equal(winners[0].name, 'Reds');
+            assert.equal(winners[0].score, 20);
+            assert.deepEqual(winners[0].members, ['Alice', 'Charlie']);
+        });
+
+        it('should break team ties on the team\'s combined go-outs', () => {
+            const winners = findWinners(teamGame({
+                scores: [[0, 10], [5, 5], [10, 0], [10, 0]],
+                wentOut: [0, 3],
+                tieBreaker: 'most-go-outs'
+            }));
+            assert.lengthOf(winners, 2, 'One go-out each is still a tie');
+
+            const decided = findWinners(teamGame({
+                scores: [[0, 10], [5, 5], [10, 0], [10, 0]],
+                wentOut: [0, 2],
+                tieBreaker: 'most-go-outs'
+            }));
+            assert.deepEqual(decided.map(w => w.name), ['Reds']);
+        });
+
+        it('should only rule out a team once all its players withdrew', () => {
+            const winners = findWinners(teamGame({
+                scores: [[0, null], [0, 5], [0, 0], [0, 10]],
+                withdrawnRound: [2, null, null, null]
+            }));
+            assert.equal(winners[0].name, 'Reds');
+
+            const allGone = findWinners(teamGame({ withdrawnRound: [2, null, 2, null] }));
+            assert.equal(allGone[0].name, 'Blues');
+        });
+
+        it('should not let a team win by a player leaving', () => {
+            // Without Alice's round 2 the Reds would lead 5 to 10
+            const winners = findWinners(teamGame({
+                scores: [[0, null], [0, 5], [0, 5], [0, 5]],
+                withdrawnRound: [2, null, null, null]
+            }));
+            assert.deepEqual(winners.map(w => w.name), ['Reds', 'Blues']);
+        });
+    });
+});
+